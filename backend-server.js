@@ -1,11 +1,15 @@
 // backend-server.js
 // Express server for AI Website Audit Tool
-// Supports Gemini 2.0 Flash and Gemini 1.5 Flash with website content fetching
+// Supports Gemini, Anthropic and OpenAI-compatible models with website content fetching
 
 const express = require('express');
 const cors = require('cors');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const cheerio = require('cheerio');
+const axe = require('axe-core');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
 
 // Try to load puppeteer, but don't fail if it's not available
@@ -22,6 +26,61 @@ const PORT = process.env.PORT || 3001;
 // Initialize AI client
 const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
 
+// OpenAI-compatible endpoint - api.openai.com by default, or any self-hosted server that speaks /chat/completions
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+// Model names served by that endpoint (self-hosted models rarely follow the gpt-* naming)
+const OPENAI_MODELS = (process.env.OPENAI_MODELS || '').split(',').map(name => name.trim()).filter(Boolean);
+const OPENAI_CONTEXT_TOKENS = parseInt(process.env.OPENAI_CONTEXT_TOKENS) || 32768;
+const LLM_MAX_OUTPUT_TOKENS = 16000; // Anthropic and OpenAI-compatible requests (Gemini allows more)
+
+// LLM providers - every adapter takes (modelName, prompt, images) and resolves to { text, usage }
+// with usage normalized to { input_tokens, output_tokens }. Provider keys never leave the server.
+const LLM_PROVIDERS = {
+  gemini: {
+    label: 'Gemini',
+    requires: 'GEMINI_API_KEY',
+    models: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-3-pro-preview', 'gemini-2.0-flash'],
+    matches: model => model.startsWith('gemini'),
+    isConfigured: () => !!genAI,
+    contextTokens: () => 1048576,
+    maxOutputTokens: 32000,
+    generate: generateWithGemini,
+    countTokens: async (modelName, text) => (await genAI.getGenerativeModel({ model: modelName }).countTokens(text)).totalTokens
+  },
+  anthropic: {
+    label: 'Anthropic',
+    requires: 'ANTHROPIC_API_KEY',
+    models: ['claude-sonnet-4-20250514', 'claude-opus-4-20250514'],
+    matches: model => model.startsWith('claude'),
+    isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+    contextTokens: () => 200000,
+    maxOutputTokens: LLM_MAX_OUTPUT_TOKENS,
+    generate: generateWithAnthropic,
+    countTokens: async (modelName, text) => (await postProviderRequest('https://api.anthropic.com/v1/messages/count_tokens', {
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    }, { model: modelName, messages: [{ role: 'user', content: text }] })).input_tokens
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    requires: 'OPENAI_API_KEY or OPENAI_BASE_URL',
+    models: OPENAI_MODELS.length > 0 ? OPENAI_MODELS : ['gpt-4o', 'gpt-4o-mini'],
+    matches: model => OPENAI_MODELS.includes(model) || model.startsWith('gpt-'),
+    // Self-hosted servers usually need only a base URL, no key
+    isConfigured: () => !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+    // Context size of self-hosted models is unknown, so it is configured
+    contextTokens: (modelName) => modelName.startsWith('gpt-') ? 128000 : OPENAI_CONTEXT_TOKENS,
+    maxOutputTokens: LLM_MAX_OUTPUT_TOKENS,
+    generate: generateWithOpenAI,
+    // No token counting endpoint - the prompt size is estimated
+    countTokens: async () => null
+  }
+};
+
+// Models tried in order when the selected one fails - may point at a different provider (empty disables fallback)
+const LLM_FALLBACK_MODELS = (process.env.LLM_FALLBACK_MODELS ?? 'gemini-2.0-flash').split(',').map(name => name.trim()).filter(Boolean);
+const auditModelChain = (model) => [model, ...LLM_FALLBACK_MODELS.filter(fallback => fallback !== model)];
+
 // Middleware
 app.use(cors()); // Allow requests from frontend
 app.use(express.json({ limit: '50mb' })); // Parse JSON requests (increased for website content)
@@ -32,6 +91,10 @@ const requestCounts = new Map();
 const RATE_LIMIT = 10; // requests per hour
 const RATE_WINDOW = 60 * 60 * 1000; // 1 hour in milliseconds
 
+// Crawl mode limits (hard caps, regardless of what the client asks for)
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES) || 10;
+const CRAWL_MAX_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH) || 3;
+
 function checkRateLimit(ip) {
   const now = Date.now();
   const userRequests = requestCounts.get(ip) || [];
@@ -48,8 +111,133 @@ function checkRateLimit(ip) {
   return true;
 }
 
+// Progress reporting for pipeline stages - each stage emits 'running', then 'done', 'fallback' or 'failed' with its duration
+// progress is an optional callback that receives the stage events (used for live progress streaming)
+function startStage(progress, stage, label) {
+  const startedAt = Date.now();
+  const emit = (status, message) => {
+    if (!progress) return;
+    progress({
+      stage,
+      label,
+      status,
+      message: message || null,
+      durationMs: status === 'running' ? null : Date.now() - startedAt,
+      at: new Date().toISOString()
+    });
+  };
+  
+  emit('running');
+  return {
+    done: (message) => emit('done', message),
+    fallback: (message) => emit('fallback', message),
+    fail: (message) => emit('failed', message)
+  };
+}
+
+// axe-core rule tags to run: WCAG 2.0-2.2 A/AA plus axe best practices
+const AXE_RUN_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa', 'best-practice'];
+const AXE_IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+// Run an axe-core scan on the page as currently rendered (whatever viewport it is set to)
+async function runAxeScan(page) {
+  // Shadow AMD/CommonJS globals so axe always registers itself on window, even on sites using RequireJS
+  await page.evaluate(`(function () { var define, module, exports; ${axe.source} })();`);
+  return page.evaluate(async (runTags, impactOrder) => {
+    const results = await window.axe.run(document, {
+      runOnly: { type: 'tag', values: runTags },
+      resultTypes: ['violations', 'incomplete']
+    });
+    const summarize = (rule) => ({
+      id: rule.id,
+      impact: rule.impact || 'minor',
+      help: rule.help,
+      description: rule.description,
+      helpUrl: rule.helpUrl,
+      wcagTags: rule.tags.filter(tag => /^wcag\d/.test(tag)),
+      nodeCount: rule.nodes.length,
+      targets: rule.nodes.slice(0, 10).map(node => ({
+        selector: node.target.join(' '),
+        html: node.html.substring(0, 200),
+        failureSummary: (node.failureSummary || '').substring(0, 300)
+      }))
+    });
+    const byImpact = (a, b) => impactOrder.indexOf(a.impact) - impactOrder.indexOf(b.impact);
+    return {
+      engine: results.testEngine.version,
+      violations: results.violations.map(summarize).sort(byImpact),
+      incomplete: results.incomplete.map(rule => ({ id: rule.id, impact: rule.impact || 'minor', help: rule.help, nodeCount: rule.nodes.length })),
+      passes: results.passes.length
+    };
+  }, AXE_RUN_TAGS, AXE_IMPACT_ORDER);
+}
+
+// Screenshots - JPEG, above the fold plus full page (cut off on very long pages)
+const SCREENSHOT_QUALITY = 70;
+const SCREENSHOT_MAX_HEIGHT = 8000; // CSS pixels
+
+// Visual analysis - send the screenshots to the model along with the prompt.
+// On by default; VISUAL_ANALYSIS=false turns it off server-wide, a request can still opt in or out
+const VISUAL_ANALYSIS_DEFAULT = process.env.VISUAL_ANALYSIS !== 'false';
+
+// Checklist items (auditOptions category -> item keys) the model should judge from the screenshots
+const VISUAL_ANALYSIS_ITEMS = {
+  userJourneys: ['mobileVsDesktop'],
+  userExperience: ['navigation', 'ctaPlacement', 'interactions', 'trustElements'],
+  contentAssessment: ['messageClarity', 'imageQuality', 'engagingOpening'],
+  accessibility: ['colorAlone']
+};
+
+// Capture above-the-fold and full-page screenshots in the page's current viewport.
+// scale shrinks the image (mobile renders at 3x device pixels, which makes huge files)
+async function captureScreenshots(page, viewportName, scale = 1, deviceLabel = viewportName) {
+  const viewport = page.viewport();
+  const pixelRatio = (viewport.deviceScaleFactor || 1) * scale;
+  const pageHeight = await page.evaluate(() => Math.max(document.body.scrollHeight, document.documentElement.scrollHeight));
+  const shots = [
+    { kind: 'fold', height: viewport.height },
+    { kind: 'full', height: Math.max(Math.min(pageHeight, SCREENSHOT_MAX_HEIGHT), viewport.height) }
+  ];
+  
+  const screenshots = [];
+  for (const shot of shots) {
+    const data = await page.screenshot({
+      type: 'jpeg',
+      quality: SCREENSHOT_QUALITY,
+      clip: { x: 0, y: 0, width: viewport.width, height: shot.height, scale },
+      captureBeyondViewport: shot.kind === 'full'
+    });
+    screenshots.push({
+      name: `${viewportName}-${shot.kind}.jpg`,
+      viewport: viewportName,
+      device: deviceLabel,
+      viewportWidth: viewport.width,
+      viewportHeight: viewport.height,
+      kind: shot.kind,
+      width: Math.round(viewport.width * pixelRatio),
+      height: Math.round(shot.height * pixelRatio),
+      truncated: shot.kind === 'full' && pageHeight > SCREENSHOT_MAX_HEIGHT,
+      data: Buffer.from(data)
+    });
+  }
+  return screenshots;
+}
+
+// Pair screenshot metadata with the image data for a multimodal model request
+function buildVisualAnalysisImages(screenshots, screenshotFiles) {
+  return (screenshots || []).map(screenshot => {
+    const file = screenshotFiles.find(f => f.name === screenshot.name);
+    if (!file) return null;
+    return {
+      mimeType: 'image/jpeg',
+      data: file.data,
+      description: `${screenshot.device} (${screenshot.viewportWidth}x${screenshot.viewportHeight}), ${screenshot.kind === 'fold' ? 'above the fold' : 'full page'}${screenshot.truncated ? ` (cut off at ${SCREENSHOT_MAX_HEIGHT}px)` : ''}`
+    };
+  }).filter(Boolean);
+}
+
 // Simple fetch function (fallback when Puppeteer fails)
-async function fetchWebsiteSimple(url) {
+async function fetchWebsiteSimple(url, auth = null) {
   try {
     console.log(`[${new Date().toISOString()}] Fetching website with simple fetch: ${url}`);
     
@@ -61,7 +249,8 @@ async function fetchWebsiteSimple(url) {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5'
+          'Accept-Language': 'en-US,en;q=0.5',
+          ...authRequestHeaders(auth)
         }
       });
     } else {
@@ -77,7 +266,8 @@ async function fetchWebsiteSimple(url) {
         const req = client.get(url, {
           headers: {
             'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+            ...authRequestHeaders(auth)
           }
         }, (res) => {
           let data = '';
@@ -141,6 +331,7 @@ async function fetchWebsiteSimple(url) {
       html: html.substring(0, 200000),
       structuredData,
       mobileData: null, // Simple fetch can't capture mobile viewport
+      devices: null,
       fetchedAt: new Date().toISOString()
     };
   } catch (error) {
@@ -148,37 +339,446 @@ async function fetchWebsiteSimple(url) {
   }
 }
 
+// Authentication for staging sites and pages behind a login: HTTP basic auth, extra request headers, cookies and an
+// optional scripted login run in the browser before the analysis. Credentials only live in memory while the audit
+// runs - stored audits get describeAuth()'s summary, never the values
+const AUTH_LOGIN_TIMEOUT = 30000;
+const PSI_AUTH_SKIPPED = 'Skipped - PageSpeed Insights cannot reach pages behind authentication';
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Check a request's "auth" object - returns an error message or null
+function validateAuth(auth) {
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+    return 'auth must be an object';
+  }
+  const { basic, headers, cookies, login } = auth;
+  if (basic !== undefined && (!basic || typeof basic.username !== 'string' || typeof basic.password !== 'string')) {
+    return 'auth.basic needs a username and password';
+  }
+  if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+      Object.entries(headers).some(([name, value]) => !HEADER_NAME_PATTERN.test(name) || typeof value !== 'string'))) {
+    return 'auth.headers must map header names to string values';
+  }
+  if (cookies !== undefined && (!Array.isArray(cookies) ||
+      cookies.some(cookie => !cookie || typeof cookie.name !== 'string' || !cookie.name || typeof cookie.value !== 'string' ||
+        (cookie.domain !== undefined && typeof cookie.domain !== 'string') || (cookie.path !== undefined && typeof cookie.path !== 'string')))) {
+    return 'auth.cookies must be a list of { name, value, domain?, path? } objects';
+  }
+  if (login !== undefined) {
+    if (!login || typeof login.url !== 'string' || !/^https?:\/\//i.test(login.url)) {
+      return 'auth.login.url must be the http(s) URL of the login page';
+    }
+    if (!Array.isArray(login.fields) || login.fields.some(field => !field || typeof field.selector !== 'string' || !field.selector || typeof field.value !== 'string')) {
+      return 'auth.login.fields must be a list of { selector, value } objects';
+    }
+    if ((login.submit !== undefined && typeof login.submit !== 'string') || (login.waitFor !== undefined && typeof login.waitFor !== 'string')) {
+      return 'auth.login.submit and auth.login.waitFor must be CSS selectors';
+    }
+    if (!puppeteer) {
+      return 'auth.login needs Puppeteer, which is not available on this server';
+    }
+  }
+  return null;
+}
+
+// Auth settings for one audit run. session.cookies keeps the cookies of a scripted login so crawled pages
+// don't log in again
+function prepareAuth(auth) {
+  if (!auth) return null;
+  const { basic, headers, cookies, login } = auth;
+  return { basic, headers, cookies, login, session: { cookies: null } };
+}
+
+// What a stored audit keeps of the auth settings - which mechanisms were used, not the values
+function describeAuth(auth) {
+  if (!auth) return null;
+  return {
+    basic: !!auth.basic,
+    headers: Object.keys(auth.headers || {}),
+    cookies: (auth.cookies || []).map(cookie => cookie.name),
+    login: auth.login ? {
+      url: auth.login.url,
+      fields: auth.login.fields.map(field => field.selector),
+      submit: auth.login.submit || null,
+      waitFor: auth.login.waitFor || null
+    } : null
+  };
+}
+
+// Request headers carrying the auth settings, for plain HTTP requests (simple fetch)
+function authRequestHeaders(auth) {
+  if (!auth) return {};
+  const headers = { ...(auth.headers || {}) };
+  if (auth.basic) {
+    headers.Authorization = `Basic ${Buffer.from(`${auth.basic.username}:${auth.basic.password}`).toString('base64')}`;
+  }
+  const cookies = [...(auth.cookies || []), ...(auth.session?.cookies || [])];
+  if (cookies.length > 0) {
+    headers.Cookie = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+  return headers;
+}
+
+// Set up the browser page for an authenticated audit: credentials, headers and cookies, then the scripted
+// login unless an earlier page of this audit already logged in
+async function applyBrowserAuth(page, url, auth, progress) {
+  if (auth.basic) {
+    await page.authenticate({ username: auth.basic.username, password: auth.basic.password });
+  }
+  if (auth.headers && Object.keys(auth.headers).length > 0) {
+    await page.setExtraHTTPHeaders(auth.headers);
+  }
+  const cookies = [...(auth.cookies || []).map(cookie => (cookie.domain ? cookie : { ...cookie, url })), ...(auth.session.cookies || [])];
+  if (cookies.length > 0) {
+    await page.setCookie(...cookies);
+  }
+  if (!auth.login || auth.session.cookies) return;
+
+  const loginStage = startStage(progress, 'login', 'Scripted login');
+  try {
+    console.log(`[${new Date().toISOString()}] Logging in at ${auth.login.url}`);
+    await page.goto(auth.login.url, { waitUntil: 'networkidle2', timeout: AUTH_LOGIN_TIMEOUT });
+    for (const field of auth.login.fields) {
+      await page.waitForSelector(field.selector, { visible: true, timeout: AUTH_LOGIN_TIMEOUT });
+      await page.click(field.selector, { clickCount: 3 }); // select any prefilled text so typing replaces it
+      await page.type(field.selector, field.value);
+    }
+    // Logins that stay on the same page (SPAs) don't navigate, so a missing navigation is not an error
+    const navigation = page.waitForNavigation({ waitUntil: 'networkidle2', timeout: AUTH_LOGIN_TIMEOUT }).catch(() => null);
+    if (auth.login.submit) {
+      await page.click(auth.login.submit);
+    } else {
+      await page.keyboard.press('Enter');
+    }
+    if (auth.login.waitFor) {
+      await page.waitForSelector(auth.login.waitFor, { timeout: AUTH_LOGIN_TIMEOUT });
+    } else {
+      await navigation;
+    }
+    auth.session.cookies = await page.cookies();
+    loginStage.done(`Logged in, ${auth.session.cookies.length} session cookies`);
+  } catch (error) {
+    loginStage.fail(`Login failed: ${error.message}`);
+    const loginError = new Error(`Scripted login failed: ${error.message}`);
+    loginError.loginFailed = true;
+    throw loginError;
+  }
+}
+
+// Device profiles for the rendering pass. A request picks presets by name or passes custom profiles; missing
+// fields of a custom profile come from the preset of the same name, or from desktop/mobile defaults
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1';
+const DEVICE_PROFILES = {
+  desktop: { label: 'Desktop', width: 1920, height: 1080, deviceScaleFactor: 1, hasTouch: false, isMobile: false, userAgent: DESKTOP_USER_AGENT },
+  laptop: { label: 'Laptop', width: 1366, height: 768, deviceScaleFactor: 1, hasTouch: false, isMobile: false, userAgent: DESKTOP_USER_AGENT },
+  tablet: { label: 'Tablet', width: 820, height: 1180, deviceScaleFactor: 2, hasTouch: true, isMobile: true, userAgent: 'Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1' },
+  mobile: { label: 'Mobile', width: 390, height: 844, deviceScaleFactor: 3, hasTouch: true, isMobile: true, userAgent: MOBILE_USER_AGENT },
+  smallAndroid: { label: 'Small Android', width: 360, height: 640, deviceScaleFactor: 2, hasTouch: true, isMobile: true, userAgent: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36' }
+};
+const DEFAULT_DEVICES = ['desktop', 'mobile'];
+const MAX_DEVICE_PROFILES = 5;
+
+// Turn a request's "devices" list into full profiles. Throws when the list is invalid.
+// Two profiles get a role: 'desktop' (the desktop preset, else the first non-mobile profile - one is required) gets the full CSS
+// analysis, reflow and zoom tests; 'mobile' (the mobile preset, else the narrowest other mobile profile) feeds the
+// mobile checks. Screenshots are named after the role, or after the profile name for the other devices
+function resolveDeviceProfiles(devices = DEFAULT_DEVICES) {
+  if (!Array.isArray(devices) || devices.length === 0) {
+    throw new Error('devices must be a non-empty array of device profile names or objects');
+  }
+  if (devices.length > MAX_DEVICE_PROFILES) {
+    throw new Error(`At most ${MAX_DEVICE_PROFILES} device profiles can be rendered per audit`);
+  }
+
+  const profiles = devices.map(device => {
+    const custom = typeof device === 'string' ? { name: device } : device;
+    if (!custom || typeof custom !== 'object' || typeof custom.name !== 'string' || !/^[a-zA-Z0-9_-]{1,30}$/.test(custom.name)) {
+      throw new Error('Each device profile needs a name of up to 30 letters, digits, "-" or "_"');
+    }
+    const preset = DEVICE_PROFILES[custom.name];
+    if (!preset && typeof device === 'string') {
+      throw new Error(`Unknown device profile "${device}". Presets: ${Object.keys(DEVICE_PROFILES).join(', ')}`);
+    }
+    const isMobile = typeof custom.isMobile === 'boolean' ? custom.isMobile : preset ? preset.isMobile : !!custom.hasTouch;
+    const profile = {
+      name: custom.name,
+      label: custom.label || (preset && preset.label) || custom.name,
+      width: custom.width ?? (preset && preset.width),
+      height: custom.height ?? (preset && preset.height),
+      deviceScaleFactor: custom.deviceScaleFactor ?? (preset ? preset.deviceScaleFactor : 1),
+      hasTouch: typeof custom.hasTouch === 'boolean' ? custom.hasTouch : preset ? preset.hasTouch : isMobile,
+      isMobile,
+      userAgent: custom.userAgent || (preset ? preset.userAgent : isMobile ? MOBILE_USER_AGENT : DESKTOP_USER_AGENT)
+    };
+    if (!Number.isInteger(profile.width) || profile.width < 240 || profile.width > 3840 ||
+        !Number.isInteger(profile.height) || profile.height < 240 || profile.height > 2400) {
+      throw new Error(`Device profile "${profile.name}" needs an integer width and height between 240 and 3840 / 2400 pixels`);
+    }
+    if (typeof profile.deviceScaleFactor !== 'number' || profile.deviceScaleFactor < 1 || profile.deviceScaleFactor > 4) {
+      throw new Error(`Device profile "${profile.name}" needs a deviceScaleFactor between 1 and 4`);
+    }
+    if (typeof profile.label !== 'string' || profile.label.length > 60 || typeof profile.userAgent !== 'string' || profile.userAgent.length > 500) {
+      throw new Error(`Device profile "${profile.name}" has an invalid label or userAgent`);
+    }
+    if ((profile.name === 'desktop' && isMobile) || (profile.name === 'mobile' && !isMobile)) {
+      throw new Error(`Device profile "${profile.name}" must ${isMobile ? 'not ' : ''}be a mobile profile`);
+    }
+    return profile;
+  });
+
+  if (new Set(profiles.map(profile => profile.name)).size !== profiles.length) {
+    throw new Error('Device profile names must be unique');
+  }
+
+  if (profiles.every(profile => profile.isMobile)) {
+    throw new Error('devices must include at least one non-mobile profile (e.g. "desktop" or "laptop")');
+  }
+
+  const primary = profiles.find(profile => profile.name === 'desktop') || profiles.find(profile => !profile.isMobile);
+  const mobile = profiles.find(profile => profile.name === 'mobile') ||
+    profiles.filter(profile => profile !== primary && profile.isMobile).sort((a, b) => a.width - b.width)[0];
+  return profiles.map(profile => {
+    const role = profile === primary ? 'desktop' : profile === mobile ? 'mobile' : null;
+    return { ...profile, role, viewport: role || profile.name };
+  });
+}
+
+// Puppeteer viewport settings of a profile
+function deviceViewport(profile) {
+  return {
+    width: profile.width,
+    height: profile.height,
+    deviceScaleFactor: profile.deviceScaleFactor,
+    isMobile: profile.isMobile,
+    hasTouch: profile.hasTouch
+  };
+}
+
+// Browser pool - Chrome is launched once and shared by all audits, each audit gets its own incognito context
+// (separate cookies, storage and cache) that is thrown away afterwards
+const BROWSER_POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 1;
+const BROWSER_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES) || 4; // pages open at once across the pool
+const BROWSER_LAUNCH_OPTIONS = {
+  headless: 'new', // Use new headless mode
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--disable-blink-features=AutomationControlled',
+    '--window-size=1920,1080'
+  ],
+  timeout: 60000,
+  ignoreHTTPSErrors: true
+};
+
+// One slot per browser: { browser, launching, activePages }
+const browserSlots = Array.from({ length: BROWSER_POOL_SIZE }, () => ({ browser: null, launching: null, activePages: 0 }));
+const browserPageWaiters = []; // resolve callbacks of audits waiting for a free page
+let browserActivePages = 0;
+let browserPoolClosing = false;
+
+// Launch the slot's browser unless it is running - crashed or closed browsers are relaunched here
+async function ensureSlotBrowser(slot) {
+  if (slot.browser && slot.browser.isConnected()) return slot.browser;
+  if (!slot.launching) {
+    slot.launching = (async () => {
+      console.log(`[${new Date().toISOString()}] Launching pooled browser (${browserSlots.indexOf(slot) + 1}/${BROWSER_POOL_SIZE})`);
+      const browser = await puppeteer.launch(BROWSER_LAUNCH_OPTIONS);
+      browser.on('disconnected', () => {
+        if (slot.browser !== browser) return;
+        slot.browser = null;
+        if (!browserPoolClosing) {
+          console.warn(`[${new Date().toISOString()}] Pooled browser disconnected, it will be relaunched for the next audit`);
+        }
+      });
+      slot.browser = browser;
+      return browser;
+    })().finally(() => {
+      slot.launching = null;
+    });
+  }
+  return slot.launching;
+}
+
+// Wait for a free page, then open it in a fresh incognito context. Resolves to { page, release }
+async function acquireBrowserPage() {
+  if (browserPoolClosing) throw new Error('Browser pool is shutting down');
+  if (browserActivePages >= BROWSER_MAX_PAGES) {
+    // release() hands its page count straight to the waiter, so no newcomer can take it in between
+    await new Promise(resolve => browserPageWaiters.push(resolve));
+  } else {
+    browserActivePages++;
+  }
+
+  // Least busy browser first
+  const slot = browserSlots.reduce((best, candidate) => candidate.activePages < best.activePages ? candidate : best);
+  slot.activePages++;
+
+  let context;
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    if (context) {
+      try {
+        await context.close();
+      } catch (e) {
+        // Browser already gone
+      }
+    }
+    slot.activePages--;
+    const next = browserPageWaiters.shift();
+    if (next) {
+      next();
+    } else {
+      browserActivePages--;
+    }
+  };
+
+  try {
+    const browser = await ensureSlotBrowser(slot);
+    // createIncognitoBrowserContext was renamed to createBrowserContext in Puppeteer 22
+    context = browser.createBrowserContext ? await browser.createBrowserContext() : await browser.createIncognitoBrowserContext();
+    const page = await context.newPage();
+    return { page, release };
+  } catch (error) {
+    await release();
+    throw error;
+  }
+}
+
+function browserPoolStatus() {
+  return {
+    browsers: browserSlots.filter(slot => slot.browser && slot.browser.isConnected()).length,
+    maxBrowsers: BROWSER_POOL_SIZE,
+    activePages: browserActivePages,
+    maxPages: BROWSER_MAX_PAGES,
+    waiting: browserPageWaiters.length
+  };
+}
+
+// Close every pooled browser - used on shutdown, audits still holding a page fail with a browser error
+async function closeBrowserPool() {
+  browserPoolClosing = true;
+  await Promise.all(browserSlots.map(async slot => {
+    const browser = slot.browser || (slot.launching && await slot.launching.catch(() => null));
+    slot.browser = null;
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (e) {
+        // Ignore
+      }
+    }
+  }));
+}
+
+// Snapshot cache - results of fetchWebsiteContent and fetchPageSpeedInsights per normalized URL, kept in memory
+// so re-running an audit (another model, tweaked prompts) does not re-render the site or spend PSI quota again
+const SNAPSHOT_CACHE_TTL = (parseInt(process.env.SNAPSHOT_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+const SNAPSHOT_CACHE_MAX_ENTRIES = parseInt(process.env.SNAPSHOT_CACHE_MAX_ENTRIES) || 50;
+// Request "snapshot" values: 'auto' uses entries younger than the TTL, 'reuse' the last snapshot whatever
+// its age, 'refresh' always fetches (and updates the cache)
+const SNAPSHOT_MODES = ['auto', 'reuse', 'refresh'];
+const snapshotCache = new Map(); // `${kind} ${url}` -> { value, fetchedAt }, oldest first
+
+// Deep copy of a cached value - the audit pipeline mutates website content (PSI data, rule checks, screenshots)
+function cloneSnapshot(value) {
+  const copy = structuredClone(value);
+  // structuredClone turns Buffers into plain Uint8Arrays
+  [
+    ...((copy && copy.screenshots) || []),
+    ...((copy && copy.textSpacingTest && copy.textSpacingTest.screenshots) || []),
+    ...((copy && copy.colorSchemeTest && copy.colorSchemeTest.screenshots) || [])
+  ].forEach(screenshot => {
+    screenshot.data = Buffer.from(screenshot.data);
+  });
+  return copy;
+}
+
+// Run fetcher() through the snapshot cache. shouldCache(value) decides whether a fresh result is stored
+// (degraded or failed fetches are not), variant separates fetches of the same URL with different settings.
+// Resolves to { value, fetchedAt, cached }
+async function withSnapshotCache(kind, url, mode = 'auto', fetcher, shouldCache = value => !!value, variant = '') {
+  const key = `${kind} ${normalizeCrawlUrl(url, url) || url}${variant ? ` ${variant}` : ''}`;
+  const entry = snapshotCache.get(key);
+  if (entry && mode !== 'refresh' && (mode === 'reuse' || Date.now() - entry.fetchedAt < SNAPSHOT_CACHE_TTL)) {
+    console.log(`[${new Date().toISOString()}] Reusing cached ${kind} snapshot of ${url} (${Math.round((Date.now() - entry.fetchedAt) / 1000)}s old)`);
+    return { value: cloneSnapshot(entry.value), fetchedAt: entry.fetchedAt, cached: true };
+  }
+
+  const value = await fetcher();
+  const fetchedAt = Date.now();
+  if (shouldCache(value)) {
+    snapshotCache.delete(key);
+    snapshotCache.set(key, { value: cloneSnapshot(value), fetchedAt });
+    while (snapshotCache.size > SNAPSHOT_CACHE_MAX_ENTRIES) {
+      snapshotCache.delete(snapshotCache.keys().next().value);
+    }
+  }
+  return { value, fetchedAt, cached: false };
+}
+
+// Website snapshot through the cache - simple fetch fallbacks are not cached while Puppeteer is available.
+// Renderings with other device profiles or auth settings are cached separately (the key only holds a hash)
+function fetchWebsiteSnapshot(url, mode, options = {}) {
+  const auth = options.auth ? { ...options.auth, session: undefined } : null;
+  const variant = crypto.createHash('sha256').update(JSON.stringify({ devices: options.devices || null, auth })).digest('hex').substring(0, 16);
+  return withSnapshotCache('website', url, mode, () => fetchWebsiteContent(url, options), content => !!content && (!puppeteer || !!content.cssAnalysis), variant);
+}
+
+function fetchPageSpeedSnapshot(url, mode) {
+  return withSnapshotCache('psi', url, mode, () => fetchPageSpeedInsights(url));
+}
+
+// "3 min ago" style age for stage messages
+function formatSnapshotAge(ageSeconds) {
+  if (ageSeconds < 60) return `${ageSeconds}s ago`;
+  if (ageSeconds < 3600) return `${Math.round(ageSeconds / 60)} min ago`;
+  return `${Math.round(ageSeconds / 3600)} h ago`;
+}
+
+// Snapshot age as reported in audit responses
+function describeSnapshot(snapshot) {
+  return {
+    cached: snapshot.cached,
+    fetchedAt: new Date(snapshot.fetchedAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - snapshot.fetchedAt) / 1000)
+  };
+}
+
 // Website fetching function - tries Puppeteer first, falls back to simple fetch
-async function fetchWebsiteContent(url) {
+// options.progress receives stage events (see startStage), options.devices the resolved device profiles and
+// options.auth the prepared auth settings (see prepareAuth)
+async function fetchWebsiteContent(url, options = {}) {
+  const { progress, auth } = options;
+  const profiles = options.devices || resolveDeviceProfiles();
+  const primary = profiles.find(profile => profile.role === 'desktop');
+  
   // Try Puppeteer first if available
   if (puppeteer) {
-    let browser;
+    let lease;
+    const loadStage = startStage(progress, 'puppeteer', 'Load page in headless browser');
     try {
       console.log(`[${new Date().toISOString()}] Attempting to fetch with Puppeteer: ${url}`);
       
-      browser = await puppeteer.launch({
-        headless: 'new', // Use new headless mode
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-blink-features=AutomationControlled',
-          '--window-size=1920,1080'
-        ],
-        timeout: 60000,
-        ignoreHTTPSErrors: true
-      });
+      lease = await acquireBrowserPage();
+      const page = lease.page;
+      await installAuditHelpers(page);
       
-      const page = await browser.newPage();
+      // Render with the primary device profile first
+      await page.setUserAgent(primary.userAgent);
+      await page.setViewport(deviceViewport(primary));
       
-      // Set user agent
-      await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      await page.setViewport({ width: 1920, height: 1080 });
+      if (auth) {
+        await applyBrowserAuth(page, url, auth, progress);
+      }
       
       // Navigate with better error handling
       try {
@@ -259,13 +859,27 @@ async function fetchWebsiteContent(url) {
         textContent: $('body').text().replace(/\s+/g, ' ').trim().substring(0, 50000)
       };
       
-      console.log(`[${new Date().toISOString()}] Desktop content fetched successfully`);
+      console.log(`[${new Date().toISOString()}] ${primary.label} content fetched successfully`);
+      loadStage.done(`${primary.label} page loaded: ${structuredData.title}`);
+      
+      // Screenshot the desktop rendering before the analysis below starts focusing elements
+      const screenshots = [];
+      const desktopScreenshotStage = startStage(progress, 'desktopScreenshots', 'Desktop screenshots');
+      try {
+        screenshots.push(...await captureScreenshots(page, primary.viewport, 1, primary.label));
+        desktopScreenshotStage.done();
+      } catch (screenshotError) {
+        console.warn(`[${new Date().toISOString()}] Desktop screenshots failed: ${screenshotError.message}`);
+        desktopScreenshotStage.fail(`Desktop screenshots failed: ${screenshotError.message}`);
+      }
       
       // Extract comprehensive CSS and rendered HTML analysis for desktop
       console.log(`[${new Date().toISOString()}] Extracting CSS and rendered HTML analysis...`);
+      const cssStage = startStage(progress, 'cssAnalysis', 'Analyze desktop CSS');
       let desktopCSSAnalysis = null;
       try {
         desktopCSSAnalysis = await page.evaluate(() => {
+          const { describeElement, parseCssColor, blendColors, formatCssColor, colorContrastRatio, effectiveBackground, effectiveOpacity } = window.__auditHelpers;
           const getComputedStyle = (el, prop) => {
             try {
               return window.getComputedStyle(el).getPropertyValue(prop);
@@ -287,10 +901,35 @@ async function fetchWebsiteContent(url) {
             }).join('');
           };
           
-          const getContrastRatio = (color1, color2) => {
-            // Simplified contrast calculation - returns approximate ratio
-            // For accurate calculation, we'd need proper luminance calculation
-            return 'calculated_from_colors';
+          // The page canvas of the default light render
+          const white = { r: 255, g: 255, b: 255, a: 1 };
+          
+          // Large text per WCAG: at least 18pt (24px), or 14pt (18.66px) bold
+          const isLargeText = (styles) => {
+            const fontSize = parseFloat(styles.fontSize) || 0;
+            const fontWeight = parseInt(styles.fontWeight) || 400;
+            return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+          };
+          
+          const isRendered = (el, styles) => {
+            if (styles.display === 'none' || styles.visibility === 'hidden') return false;
+            const rect = el.getBoundingClientRect();
+            return rect.width > 0 && rect.height > 0;
+          };
+          
+          // Contrast of a foreground color (text, border) against the element's effective background
+          const measureContrast = (el, foreground, background) => {
+            const fg = parseCssColor(foreground);
+            if (!fg) return null;
+            const bg = background || effectiveBackground(el, white);
+            const opacity = effectiveOpacity(el);
+            const visibleFg = blendColors({ ...fg, a: fg.a * opacity }, bg.color);
+            return {
+              ratio: colorContrastRatio(visibleFg, bg.color),
+              foreground: formatCssColor(visibleFg),
+              background: formatCssColor(bg.color),
+              hasBackgroundImage: bg.hasBackgroundImage
+            };
           };
           
           // Analyze links
@@ -355,12 +994,24 @@ async function fetchWebsiteContent(url) {
                 }
               }
               
+              // Placeholder text is text too, so it needs 4.5:1 (3:1 when large)
+              let placeholderContrast = null;
+              if (placeholder && isRendered(input, styles)) {
+                const placeholderStyles = window.getComputedStyle(input, '::placeholder');
+                const measured = measureContrast(input, placeholderStyles.color || styles.color);
+                if (measured) {
+                  const required = isLargeText(placeholderStyles) ? 3 : 4.5;
+                  placeholderContrast = { ...measured, required, passes: measured.ratio >= required };
+                }
+              }
+              
               formElements.push({
                 type: input.type || input.tagName.toLowerCase(),
                 name: input.name || '',
                 id: input.id || '',
                 placeholder: placeholder,
-                placeholderColor: placeholderColor,
+                placeholderColor: placeholderContrast ? placeholderContrast.foreground : placeholderColor,
+                placeholderContrast: placeholderContrast,
                 color: styles.color,
                 backgroundColor: styles.backgroundColor,
                 borderColor: styles.borderColor,
@@ -617,18 +1268,112 @@ async function fetchWebsiteContent(url) {
               const styles = window.getComputedStyle(el);
               const borderColor = styles.borderColor;
               const backgroundColor = styles.backgroundColor;
+              const hasBorder = styles.borderStyle !== 'none' && (parseFloat(styles.borderWidth) || 0) > 0;
+              
+              // The component is identifiable if its border or its fill reaches 3:1 against what surrounds it
+              let contrast = null;
+              if (isRendered(el, styles)) {
+                const surrounding = el.parentElement ? effectiveBackground(el.parentElement, white) : { color: white, hasBackgroundImage: false };
+                const borderContrast = hasBorder ? measureContrast(el, borderColor, surrounding) : null;
+                const fill = parseCssColor(backgroundColor);
+                const fillContrast = fill && fill.a > 0 ? measureContrast(el, backgroundColor, surrounding) : null;
+                const best = [borderContrast, fillContrast].filter(Boolean).sort((a, b) => b.ratio - a.ratio)[0];
+                if (best) {
+                  contrast = {
+                    ratio: best.ratio,
+                    measuredAgainst: best === borderContrast ? 'border' : 'background',
+                    surroundingColor: best.background,
+                    required: 3,
+                    passes: best.ratio >= 3,
+                    hasBackgroundImage: best.hasBackgroundImage
+                  };
+                } else if (el.matches('select, input:not([type="checkbox"]):not([type="radio"]):not([type="range"]):not([type="color"]):not([type="file"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"])')) {
+                  // A text field with neither border nor fill has no visible boundary at all
+                  contrast = { ratio: 1, measuredAgainst: 'none', surroundingColor: formatCssColor(surrounding.color), required: 3, passes: false, hasBackgroundImage: surrounding.hasBackgroundImage };
+                }
+              }
               
               uiComponents.push({
                 element: el.tagName.toLowerCase(),
-                text: el.textContent.trim().substring(0, 30),
+                selector: describeElement(el),
+                text: (el.textContent.trim() || el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.getAttribute('value') || '').substring(0, 30),
                 borderColor: borderColor,
                 backgroundColor: backgroundColor,
-                hasBorder: styles.borderWidth !== '0px'
+                hasBorder: hasBorder,
+                contrast: contrast
               });
             }
           });
           
+          // Compute text contrast for every rendered element that directly contains text
+          const textContrastFailures = [];
+          let textElementsChecked = 0;
+          let textElementsPassing = 0;
+          const textElements = new Set();
+          const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+          while (walker.nextNode() && textElements.size < 400) {
+            const parent = walker.currentNode.parentElement;
+            if (walker.currentNode.textContent.trim() && parent && !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(parent.tagName)) {
+              textElements.add(parent);
+            }
+          }
+          textElements.forEach(el => {
+            const styles = window.getComputedStyle(el);
+            if (!isRendered(el, styles)) return;
+            const measured = measureContrast(el, styles.color);
+            if (!measured) return;
+            textElementsChecked++;
+            const large = isLargeText(styles);
+            const required = large ? 3 : 4.5;
+            if (measured.ratio >= required) {
+              textElementsPassing++;
+              return;
+            }
+            textContrastFailures.push({
+              selector: describeElement(el),
+              text: el.textContent.trim().replace(/\s+/g, ' ').substring(0, 60),
+              ratio: measured.ratio,
+              required,
+              isLargeText: large,
+              foreground: measured.foreground,
+              background: measured.background,
+              fontSize: styles.fontSize,
+              fontWeight: styles.fontWeight,
+              hasBackgroundImage: measured.hasBackgroundImage
+            });
+          });
+          textContrastFailures.sort((a, b) => a.ratio - b.ratio);
+          
+          const placeholdersMeasured = formElements.filter(el => el.placeholderContrast);
+          const uiComponentsMeasured = uiComponents.filter(comp => comp.contrast);
+          
           return {
+            contrast: {
+              text: {
+                checked: textElementsChecked,
+                passing: textElementsPassing,
+                failing: textContrastFailures.length,
+                failures: textContrastFailures.slice(0, 25)
+              },
+              placeholders: {
+                checked: placeholdersMeasured.length,
+                failing: placeholdersMeasured.filter(el => !el.placeholderContrast.passes).length,
+                failures: placeholdersMeasured.filter(el => !el.placeholderContrast.passes).map(el => ({
+                  field: el.name || el.id || el.type,
+                  placeholder: el.placeholder.substring(0, 50),
+                  ...el.placeholderContrast
+                }))
+              },
+              uiComponents: {
+                checked: uiComponentsMeasured.length,
+                failing: uiComponentsMeasured.filter(comp => !comp.contrast.passes).length,
+                failures: uiComponentsMeasured.filter(comp => !comp.contrast.passes).map(comp => ({
+                  selector: comp.selector,
+                  text: comp.text,
+                  ...comp.contrast
+                }))
+              }
+            },
             links: {
               total: document.querySelectorAll('a').length,
               analyzed: links.length,
@@ -678,14 +1423,38 @@ async function fetchWebsiteContent(url) {
         });
         
         console.log(`[${new Date().toISOString()}] CSS analysis extracted successfully`);
+        cssStage.done();
       } catch (cssError) {
         console.warn(`[${new Date().toISOString()}] CSS analysis failed: ${cssError.message}`);
+        cssStage.fail(`CSS analysis failed: ${cssError.message}`);
         desktopCSSAnalysis = null;
       }
       
+      // Scan the desktop rendering with axe-core
+      console.log(`[${new Date().toISOString()}] Running axe-core scan (desktop)...`);
+      const axeDesktopStage = startStage(progress, 'axeDesktop', 'axe-core scan (desktop)');
+      const axeResults = { desktop: null, mobile: null };
+      try {
+        axeResults.desktop = await runAxeScan(page);
+        console.log(`[${new Date().toISOString()}] axe-core desktop scan: ${axeResults.desktop.violations.length} violations`);
+        axeDesktopStage.done(`${axeResults.desktop.violations.length} violations`);
+      } catch (axeError) {
+        console.warn(`[${new Date().toISOString()}] axe-core desktop scan failed: ${axeError.message}`);
+        axeDesktopStage.fail(`axe-core scan failed: ${axeError.message}`);
+      }
+      
       // Test reflow at 320px width
       console.log(`[${new Date().toISOString()}] Testing reflow at 320px width...`);
+      const reflowStage = startStage(progress, 'reflowTest', 'Reflow test (320px)');
       let reflowTest = null;
+      let layoutBaseline = false;
+      try {
+        // Which elements are clipped or hidden at the primary viewport already, so only new breakage is reported
+        await page.evaluate(markLayoutBaseline, LAYOUT_MAX_ELEMENTS);
+        layoutBaseline = true;
+      } catch (baselineError) {
+        console.warn(`[${new Date().toISOString()}] Layout baseline failed: ${baselineError.message}`);
+      }
       try {
         await page.setViewport({ width: 320, height: 800 });
         await new Promise(resolve => setTimeout(resolve, 2000)); // Wait for layout to adjust
@@ -705,375 +1474,207 @@ async function fetchWebsiteContent(url) {
           };
         });
         
+        if (layoutBaseline) {
+          reflowTest.offenders = await page.evaluate(findLayoutOffenders, LAYOUT_OFFENDER_LIMIT);
+        }
+        
         console.log(`[${new Date().toISOString()}] Reflow test completed: ${reflowTest.meetsReflowRequirement ? 'PASS' : 'FAIL'}`);
+        reflowStage.done(`${reflowTest.meetsReflowRequirement ? 'PASS' : 'FAIL'}${reflowTest.offenders ? `, ${reflowTest.offenders.total} offending elements` : ''}`);
       } catch (reflowError) {
         console.warn(`[${new Date().toISOString()}] Reflow test failed: ${reflowError.message}`);
+        reflowStage.fail(`Reflow test failed: ${reflowError.message}`);
         reflowTest = null;
       }
       
       // Test zoom at 200%
       console.log(`[${new Date().toISOString()}] Testing zoom at 200%...`);
+      const zoomStage = startStage(progress, 'zoomTest', 'Zoom test (200%)');
       let zoomTest = null;
       try {
         // Reset to original viewport first
-        await page.setViewport({ width: 1920, height: 1080 });
+        await page.setViewport(deviceViewport(primary));
         await new Promise(resolve => setTimeout(resolve, 1000));
         
-        // Apply 200% zoom using CSS transform
-        zoomTest = await page.evaluate(() => {
-          const originalBodyWidth = document.body.scrollWidth;
-          const originalBodyHeight = document.body.scrollHeight;
-          
-          // Apply zoom via CSS
-          document.body.style.zoom = '2';
-          document.documentElement.style.zoom = '2';
-          
-          // Wait a bit for zoom to apply
-          return new Promise((resolve) => {
-            setTimeout(() => {
-              const newBodyWidth = document.body.scrollWidth;
-              const newBodyHeight = document.body.scrollHeight;
-              const viewportWidth = window.innerWidth;
-              const viewportHeight = window.innerHeight;
-              
-              // Check if content is still accessible (not cut off)
-              const hasHorizontalScroll = newBodyWidth > viewportWidth;
-              const hasVerticalScroll = newBodyHeight > viewportHeight;
-              
-              // Reset zoom
-              document.body.style.zoom = '1';
-              document.documentElement.style.zoom = '1';
-              
-              resolve({
-                zoomLevel: 2,
-                originalWidth: originalBodyWidth,
-                originalHeight: originalBodyHeight,
-                zoomedWidth: newBodyWidth,
-                zoomedHeight: newBodyHeight,
-                viewportWidth: viewportWidth,
-                viewportHeight: viewportHeight,
-                hasHorizontalScroll: hasHorizontalScroll,
-                hasVerticalScroll: hasVerticalScroll,
-                // Content should still be accessible even with scrolling
-                meetsZoomRequirement: true // Scrolling is acceptable, just need to check if content is readable
-              });
-            }, 500);
-          });
-        });
+        // Browser zoom at 200% halves the layout viewport in CSS pixels and doubles the device pixel ratio -
+        // emulate exactly that, so media queries and layout respond as they do for a zooming user
+        const original = await page.evaluate(() => ({ width: document.body.scrollWidth, height: document.body.scrollHeight }));
+        const zoomedViewport = deviceViewport(primary);
+        zoomedViewport.width = Math.round(zoomedViewport.width / 2);
+        zoomedViewport.height = Math.round(zoomedViewport.height / 2);
+        zoomedViewport.deviceScaleFactor = (zoomedViewport.deviceScaleFactor || 1) * 2;
+        await page.setViewport(zoomedViewport);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        
+        const zoomed = await page.evaluate(() => ({
+          width: document.body.scrollWidth,
+          height: document.body.scrollHeight,
+          viewportWidth: document.documentElement.clientWidth,
+          viewportHeight: window.innerHeight
+        }));
+        const offenders = layoutBaseline ? await page.evaluate(findLayoutOffenders, LAYOUT_OFFENDER_LIMIT) : null;
+        zoomTest = {
+          zoomLevel: 2,
+          method: 'viewport emulation',
+          originalWidth: original.width,
+          originalHeight: original.height,
+          zoomedWidth: zoomed.width,
+          zoomedHeight: zoomed.height,
+          viewportWidth: zoomed.viewportWidth,
+          viewportHeight: zoomed.viewportHeight,
+          hasHorizontalScroll: zoomed.width > zoomed.viewportWidth,
+          hasVerticalScroll: zoomed.height > zoomed.viewportHeight,
+          // Scrolling is acceptable at 200%, content that gets cut off or pushed out of reach is not
+          meetsZoomRequirement: offenders ? offenders.counts.clipped === 0 && offenders.counts.offscreen === 0 : true,
+          offenders
+        };
         
         console.log(`[${new Date().toISOString()}] Zoom test completed`);
+        zoomStage.done(`${zoomTest.meetsZoomRequirement ? 'PASS' : 'FAIL'}${offenders ? `, ${offenders.total} offending elements` : ''}`);
       } catch (zoomError) {
         console.warn(`[${new Date().toISOString()}] Zoom test failed: ${zoomError.message}`);
+        zoomStage.fail(`Zoom test failed: ${zoomError.message}`);
         zoomTest = null;
       }
       
-      // Reset viewport to desktop size
-      await page.setViewport({ width: 1920, height: 1080 });
+      // Reset viewport to the primary profile
+      await page.setViewport(deviceViewport(primary));
       await new Promise(resolve => setTimeout(resolve, 500));
+      await page.evaluate(() => delete window.__auditLayout).catch(() => {});
       
-      // Now capture mobile viewport data
-      console.log(`[${new Date().toISOString()}] Capturing mobile viewport data...`);
-      let mobileData = null;
+      // Apply the WCAG 1.4.12 text-spacing overrides and look for text they break
+      console.log(`[${new Date().toISOString()}] Testing text spacing overrides...`);
+      const textSpacingStage = startStage(progress, 'textSpacingTest', 'Text spacing test (WCAG 1.4.12)');
+      let textSpacingTest = null;
       try {
-        // Set mobile user agent first
-        await page.setUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1');
-        
-        // Set mobile viewport (iPhone 12 Pro dimensions - common mobile size)
-        await page.setViewport({ 
-          width: 390, 
-          height: 844,
-          deviceScaleFactor: 3, // Retina display
-          isMobile: true,
-          hasTouch: true
-        });
-        
-        // Verify viewport was set
-        const viewportCheck = await page.evaluate(() => ({
-          width: window.innerWidth,
-          height: window.innerHeight
-        }));
-        console.log(`[${new Date().toISOString()}] Mobile viewport set: ${viewportCheck.width}x${viewportCheck.height}`);
+        textSpacingTest = await runTextSpacingTest(page);
+        console.log(`[${new Date().toISOString()}] Text spacing test completed: ${textSpacingTest.total} problems in ${textSpacingTest.checked} text elements`);
+        textSpacingStage.done(textSpacingTest.total > 0 ? `FAIL: ${textSpacingTest.total} elements clipped, overflowing or overlapping` : 'PASS');
+      } catch (textSpacingError) {
+        console.warn(`[${new Date().toISOString()}] Text spacing test failed: ${textSpacingError.message}`);
+        textSpacingStage.fail(`Text spacing test failed: ${textSpacingError.message}`);
+      }
+      
+      // Press Tab through the page to record the real focus order and focus styles
+      console.log(`[${new Date().toISOString()}] Testing keyboard navigation...`);
+      const keyboardStage = startStage(progress, 'keyboardTest', 'Keyboard navigation (Tab order)');
+      let keyboardTest = null;
+      try {
+        keyboardTest = await runKeyboardTest(page);
+        console.log(`[${new Date().toISOString()}] Keyboard test completed: ${keyboardTest.tabStops} tab stops, ${keyboardTest.withoutVisibleFocus} without visible focus`);
+        keyboardStage.done(`${keyboardTest.tabStops} tab stops, ${keyboardTest.withoutVisibleFocus} without visible focus${keyboardTest.trap ? ', focus trap found' : ''}`);
+      } catch (keyboardError) {
+        console.warn(`[${new Date().toISOString()}] Keyboard test failed: ${keyboardError.message}`);
+        keyboardStage.fail(`Keyboard test failed: ${keyboardError.message}`);
+      }
+      
+      // Hover, focus and press a sample of interactive elements and diff their rendering
+      console.log(`[${new Date().toISOString()}] Simulating interactive states...`);
+      const statesStage = startStage(progress, 'stateSimulation', 'Hover, focus and press states');
+      let interactionStates = null;
+      try {
+        interactionStates = await runStateSimulation(page);
+        console.log(`[${new Date().toISOString()}] State simulation completed: ${interactionStates.sampled} elements`);
+        statesStage.done(`${interactionStates.sampled} elements, ${interactionStates.hover.none} without a hover change, ${interactionStates.focus.none} without a focus change`);
+      } catch (statesError) {
+        console.warn(`[${new Date().toISOString()}] State simulation failed: ${statesError.message}`);
+        statesStage.fail(`State simulation failed: ${statesError.message}`);
+      }
+      
+      // Measure the primary rendering the same way as the other profiles, for the device comparison
+      const devices = [];
+      try {
+        devices.push(summarizeDevice(primary, await measureDeviceLayout(page), axeResults.desktop));
+      } catch (measureError) {
+        console.warn(`[${new Date().toISOString()}] ${primary.label} layout measurement failed: ${measureError.message}`);
+        devices.push(summarizeDevice(primary, null, axeResults.desktop));
+      }
+      
+      // Watch the page's motion, then reload it with prefers-reduced-motion: reduce and compare
+      console.log(`[${new Date().toISOString()}] Testing reduced motion and flashing...`);
+      const motionStage = startStage(progress, 'motionTest', 'Reduced motion and flashing');
+      let motionTest = null;
+      try {
+        motionTest = await runMotionTest(page);
+        console.log(`[${new Date().toISOString()}] Motion test completed: ${motionTest.ignored.length} motion issues ignoring reduced motion, ${motionTest.flashing.length} flashing`);
+        motionStage.done(`${motionTest.respectsReducedMotion ? 'Reduced motion respected' : `${motionTest.ignored.length} effects ignore reduced motion`}${motionTest.flashing.length > 0 ? `, ${motionTest.flashing.length} flashing` : ''}`);
+      } catch (motionError) {
+        console.warn(`[${new Date().toISOString()}] Motion test failed: ${motionError.message}`);
+        motionStage.fail(`Motion test failed: ${motionError.message}`);
+      }
+      
+      // Render the page again in dark mode and with forced colors and look for what gets lost
+      console.log(`[${new Date().toISOString()}] Testing dark mode and forced colors...`);
+      const colorSchemeStage = startStage(progress, 'colorSchemeTest', 'Dark mode and forced colors');
+      let colorSchemeTest = null;
+      try {
+        colorSchemeTest = await runColorSchemeTest(page);
+        console.log(`[${new Date().toISOString()}] Color scheme test completed: ${colorSchemeTest.modes.map(mode => `${mode.label} ${mode.regressionCount} regressions, ${mode.disappearedCount} disappeared`).join('; ')}`);
+        colorSchemeStage.done([
+          ...colorSchemeTest.modes.map(mode => `${mode.label}: ${mode.regressionCount} contrast regressions, ${mode.disappearedCount} elements disappear`),
+          ...colorSchemeTest.failed.map(mode => `${mode.label} failed`)
+        ].join('; '));
+      } catch (colorSchemeError) {
+        console.warn(`[${new Date().toISOString()}] Color scheme test failed: ${colorSchemeError.message}`);
+        colorSchemeStage.fail(`Color scheme test failed: ${colorSchemeError.message}`);
+      }
+      
+      // Render every other device profile in turn - the one in the mobile role provides mobileData and the mobile axe scan
+      let mobileData = null;
+      for (const profile of profiles.filter(candidate => candidate !== primary)) {
+        const isMobileRole = profile.role === 'mobile';
+        const stageIds = isMobileRole ? ['mobileCapture', 'mobileScreenshots', 'axeMobile'] : ['deviceCapture', 'deviceScreenshots', 'axeDevice'];
+        const deviceProgress = progress && (event => progress({ ...event, device: profile.name }));
         
-        // Reload page with mobile viewport to ensure proper rendering
+        console.log(`[${new Date().toISOString()}] Capturing ${profile.label} viewport data...`);
+        const captureStage = startStage(deviceProgress, stageIds[0], `Capture ${profile.label} viewport (${profile.width}x${profile.height})`);
+        let capture;
         try {
-          await page.reload({ waitUntil: 'networkidle0', timeout: 45000 });
-        } catch (reloadError) {
-          console.warn('Mobile reload with networkidle0 failed, trying domcontentloaded:', reloadError.message);
-          try {
-            await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
-          } catch (reloadError2) {
-            console.warn('Mobile reload with domcontentloaded also failed, continuing:', reloadError2.message);
+          capture = await captureDeviceProfile(page, profile);
+          if (capture.error) {
+            captureStage.fallback(`${profile.label} capture failed (${capture.error}), using basic data`);
+          } else {
+            captureStage.done(`Touch targets: ${capture.data.touchTargets.compliant}/${capture.data.touchTargets.total} compliant`);
           }
+        } catch (captureError) {
+          captureStage.fail(`${profile.label} capture failed: ${captureError.message}`);
+          devices.push(summarizeDevice(profile, null, null));
+          continue;
         }
         
-        // Wait for mobile layout to stabilize - longer wait for CSS to apply
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        // Scroll to trigger lazy loading on mobile
-        await page.evaluate(async () => {
-          await new Promise((resolve) => {
-            let totalHeight = 0;
-            const distance = 100;
-            const timer = setInterval(() => {
-              const scrollHeight = document.body.scrollHeight;
-              window.scrollBy(0, distance);
-              totalHeight += distance;
-              
-              if(totalHeight >= scrollHeight){
-                clearInterval(timer);
-                window.scrollTo(0, 0); // Scroll back to top
-                resolve();
-              }
-            }, 100);
-          });
-        });
-        
-        // Wait again after scrolling
-        await new Promise(resolve => setTimeout(resolve, 1500));
+        const deviceScreenshotStage = startStage(deviceProgress, stageIds[1], `${profile.label} screenshots`);
+        try {
+          await page.evaluate(() => window.scrollTo(0, 0));
+          // High-DPR renderings are scaled down, they make huge files otherwise
+          screenshots.push(...await captureScreenshots(page, profile.viewport, profile.deviceScaleFactor > 1 ? 0.5 : 1, profile.label));
+          deviceScreenshotStage.done();
+        } catch (screenshotError) {
+          console.warn(`[${new Date().toISOString()}] ${profile.label} screenshots failed: ${screenshotError.message}`);
+          deviceScreenshotStage.fail(`${profile.label} screenshots failed: ${screenshotError.message}`);
+        }
         
-        // Get mobile HTML and extract mobile-specific data
-        const mobileHtml = await page.content();
-        const $mobile = cheerio.load(mobileHtml);
+        // Scan this rendering with axe-core
+        console.log(`[${new Date().toISOString()}] Running axe-core scan (${profile.label})...`);
+        const axeDeviceStage = startStage(deviceProgress, stageIds[2], `axe-core scan (${profile.label})`);
+        let axeScan = null;
+        try {
+          axeScan = await runAxeScan(page);
+          console.log(`[${new Date().toISOString()}] axe-core ${profile.label} scan: ${axeScan.violations.length} violations`);
+          axeDeviceStage.done(`${axeScan.violations.length} violations`);
+        } catch (axeError) {
+          console.warn(`[${new Date().toISOString()}] axe-core ${profile.label} scan failed: ${axeError.message}`);
+          axeDeviceStage.fail(`axe-core scan failed: ${axeError.message}`);
+        }
         
-        // Extract mobile-specific accessibility data with comprehensive CSS analysis
-        mobileData = await page.evaluate(() => {
-          const getElementSize = (el) => {
-            const rect = el.getBoundingClientRect();
-            return {
-              width: Math.round(rect.width),
-              height: Math.round(rect.height),
-              x: Math.round(rect.x),
-              y: Math.round(rect.y)
-            };
-          };
-          
-          const getComputedStyle = (el, prop) => {
-            return window.getComputedStyle(el).getPropertyValue(prop);
-          };
-          
-          // Check viewport meta tag
-          const viewportMeta = document.querySelector('meta[name="viewport"]');
-          const viewportContent = viewportMeta ? viewportMeta.getAttribute('content') : null;
-          
-          // Analyze touch targets (buttons, links, inputs)
-          const interactiveElements = [];
-          const selectors = ['button', 'a', 'input', 'select', 'textarea', '[role="button"]', '[tabindex]'];
-          
-          selectors.forEach(selector => {
-            document.querySelectorAll(selector).forEach((el, index) => {
-              if (index < 20) { // Limit to first 20 of each type
-                const size = getElementSize(el);
-                const fontSize = parseInt(getComputedStyle(el, 'font-size')) || 16;
-                const paddingTop = parseInt(getComputedStyle(el, 'padding-top')) || 0;
-                const paddingBottom = parseInt(getComputedStyle(el, 'padding-bottom')) || 0;
-                const paddingLeft = parseInt(getComputedStyle(el, 'padding-left')) || 0;
-                const paddingRight = parseInt(getComputedStyle(el, 'padding-right')) || 0;
-                
-                // Calculate effective touch target (including padding)
-                const effectiveWidth = size.width + paddingLeft + paddingRight;
-                const effectiveHeight = size.height + paddingTop + paddingBottom;
-                
-                interactiveElements.push({
-                  tag: el.tagName.toLowerCase(),
-                  text: el.textContent.trim().substring(0, 50),
-                  size: size,
-                  effectiveSize: {
-                    width: effectiveWidth,
-                    height: effectiveHeight
-                  },
-                  fontSize: fontSize,
-                  meetsWCAG: effectiveWidth >= 44 && effectiveHeight >= 44,
-                  hasLabel: el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent.trim().length > 0
-                });
-              }
-            });
-          });
-          
-          // Check spacing between interactive elements
-          const spacingIssues = [];
-          interactiveElements.forEach((el1, i) => {
-            interactiveElements.slice(i + 1).forEach(el2 => {
-              const distanceX = Math.abs(el1.size.x - el2.size.x);
-              const distanceY = Math.abs(el1.size.y - el2.size.y);
-              const minDistance = 8; // WCAG recommends at least 8px spacing
-              
-              if (distanceX < minDistance && distanceY < minDistance) {
-                spacingIssues.push({
-                  element1: el1.text.substring(0, 30),
-                  element2: el2.text.substring(0, 30),
-                  distance: Math.min(distanceX, distanceY)
-                });
-              }
-            });
-          });
-          
-          // Check for mobile-specific CSS (media queries)
-          const stylesheets = Array.from(document.styleSheets);
-          let hasMobileMediaQueries = false;
-          let mobileBreakpoints = [];
-          
-          stylesheets.forEach(sheet => {
-            try {
-              const rules = sheet.cssRules || [];
-              rules.forEach(rule => {
-                if (rule.type === CSSRule.MEDIA_RULE) {
-                  const mediaText = rule.media.mediaText;
-                  if (mediaText.includes('max-width') || mediaText.includes('min-width')) {
-                    hasMobileMediaQueries = true;
-                    mobileBreakpoints.push(mediaText);
-                  }
-                }
-              });
-            } catch (e) {
-              // Cross-origin stylesheets may throw errors
-            }
-          });
-          
-          // Check text size and readability
-          const bodyText = document.body;
-          const bodyFontSize = parseInt(getComputedStyle(bodyText, 'font-size')) || 16;
-          const bodyLineHeight = parseFloat(getComputedStyle(bodyText, 'line-height')) || 1.5;
-          
-          return {
-            viewport: {
-              width: window.innerWidth,
-              height: window.innerHeight,
-              metaTag: viewportContent,
-              hasViewportMeta: !!viewportMeta
-            },
-            touchTargets: {
-              total: interactiveElements.length,
-              compliant: interactiveElements.filter(el => el.meetsWCAG).length,
-              nonCompliant: interactiveElements.filter(el => !el.meetsWCAG).map(el => ({
-                element: el.text.substring(0, 50),
-                size: `${el.effectiveSize.width}x${el.effectiveSize.height}px`,
-                required: '44x44px minimum'
-              })),
-              details: interactiveElements.slice(0, 30) // Limit details
-            },
-            spacing: {
-              issues: spacingIssues.slice(0, 10) // Limit issues
-            },
-            responsive: {
-              hasMobileMediaQueries: hasMobileMediaQueries,
-              breakpoints: mobileBreakpoints.slice(0, 5)
-            },
-            typography: {
-              bodyFontSize: bodyFontSize,
-              bodyLineHeight: bodyLineHeight,
-              meetsMinimum: bodyFontSize >= 16
-            },
-            textContent: document.body.innerText.replace(/\s+/g, ' ').trim().substring(0, 30000),
-            // Add mobile CSS analysis similar to desktop
-            cssAnalysis: (() => {
-              const getComputedStyle = (el, prop) => {
-                try {
-                  return window.getComputedStyle(el).getPropertyValue(prop);
-                } catch (e) {
-                  return '';
-                }
-              };
-              
-              // Analyze links on mobile
-              const links = [];
-              document.querySelectorAll('a').forEach((link, index) => {
-                if (index < 20) {
-                  const styles = window.getComputedStyle(link);
-                  links.push({
-                    text: link.textContent.trim().substring(0, 50),
-                    hasUnderline: styles.textDecoration.includes('underline'),
-                    isBold: parseInt(styles.fontWeight) >= 600,
-                    fontSize: styles.fontSize
-                  });
-                }
-              });
-              
-              // Analyze spacing on mobile
-              const spacing = {
-                body: {
-                  lineHeight: getComputedStyle(document.body, 'line-height'),
-                  letterSpacing: getComputedStyle(document.body, 'letter-spacing')
-                }
-              };
-              
-              return {
-                links: { total: document.querySelectorAll('a').length, details: links },
-                spacing: spacing
-              };
-            })()
-          };
-        });
-        
-        // Parse mobile HTML structure
-        const mobileStructuredData = {
-          headings: {
-            h1: $mobile('h1').map((i, el) => $mobile(el).text()).get(),
-            h2: $mobile('h2').map((i, el) => $mobile(el).text()).get(),
-            h3: $mobile('h3').map((i, el) => $mobile(el).text()).get(),
-          },
-          buttons: $mobile('button, input[type="submit"], input[type="button"]').map((i, el) => ({
-            text: $mobile(el).text() || $mobile(el).attr('value') || '',
-            type: $mobile(el).attr('type') || 'button'
-          })).get(),
-          links: $mobile('a').map((i, el) => ({
-            text: $mobile(el).text().trim(),
-            href: $mobile(el).attr('href')
-          })).get().slice(0, 30),
-          forms: $mobile('form').length
-        };
-        
-        mobileData.structuredData = mobileStructuredData;
-        mobileData.html = mobileHtml.substring(0, 100000); // Smaller sample for mobile
-        
-        console.log(`[${new Date().toISOString()}] Mobile viewport data captured successfully`);
-        console.log(`[Mobile] Touch targets: ${mobileData.touchTargets.compliant}/${mobileData.touchTargets.total} compliant`);
-        
-      } catch (mobileError) {
-        console.error(`[${new Date().toISOString()}] Mobile viewport capture failed: ${mobileError.message}`);
-        console.error('Mobile error stack:', mobileError.stack);
-        // Try to capture at least basic mobile data even if detailed analysis fails
-        try {
-          const basicMobileData = await page.evaluate(() => {
-            return {
-              viewport: {
-                width: window.innerWidth,
-                height: window.innerHeight,
-                metaTag: document.querySelector('meta[name="viewport"]')?.getAttribute('content') || null,
-                hasViewportMeta: !!document.querySelector('meta[name="viewport"]')
-              },
-              touchTargets: {
-                total: document.querySelectorAll('button, a, input, select, textarea').length,
-                compliant: 0,
-                nonCompliant: []
-              },
-              spacing: { issues: [] },
-              responsive: { hasMobileMediaQueries: false, breakpoints: [] },
-              typography: {
-                bodyFontSize: parseInt(window.getComputedStyle(document.body).fontSize) || 16,
-                bodyLineHeight: parseFloat(window.getComputedStyle(document.body).lineHeight) || 1.5,
-                meetsMinimum: true
-              },
-              textContent: document.body.innerText.replace(/\s+/g, ' ').trim().substring(0, 10000),
-              structuredData: {
-                headings: { h1: [], h2: [], h3: [] },
-                buttons: [],
-                links: [],
-                forms: 0
-              },
-              html: document.documentElement.outerHTML.substring(0, 50000)
-            };
-          });
-          mobileData = basicMobileData;
-          console.log(`[${new Date().toISOString()}] Basic mobile data captured as fallback`);
-        } catch (fallbackError) {
-          console.error(`[${new Date().toISOString()}] Mobile fallback capture also failed: ${fallbackError.message}`);
-          mobileData = null;
+        if (isMobileRole) {
+          mobileData = capture.data;
+          axeResults.mobile = axeScan;
         }
+        devices.push(summarizeDevice(profile, capture.data, axeScan));
       }
       
-      // Close browser
-      await browser.close();
-      browser = null;
+      // Hand the page back to the pool
+      await lease.release();
+      lease = null;
       
       console.log(`[${new Date().toISOString()}] Website fetched successfully with Puppeteer`);
       
@@ -1084,697 +1685,4710 @@ async function fetchWebsiteContent(url) {
         cssAnalysis: desktopCSSAnalysis,
         reflowTest: reflowTest,
         zoomTest: zoomTest,
+        textSpacingTest,
+        keyboardTest,
+        interactionStates,
+        motionTest,
+        colorSchemeTest,
         mobileData: mobileData,
+        axeResults: axeResults.desktop || axeResults.mobile ? axeResults : null,
+        devices,
+        screenshots,
         fetchedAt: new Date().toISOString()
       };
       
     } catch (puppeteerError) {
-      console.warn(`[${new Date().toISOString()}] Puppeteer failed: ${puppeteerError.message}, trying simple fetch...`);
+      // Hand the page back to the pool if still held
+      if (lease) {
+        await lease.release();
+      }
       
-      // Close browser if still open
-      if (browser) {
-        try {
-          await browser.close();
-        } catch (e) {
-          // Ignore
-        }
+      // Simple fetch cannot run a scripted login - it would only see the login page
+      if (auth && auth.login) {
+        console.warn(`[${new Date().toISOString()}] Puppeteer failed: ${puppeteerError.message}`);
+        loadStage.fail(`Puppeteer failed (${puppeteerError.message}), no fallback with a scripted login`);
+        throw puppeteerError;
       }
       
+      console.warn(`[${new Date().toISOString()}] Puppeteer failed: ${puppeteerError.message}, trying simple fetch...`);
+      loadStage.fallback(`Puppeteer failed (${puppeteerError.message}), using simple fetch`);
+      
       // Fall back to simple fetch
-      return await fetchWebsiteSimple(url);
+      return await fetchWebsiteSimpleWithProgress(url, progress, auth);
     }
   } else {
     // No Puppeteer available, use simple fetch
     console.log(`[${new Date().toISOString()}] Puppeteer not available, using simple fetch`);
-    return await fetchWebsiteSimple(url);
+    return await fetchWebsiteSimpleWithProgress(url, progress, auth);
   }
 }
 
-// Fetch Google PageSpeed Insights data
-async function fetchPageSpeedInsights(url) {
-  const psiApiKey = process.env.PSI_API_KEY;
-  
-  if (!psiApiKey) {
-    console.warn('PSI_API_KEY not set in environment variables. PageSpeed Insights data will not be available.');
-    return null;
-  }
-  
-  try {
-    console.log(`[${new Date().toISOString()}] Fetching PageSpeed Insights data for: ${url}`);
-    
-    // Fetch both mobile and desktop strategies
-    const [mobileResponse, desktopResponse] = await Promise.allSettled([
-      fetch(`https://www.googleapis.com/pagespeedonline/v5/runPagespeed?url=${encodeURIComponent(url)}&key=${psiApiKey}&strategy=mobile&category=ACCESSIBILITY&category=PERFORMANCE`),
-      fetch(`https://www.googleapis.com/pagespeedonline/v5/runPagespeed?url=${encodeURIComponent(url)}&key=${psiApiKey}&strategy=desktop&category=ACCESSIBILITY&category=PERFORMANCE`)
-    ]);
-    
-    const mobileData = mobileResponse.status === 'fulfilled' && mobileResponse.value.ok 
-      ? await mobileResponse.value.json() 
-      : null;
-    const desktopData = desktopResponse.status === 'fulfilled' && desktopResponse.value.ok 
-      ? await desktopResponse.value.json() 
-      : null;
-    
-    if (!mobileData && !desktopData) {
-      console.warn('PageSpeed Insights API returned no data');
-      return null;
+// Element and color helpers for the collectors that run in the page. They are plain functions, so Node can use them
+// as well; installAuditHelpers() hands every document the page loads a copy as window.__auditHelpers
+
+// tag#id.class.class, the way the collectors name elements
+function describeElement(node) {
+  let description = node.tagName.toLowerCase();
+  if (node.id) description += `#${node.id}`;
+  const className = typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean).slice(0, 2).join('.') : '';
+  if (className) description += `.${className}`;
+  return description;
+}
+
+// Short CSS selector for an element: up to four steps up, stopping at the nearest id
+function cssPath(node) {
+  const parts = [];
+  for (let current = node; current && current !== document.body && parts.length < 4; current = current.parentElement) {
+    if (current.id) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
     }
-    
-    // Extract relevant data from PSI response
-    const extractPSIData = (psiResponse, strategy) => {
-      if (!psiResponse || !psiResponse.lighthouseResult) return null;
-      
-      const lhr = psiResponse.lighthouseResult;
-      const audits = lhr.audits || {};
-      const categories = lhr.categories || {};
-      
-      // Extract accessibility audits
-      const accessibilityAudits = {};
-      Object.keys(audits).forEach(key => {
-        const audit = audits[key];
-        if (audit.id && audit.id.startsWith('accessibility')) {
-          accessibilityAudits[audit.id] = {
-            title: audit.title,
-            description: audit.description,
-            score: audit.score,
-            displayValue: audit.displayValue,
-            details: audit.details
-          };
-        }
-      });
-      
-      // Extract performance metrics
-      const performanceMetrics = {};
-      const metricIds = ['first-contentful-paint', 'largest-contentful-paint', 'total-blocking-time', 'cumulative-layout-shift', 'speed-index'];
-      metricIds.forEach(id => {
-        if (audits[id]) {
-          performanceMetrics[id] = {
-            title: audits[id].title,
-            displayValue: audits[id].displayValue,
-            numericValue: audits[id].numericValue,
-            score: audits[id].score
-          };
-        }
-      });
-      
-      return {
-        strategy: strategy,
-        scores: {
-          performance: categories.performance?.score ? Math.round(categories.performance.score * 100) : null,
-          accessibility: categories.accessibility?.score ? Math.round(categories.accessibility.score * 100) : null,
-          bestPractices: categories['best-practices']?.score ? Math.round(categories['best-practices'].score * 100) : null,
-          seo: categories.seo?.score ? Math.round(categories.seo.score * 100) : null
-        },
-        accessibilityAudits: accessibilityAudits,
-        performanceMetrics: performanceMetrics,
-        finalUrl: lhr.finalUrl,
-        userAgent: lhr.userAgent,
-        // Extract mobile-specific rendering info
-        viewport: lhr.configSettings?.viewport || null,
-        emulatedFormFactor: lhr.configSettings?.emulatedFormFactor || null
-      };
-    };
-    
-    const result = {
-      mobile: extractPSIData(mobileData, 'mobile'),
-      desktop: extractPSIData(desktopData, 'desktop'),
-      fetchedAt: new Date().toISOString()
-    };
-    
-    console.log(`[${new Date().toISOString()}] PageSpeed Insights data extracted - Mobile Accessibility: ${result.mobile?.scores?.accessibility || 'N/A'}, Desktop Accessibility: ${result.desktop?.scores?.accessibility || 'N/A'}`);
-    
-    return result;
-    
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] PageSpeed Insights fetch failed: ${error.message}`);
-    return null;
+    let part = current.tagName.toLowerCase();
+    const className = typeof current.className === 'string' ? current.className.trim().split(/\s+/).filter(Boolean).slice(0, 2).map(name => `.${CSS.escape(name)}`).join('') : '';
+    part += className;
+    const siblings = current.parentElement ? [...current.parentElement.children].filter(sibling => sibling.tagName === current.tagName) : [];
+    if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+    parts.unshift(part);
   }
+  return parts.join(' > ') || 'body';
 }
 
-// Generate audit prompt based on selected options
-function generateAuditPrompt(url, websiteContent, auditOptions) {
-  let prompt = `You are an expert UX/UI auditor and web accessibility specialist. Analyze the following website and provide a comprehensive audit report.
-
-WEBSITE URL: ${url}
-
-WEBSITE CONTENT:
-Title: ${websiteContent.structuredData.title}
-Meta Description: ${websiteContent.structuredData.metaDescription}
+// What a control says: its aria-label, rendered text, value, title or alt text
+function elementLabel(el, maxLength) {
+  return (el.getAttribute('aria-label') || el.innerText || el.value || el.getAttribute('title') || el.getAttribute('alt') || '').replace(/\s+/g, ' ').trim().substring(0, maxLength);
+}
 
-HEADINGS:
-H1: ${websiteContent.structuredData.headings.h1.join(', ')}
-H2: ${websiteContent.structuredData.headings.h2.slice(0, 10).join(', ')}
-H3: ${websiteContent.structuredData.headings.h3.slice(0, 10).join(', ')}
+// A computed rgb()/rgba() value as { r, g, b, a }, null for anything else
+function parseCssColor(value) {
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  const match = (value || '').match(/rgba?\(([^)]+)\)/);
+  if (!match) return null;
+  const parts = match[1].split(/[\s,\/]+/).filter(Boolean).map(parseFloat);
+  return parts.length >= 3 && !parts.some(isNaN) ? { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 } : null;
+}
 
-TEXT CONTENT (first 50,000 characters):
-${websiteContent.structuredData.textContent}
+// A translucent color painted over an opaque one
+function blendColors(top, bottom) {
+  return {
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1
+  };
+}
 
-IMAGES FOUND: ${websiteContent.structuredData.images.length} images
-${websiteContent.structuredData.images.slice(0, 10).map(img => `- ${img.alt || 'No alt text'}: ${img.src}`).join('\n')}
+function formatCssColor(color) {
+  return `rgb(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)})`;
+}
 
-LINKS FOUND: ${websiteContent.structuredData.links.length} links
-CTAs: ${websiteContent.structuredData.links.filter(l => l.isCTA).length}
+// WCAG relative luminance
+function relativeLuminance(color) {
+  return ['r', 'g', 'b'].reduce((sum, channel, i) => {
+    const c = color[channel] / 255;
+    return sum + [0.2126, 0.7152, 0.0722][i] * (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+  }, 0);
+}
 
-FORMS: ${websiteContent.structuredData.forms}
-BUTTONS: ${websiteContent.structuredData.buttons.length}
+// WCAG contrast ratio between two opaque colors
+function colorContrastRatio(first, second) {
+  const l1 = relativeLuminance(first);
+  const l2 = relativeLuminance(second);
+  return Math.round(((Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05)) * 100) / 100;
+}
 
-HTML STRUCTURE (sample):
-${websiteContent.html.substring(0, 10000)}
+// Background actually painted behind an element: the background colors of the element and its ancestors stacked
+// on the page canvas color. hasBackgroundImage is set when one of them also has a background image
+function effectiveBackground(el, canvas) {
+  const layers = [];
+  let hasBackgroundImage = false;
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const styles = window.getComputedStyle(node);
+    if (styles.backgroundImage && styles.backgroundImage !== 'none') {
+      hasBackgroundImage = true;
+    }
+    const color = parseCssColor(styles.backgroundColor);
+    if (color && color.a > 0) {
+      layers.push(color);
+      if (color.a >= 1) break;
+    }
+  }
+  const color = layers.reverse().reduce((bottom, top) => blendColors(top, bottom), { ...canvas, a: 1 });
+  return { color, hasBackgroundImage };
+}
 
-${websiteContent.cssAnalysis ? `\n=== DESKTOP CSS & RENDERED HTML ANALYSIS ===
-This section contains computed CSS styles and rendered HTML analysis for accurate accessibility assessment.
+// Opacity of an element including its ancestors
+function effectiveOpacity(el) {
+  let opacity = 1;
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    opacity *= parseFloat(window.getComputedStyle(node).opacity) || 0;
+  }
+  return opacity;
+}
 
-LINK ANALYSIS (Distinguishability):
-- Total Links: ${websiteContent.cssAnalysis.links.total}
-- Analyzed: ${websiteContent.cssAnalysis.links.analyzed}
-${websiteContent.cssAnalysis.links.details.length > 0 ? `\nLink Details:\n${websiteContent.cssAnalysis.links.details.slice(0, 15).map(link => `  - "${link.text.substring(0, 40)}": ${link.hasUnderline ? 'Has underline' : 'No underline'}, ${link.isBold ? 'Bold' : 'Not bold'}, Color: ${link.color}, Font size: ${link.fontSize}, Distinguishable: ${link.isDistinguishable ? 'Yes' : 'No'}`).join('\n')}` : ''}
+// Declared together in one scope, so the helpers can call each other in the page as well
+const AUDIT_HELPERS = [describeElement, cssPath, elementLabel, parseCssColor, blendColors, formatCssColor, relativeLuminance, colorContrastRatio, effectiveBackground, effectiveOpacity];
+const AUDIT_HELPERS_SCRIPT = `(() => {
+${AUDIT_HELPERS.join('\n')}
+window.__auditHelpers = { ${AUDIT_HELPERS.map(helper => helper.name).join(', ')} };
+})();`;
 
-FORM ELEMENTS & ERROR MESSAGES:
-- Total Form Elements: ${websiteContent.cssAnalysis.formElements.total}
-- Analyzed: ${websiteContent.cssAnalysis.formElements.analyzed}
-${websiteContent.cssAnalysis.formElements.details.length > 0 ? `\nForm Element Details:\n${websiteContent.cssAnalysis.formElements.details.slice(0, 10).map(el => `  - ${el.type} (${el.name || el.id || 'unnamed'}): Placeholder: "${el.placeholder}", Has label: ${el.hasLabel}, Label visible: ${el.labelVisible}, Label text: "${el.labelText}", Color: ${el.color}, Background: ${el.backgroundColor}`).join('\n')}` : ''}
-- Error Messages Found: ${websiteContent.cssAnalysis.errorMessages.total}
-${websiteContent.cssAnalysis.errorMessages.details.length > 0 ? `\nError Message Details:\n${websiteContent.cssAnalysis.errorMessages.details.slice(0, 5).map(err => `  - For ${err.inputType}: "${err.message.substring(0, 50)}", Color: ${err.color}, Visible: ${err.isVisible}`).join('\n')}` : ''}
+// Install window.__auditHelpers in the current document and in every document the page loads after it
+async function installAuditHelpers(page) {
+  await page.evaluateOnNewDocument(AUDIT_HELPERS_SCRIPT);
+  await page.evaluate(AUDIT_HELPERS_SCRIPT);
+}
 
-SPACING ANALYSIS (Line-height, Letter-spacing):
-Body:
-- Line-height: ${websiteContent.cssAnalysis.spacing.body.lineHeight} (Allows user override: ${websiteContent.cssAnalysis.spacing.body.lineHeightAllowsOverride ? 'Yes - uses relative units' : 'No - uses fixed units'})
-- Letter-spacing: ${websiteContent.cssAnalysis.spacing.body.letterSpacing} (Allows user override: ${websiteContent.cssAnalysis.spacing.body.letterSpacingAllowsOverride ? 'Yes - uses relative units' : 'No - uses fixed units'})
-- Font-size: ${websiteContent.cssAnalysis.spacing.body.fontSize}
-${websiteContent.cssAnalysis.spacing.paragraphs.length > 0 ? `\nParagraph Samples:\n${websiteContent.cssAnalysis.spacing.paragraphs.slice(0, 5).map((p, i) => `  Paragraph ${i + 1}: Line-height: ${p.lineHeight} (Override: ${p.lineHeightAllowsOverride ? 'Yes' : 'No'}), Letter-spacing: ${p.letterSpacing} (Override: ${p.letterSpacingAllowsOverride ? 'Yes' : 'No'}), Font-size: ${p.fontSize}`).join('\n')}` : ''}
+// Reflow and zoom offenders - the elements that stick out of the viewport, get cut off by an overflow: hidden box,
+// are pushed off-screen to the left or whose text disappears at a small layout width. Clipping and hiding are compared
+// with the page at its primary viewport, so carousels and menus that are collapsed there anyway are not reported
+const LAYOUT_MAX_ELEMENTS = 3000;
+const LAYOUT_OFFENDER_LIMIT = 25;
 
-TARGET SIZE ANALYSIS (Desktop - WCAG requires minimum 24x24px for clickable areas):
-- Total Clickable Elements Analyzed: ${websiteContent.cssAnalysis.targetSizes.total}
-- WCAG Compliant (≥24x24px): ${websiteContent.cssAnalysis.targetSizes.compliant}
-- Non-Compliant: ${websiteContent.cssAnalysis.targetSizes.nonCompliant.length}
-${websiteContent.cssAnalysis.targetSizes.nonCompliant.length > 0 ? `\nNon-Compliant Target Sizes:\n${websiteContent.cssAnalysis.targetSizes.nonCompliant.slice(0, 10).map(t => `  - ${t.tag} "${t.text.substring(0, 30)}": ${t.effectiveWidth}x${t.effectiveHeight}px (required: 24x24px minimum)`).join('\n')}` : ''}
+// Runs in the page at the primary viewport: remember which elements are clipped or hidden there
+function markLayoutBaseline(maxElements) {
+  const elements = [...document.body.querySelectorAll('*')].filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META', 'BR'].includes(el.tagName)).slice(0, maxElements);
+  const clipsOverflow = value => value === 'hidden' || value === 'clip';
+  const isShown = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+  };
+  // Nearest ancestor that clips the element, with how far the element sticks out of it
+  const clippingOf = el => {
+    const rect = el.getBoundingClientRect();
+    for (let node = el.parentElement; node && node !== document.documentElement; node = node.parentElement) {
+      const styles = window.getComputedStyle(node);
+      const clipX = clipsOverflow(styles.overflowX);
+      const clipY = clipsOverflow(styles.overflowY);
+      if (!clipX && !clipY) continue;
+      const box = node.getBoundingClientRect();
+      const amount = Math.max(
+        clipX ? Math.max(box.left - rect.left, rect.right - box.right) : 0,
+        clipY ? Math.max(box.top - rect.top, rect.bottom - box.bottom) : 0
+      );
+      if (amount > 1) return { node, amount: Math.round(amount) };
+    }
+    return null;
+  };
+  const baseline = new Map(elements.map(el => [el, { shown: isShown(el), clipped: !!clippingOf(el) }]));
+  window.__auditLayout = { elements, baseline, isShown, clippingOf };
+  return elements.length;
+}
 
-INTERACTIVE ELEMENT STATES (Hover, Focus, Active, Disabled):
-- Total Analyzed: ${websiteContent.cssAnalysis.interactiveStates.total}
-${websiteContent.cssAnalysis.interactiveStates.details.length > 0 ? `\nElement State Details:\n${websiteContent.cssAnalysis.interactiveStates.details.slice(0, 10).map(el => `  - ${el.tag} "${el.text.substring(0, 30)}": Hover state: ${el.hover ? 'Present' : 'Not detected'}, Focus outline: ${el.focus.outline}, Has visible focus: ${el.focus.hasVisibleFocus}, Focus distinct from normal: ${el.focus.isDistinctFromNormal}, Active state: ${el.active ? 'Present' : 'Not detected'}, Disabled: ${el.disabled ? 'Yes' : 'No'}, Has title: ${el.hasTitle}, Has aria-label: ${el.hasAriaLabel}`).join('\n')}` : ''}
+// Runs in the page at the test viewport: the offending elements, outermost first. overflow - the right edge is past the
+// viewport and the page scrolls sideways; clipped - cut off by an overflow: hidden/clip ancestor; offscreen - pushed
+// past the left edge where no scrolling reaches; hidden - text that was shown at the primary viewport is gone
+function findLayoutOffenders(limit) {
+  const state = window.__auditLayout;
+  const viewportWidth = document.documentElement.clientWidth;
+  const { cssPath } = window.__auditHelpers;
+  const hasOwnText = el => [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0);
+  // Content inside a box that scrolls sideways does not widen the page
+  const scrollsLocally = el => {
+    for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+      const overflowX = window.getComputedStyle(node).overflowX;
+      if (overflowX !== 'visible') return true;
+    }
+    return false;
+  };
 
-HOVER-ONLY INFO DETECTION:
-- Elements with Potential Hover-Only Info: ${websiteContent.cssAnalysis.hoverOnlyInfo.total}
-${websiteContent.cssAnalysis.hoverOnlyInfo.details.length > 0 ? `\nHover-Only Info Issues (title attribute without aria-label):\n${websiteContent.cssAnalysis.hoverOnlyInfo.details.slice(0, 10).map(info => `  - ${info.element} "${info.text.substring(0, 30)}": Tooltip="${info.tooltip}" - This information may only be available on hover, not accessible to keyboard users`).join('\n')}` : 'None detected'}
+  const offenders = [];
+  const flagged = new Set();
+  state.elements.forEach(el => {
+    if (!el.isConnected) return;
+    const rect = el.getBoundingClientRect();
+    const describe = (issue, amount, detail) => {
+      flagged.add(el);
+      offenders.push({
+        issue,
+        selector: cssPath(el),
+        text: (el.innerText || el.getAttribute('aria-label') || el.getAttribute('alt') || '').replace(/\s+/g, ' ').trim().substring(0, 50),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        amount,
+        detail
+      });
+    };
+    const before = state.baseline.get(el);
+    const shown = state.isShown(el);
+    // Children of a reported element would repeat it
+    if (el.parentElement && flagged.has(el.parentElement)) {
+      flagged.add(el);
+      return;
+    }
+    if (!shown) {
+      if (before && before.shown && hasOwnText(el)) describe('hidden', null, 'text shown at the primary viewport is hidden');
+      return;
+    }
+    const right = rect.right + window.scrollX;
+    if (right > viewportWidth + 1 && !scrollsLocally(el)) {
+      const amount = Math.round(right - viewportWidth);
+      describe('overflow', amount, `${Math.round(rect.width)}px wide, right edge ${amount}px past the ${viewportWidth}px viewport`);
+      return;
+    }
+    if (rect.left + window.scrollX < -1) {
+      const amount = Math.round(-(rect.left + window.scrollX));
+      describe('offscreen', amount, `starts ${amount}px left of the page where scrolling cannot reach`);
+      return;
+    }
+    if (before && !before.clipped) {
+      const clipping = state.clippingOf(el);
+      if (clipping) describe('clipped', clipping.amount, `cut off by ${cssPath(clipping.node)} (overflow hidden), ${clipping.amount}px not visible`);
+    }
+  });
 
-ANIMATIONS & TRANSITIONS:
-- Animations Found: ${websiteContent.cssAnalysis.animations.total}
-${websiteContent.cssAnalysis.animations.details.length > 0 ? `\nAnimation Details:\n${websiteContent.cssAnalysis.animations.details.slice(0, 5).map(anim => `  - ${anim.element} (${anim.className}): ${anim.animationName}, Duration: ${anim.animationDuration}, Iterations: ${anim.animationIterationCount}`).join('\n')}` : ''}
-- Transitions Found: ${websiteContent.cssAnalysis.transitions.total}
-${websiteContent.cssAnalysis.transitions.details.length > 0 ? `\nTransition Details:\n${websiteContent.cssAnalysis.transitions.details.slice(0, 5).map(trans => `  - ${trans.element} (${trans.className}): ${trans.transitionProperty}, Duration: ${trans.transitionDuration}`).join('\n')}` : ''}
+  const counts = ['overflow', 'clipped', 'offscreen', 'hidden'].reduce((all, issue) => ({ ...all, [issue]: offenders.filter(offender => offender.issue === issue).length }), {});
+  // Layout breakage first, disappearing text after it
+  const ordered = [...offenders.filter(offender => offender.issue !== 'hidden'), ...offenders.filter(offender => offender.issue === 'hidden')];
+  return { total: offenders.length, counts, offenders: ordered.slice(0, limit) };
+}
 
-COLOR-ONLY INDICATORS (Status indicators that rely on color alone):
-- Total Found: ${websiteContent.cssAnalysis.colorOnlyIndicators.total}
-${websiteContent.cssAnalysis.colorOnlyIndicators.details.length > 0 ? `\nColor-Only Indicator Details:\n${websiteContent.cssAnalysis.colorOnlyIndicators.details.slice(0, 10).map(ind => `  - ${ind.element} "${ind.text.substring(0, 30)}": Has icon: ${ind.hasIcon}, Has text: ${ind.hasText}, Relies on color alone: ${ind.reliesOnColorAlone ? 'YES (ISSUE)' : 'No'}, Color: ${ind.color}`).join('\n')}` : ''}
+// Keyboard navigation test - press Tab through the rendered page and record the real focus order. Focus styles are
+// compared against each element's unfocused computed styles, so CSS-in-JS and cross-origin stylesheets are covered
+const KEYBOARD_MAX_TAB_STOPS = 80;
 
-NON-TEXT CONTRAST (UI Components):
-- Total UI Components Analyzed: ${websiteContent.cssAnalysis.uiComponents.total}
-${websiteContent.cssAnalysis.uiComponents.details.length > 0 ? `\nUI Component Details:\n${websiteContent.cssAnalysis.uiComponents.details.slice(0, 10).map(comp => `  - ${comp.element} "${comp.text.substring(0, 30)}": Border color: ${comp.borderColor}, Background: ${comp.backgroundColor}, Has border: ${comp.hasBorder}`).join('\n')}` : ''}
+// Runs in the page: move the focus start to the top of the document and remember how every interactive element
+// looks unfocused
+function prepareKeyboardTest() {
+  const FOCUS_PROPS = ['outline-style', 'outline-width', 'outline-color', 'box-shadow', 'border-top-color', 'border-bottom-color', 'border-bottom-width', 'background-color', 'color', 'text-decoration-line'];
+  const PSEUDO_PROPS = ['content', 'background-color', 'border-bottom-color', 'box-shadow', 'outline-style', 'opacity'];
+  const readStyles = (el, pseudo, props) => {
+    const styles = window.getComputedStyle(el, pseudo);
+    return Object.fromEntries(props.map(prop => [prop, styles.getPropertyValue(prop)]));
+  };
+  const snapshot = el => ({
+    self: readStyles(el, null, FOCUS_PROPS),
+    before: readStyles(el, '::before', PSEUDO_PROPS),
+    after: readStyles(el, '::after', PSEUDO_PROPS),
+    parent: el.parentElement ? readStyles(el.parentElement, null, ['outline-style', 'box-shadow', 'background-color', 'border-bottom-color']) : null
+  });
+  const candidates = [...document.querySelectorAll('a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, [tabindex], [contenteditable="true"], [role="button"], [role="link"], [role="checkbox"], [role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [role="option"], [role="slider"], [role="combobox"], [onclick]')];
+  // Elements that look clickable (pointer cursor) without being inside a natively focusable one
+  document.querySelectorAll('div, span, li, img, svg, p').forEach(el => {
+    if (candidates.length < 1500 && window.getComputedStyle(el).cursor === 'pointer' && !el.closest('a[href], button, label, summary, [role="button"], [role="link"], [tabindex]') && !el.parentElement?.closest('[onclick]')) {
+      candidates.push(el);
+    }
+  });
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  const baseline = candidates.map(snapshot);
+  // Earlier focus() calls move the browser's sequential focus starting point - a focused marker at the start of
+  // the body makes the first Tab land on the first tab stop of the page
+  const start = document.createElement('span');
+  start.tabIndex = -1;
+  start.style.position = 'absolute';
+  document.body.prepend(start);
+  start.focus({ preventScroll: true });
+  window.scrollTo(0, 0);
+  window.__auditKeyboard = { candidates, snapshot, baseline, start };
+  return candidates.length;
+}
 
-IMPORTANT: Use this CSS analysis data to provide accurate assessments for:
-- Link distinguishability (underline, bold, color)
-- Form element labels and error messages (check label visibility)
-- Spacing (line-height, letter-spacing) - check if values use relative units (em/rem) to allow user overrides
-- Target sizes (24x24px minimum for desktop clickable areas)
-- Interactive element states (focus indicators, hover states, active states, disabled states)
-- Hover-only info (elements with title attribute but no aria-label)
-- Animations and transitions (detected but quality assessment requires judgment)
-- Color-only indicators (should have icons or labels)
-- Non-text contrast (UI component borders and backgrounds)
-` : '\n=== DESKTOP CSS & RENDERED HTML ANALYSIS ===\nCSS analysis could not be extracted. Please analyze based on HTML structure only.\n'}
+// Runs in the page after a Tab press: describe the focused element and how it changed from its unfocused styles.
+// Returns null when focus is on the document itself (it left the page content)
+function inspectKeyboardFocus() {
+  const state = window.__auditKeyboard;
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+  if (!el || el === document.body || el === document.documentElement || el === state.start) return null;
 
-${websiteContent.reflowTest ? `\n=== REFLOW TEST (320px width) ===
-The website has been tested at 320px width to check if content reflows properly without horizontal scrolling.
+  let id = state.candidates.indexOf(el);
+  if (id === -1) {
+    // Focusable element the candidate query missed (shadow DOM, unusual markup) - its unfocused styles are unknown
+    state.candidates.push(el);
+    state.baseline.push(null);
+    id = state.candidates.length - 1;
+  }
+  const { describeElement, elementLabel, parseCssColor, colorContrastRatio } = window.__auditHelpers;
+  // First opaque background behind the element (white page canvas when there is none)
+  const backgroundBehind = node => {
+    for (let current = node.parentElement; current; current = current.parentElement) {
+      const color = parseCssColor(window.getComputedStyle(current).backgroundColor);
+      if (color && color.a >= 1) return color;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
 
-REFLOW TEST RESULTS:
-- Viewport Width: ${websiteContent.reflowTest.viewportWidth}px
-- Body Width: ${websiteContent.reflowTest.bodyWidth}px
-- Has Horizontal Scroll: ${websiteContent.reflowTest.hasHorizontalScroll ? 'YES (ISSUE)' : 'No'}
-- Scrollbar Width: ${websiteContent.reflowTest.scrollbarWidth}px
-- Meets Reflow Requirement: ${websiteContent.reflowTest.meetsReflowRequirement ? 'Yes' : 'No'}
+  const focused = state.snapshot(el);
+  const baseline = state.baseline[id];
+  const styles = window.getComputedStyle(el);
+  const outlineChanged = !baseline || ['outline-style', 'outline-width', 'outline-color'].some(prop => baseline.self[prop] !== focused.self[prop]);
+  const hasOutline = outlineChanged && styles.outlineStyle !== 'none' && parseFloat(styles.outlineWidth) > 0 && (parseCssColor(styles.outlineColor)?.a ?? 1) > 0;
+  const changed = [];
+  if (baseline) {
+    ['self', 'before', 'after', 'parent'].forEach(part => {
+      Object.entries(focused[part] || {}).forEach(([prop, value]) => {
+        if (baseline[part] && baseline[part][prop] !== value && !prop.startsWith('outline')) {
+          changed.push(part === 'self' ? prop : `${part === 'parent' ? 'parent' : `::${part}`} ${prop}`);
+        }
+      });
+    });
+  }
+  let indicator = null;
+  let indicatorColor = null;
+  if (hasOutline) {
+    indicator = `outline ${styles.outlineStyle} ${styles.outlineWidth}`;
+    indicatorColor = parseCssColor(styles.outlineColor);
+  } else if (changed.length > 0) {
+    indicator = `${changed.slice(0, 3).join(', ')} changed`;
+    if (changed.includes('box-shadow')) indicatorColor = parseCssColor(styles.boxShadow);
+  }
+  const indicatorContrast = indicatorColor ? colorContrastRatio(indicatorColor, backgroundBehind(el)) : null;
 
-IMPORTANT: Use this data to assess if the website properly reflows at 320px width without horizontal scrolling.
-` : '\n=== REFLOW TEST ===\nReflow test could not be performed.\n'}
+  const rect = el.getBoundingClientRect();
+  const hidden = rect.width < 1 || rect.height < 1 || rect.bottom < 0 || rect.right < 0 ||
+    rect.top > window.innerHeight || rect.left > window.innerWidth || styles.visibility === 'hidden' || parseFloat(styles.opacity) === 0;
+  return {
+    id,
+    element: describeElement(el),
+    text: elementLabel(el, 60),
+    href: el.tagName === 'A' ? el.getAttribute('href') : null,
+    visibleFocus: !hidden && (hasOutline || changed.length > 0),
+    indicator,
+    indicatorContrast,
+    stylesKnown: !!baseline,
+    hidden,
+    top: Math.round(rect.top + window.scrollY),
+    left: Math.round(rect.left + window.scrollX)
+  };
+}
 
-${websiteContent.zoomTest ? `\n=== ZOOM TEST (200%) ===
-The website has been tested at 200% zoom level to check if UI scales properly without breaking.
+// Runs in the page after the traversal: skip link, unreachable interactive elements and positive tabindex values.
+// visitedIds are the candidates Tab reached; complete is false when the traversal stopped early (trap, press limit)
+function finishKeyboardTest(visitedIds, complete) {
+  const state = window.__auditKeyboard;
+  const visited = new Set(visitedIds);
+  const { describeElement, elementLabel } = window.__auditHelpers;
+  const label = el => elementLabel(el, 60);
+  const isRendered = el => {
+    const rect = el.getBoundingClientRect();
+    const styles = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && styles.visibility !== 'hidden' && styles.display !== 'none';
+  };
+  const nativelyFocusable = el => el.matches('a[href], area[href], button, input, select, textarea, summary, iframe, [contenteditable="true"]');
+  // tabindex="-1" is also used on containers that only receive focus from scripts (skip link targets, dialogs)
+  const looksInteractive = el => nativelyFocusable(el) || el.matches('[role="button"], [role="link"], [role="checkbox"], [role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [role="option"], [role="slider"], [role="combobox"], [onclick]') ||
+    window.getComputedStyle(el).cursor === 'pointer';
 
-ZOOM TEST RESULTS:
-- Zoom Level: ${websiteContent.zoomTest.zoomLevel * 100}%
-- Original Body Width: ${websiteContent.zoomTest.originalWidth}px
-- Original Body Height: ${websiteContent.zoomTest.originalHeight}px
-- Zoomed Body Width: ${websiteContent.zoomTest.zoomedWidth}px
-- Zoomed Body Height: ${websiteContent.zoomTest.zoomedHeight}px
-- Viewport Width: ${websiteContent.zoomTest.viewportWidth}px
-- Viewport Height: ${websiteContent.zoomTest.viewportHeight}px
-- Has Horizontal Scroll: ${websiteContent.zoomTest.hasHorizontalScroll ? 'Yes (acceptable)' : 'No'}
-- Has Vertical Scroll: ${websiteContent.zoomTest.hasVerticalScroll ? 'Yes (acceptable)' : 'No'}
-- Meets Zoom Requirement: ${websiteContent.zoomTest.meetsZoomRequirement ? 'Yes' : 'No'}
+  const unreachable = [];
+  state.candidates.forEach((el, id) => {
+    if (visited.has(id) || !el.isConnected || !isRendered(el) || el.disabled || !looksInteractive(el) || el.closest('[inert], [aria-hidden="true"]')) return;
+    let reason;
+    if (el.tabIndex < 0 && el.hasAttribute('tabindex')) {
+      reason = `tabindex="${el.getAttribute('tabindex')}" removes it from the tab order`;
+    } else if (!nativelyFocusable(el) && !el.hasAttribute('tabindex')) {
+      reason = el.getAttribute('role') ? `role="${el.getAttribute('role')}" without tabindex` : 'clickable element that is not focusable';
+    } else if (complete) {
+      reason = 'focusable but never reached with Tab';
+    } else {
+      return; // the traversal stopped before it could get there
+    }
+    unreachable.push({ element: describeElement(el), text: label(el), reason });
+  });
 
-IMPORTANT: Use this data to assess if the website scales properly at 200% zoom. Scrolling is acceptable, but content should remain readable and functional.
-` : '\n=== ZOOM TEST ===\nZoom test could not be performed.\n'}
+  // A skip link is an in-page link near the top whose text says so
+  const skipPattern = /skip|jump to|main content|zum inhalt|aller au contenu/i;
+  const skipAnchor = [...document.querySelectorAll('a[href^="#"]')].find(a => a.getAttribute('href').length > 1 && skipPattern.test(label(a)));
+  let skipLink = null;
+  if (skipAnchor) {
+    const targetId = decodeURIComponent(skipAnchor.getAttribute('href').slice(1));
+    const id = state.candidates.indexOf(skipAnchor);
+    skipLink = {
+      text: label(skipAnchor),
+      target: skipAnchor.getAttribute('href'),
+      targetExists: !!(document.getElementById(targetId) || document.getElementsByName(targetId)[0]),
+      position: visitedIds.indexOf(id) + 1 || null // tab stop number, null when Tab never reached it
+    };
+  }
 
-${websiteContent.mobileData ? `\n=== MOBILE VIEWPORT ANALYSIS ===
-The website has been analyzed in a mobile viewport (390x844px - iPhone 12 Pro size) to provide mobile-specific accessibility insights.
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  state.start.remove();
+  window.scrollTo(0, 0);
+  delete window.__auditKeyboard;
+  return {
+    unreachable: unreachable.slice(0, 30),
+    unreachableTotal: unreachable.length,
+    skipLink,
+    positiveTabindex: [...document.querySelectorAll('[tabindex]')].filter(el => el.tabIndex > 0).map(el => `${describeElement(el)} (tabindex=${el.tabIndex})`).slice(0, 10)
+  };
+}
 
-MOBILE VIEWPORT SETTINGS:
-- Viewport Width: ${websiteContent.mobileData.viewport.width}px
+// Press Tab until focus leaves the page content, comes back around, gets stuck or KEYBOARD_MAX_TAB_STOPS is reached
+async function runKeyboardTest(page) {
+  await page.evaluate(prepareKeyboardTest);
+  const order = [];
+  let trap = null;
+  let complete = false;
+  for (let press = 0; press < KEYBOARD_MAX_TAB_STOPS; press++) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(inspectKeyboardFocus);
+    if (!stop) {
+      complete = true; // focus went back to the document - every stop was visited
+      break;
+    }
+    const seenAt = order.findIndex(previous => previous.id === stop.id);
+    if (seenAt !== -1 && seenAt === order.length - 1 && stop.element.startsWith('iframe')) {
+      continue; // Tab is moving through the frame's own content
+    }
+    if (seenAt === 0) {
+      complete = true; // wrapped around to the first stop
+      break;
+    }
+    if (seenAt > 0) {
+      // Focus returns to an earlier stop without leaving the page - Tab cannot get past these elements
+      trap = {
+        afterStop: order.length,
+        elements: order.slice(seenAt).map(previous => `${previous.element}${previous.text ? ` "${previous.text}"` : ''}`).slice(0, 10)
+      };
+      break;
+    }
+    order.push({ index: order.length + 1, ...stop });
+  }
+  const details = await page.evaluate(finishKeyboardTest, order.map(stop => stop.id), complete);
+
+  // Focus moving back up the page by more than a screen is likely to disorient keyboard users
+  const backwardJumps = [];
+  order.forEach((stop, i) => {
+    const previous = order[i - 1];
+    if (previous && !stop.hidden && !previous.hidden && previous.top - stop.top > 800) {
+      backwardJumps.push(`Tab stop ${previous.index} -> ${stop.index}: ${previous.element} to ${stop.element} moves ${previous.top - stop.top}px up the page`);
+    }
+  });
+
+  return {
+    tabStops: order.length,
+    complete,
+    maxTabStops: KEYBOARD_MAX_TAB_STOPS,
+    withoutVisibleFocus: order.filter(stop => !stop.visibleFocus).length,
+    hiddenFocus: order.filter(stop => stop.hidden).length,
+    order: order.map(({ id, ...stop }) => stop),
+    trap,
+    backwardJumps: backwardJumps.slice(0, 10),
+    ...details
+  };
+}
+
+// Interactive state simulation - hover, focus and press a sample of interactive elements with the real mouse and
+// keyboard, and diff their computed styles and boxes against the resting state. Unlike matching :hover/:focus selectors,
+// this sees CSS-in-JS, cross-origin stylesheets and script-driven effects
+const STATE_SAMPLE_LIMIT = 20;
+const STATE_MAX_SETTLE_MS = 400;
+const STATE_STYLE_PROPS = ['color', 'background-color', 'background-image', 'border-top-color', 'border-bottom-color', 'border-top-width', 'border-bottom-width', 'outline-style', 'outline-width', 'outline-color', 'box-shadow', 'text-decoration-line', 'text-decoration-color', 'opacity', 'transform', 'filter'];
+const STATE_PSEUDO_PROPS = ['content', 'background-color', 'border-bottom-color', 'opacity', 'transform', 'width'];
+const STATE_COLOR_PROPS = ['color', 'background-color', 'border-top-color', 'border-bottom-color', 'outline-color', 'text-decoration-color'];
+
+// Runs in the page: pick visible interactive elements, one per distinct look (tag and classes), and tag them so
+// Puppeteer can find them again. settleMs is how long their transitions take to finish
+function prepareStateSimulation(limit) {
+  const { describeElement, elementLabel } = window.__auditHelpers;
+  const candidates = [...document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="switch"], [role="checkbox"]')]
+    .filter(el => {
+      const rect = el.getBoundingClientRect();
+      const styles = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && styles.visibility !== 'hidden' && styles.display !== 'none' && !el.disabled && !el.closest('[inert], [aria-hidden="true"]');
+    });
+  const seen = new Set();
+  const sample = [];
+  for (const el of candidates) {
+    const signature = `${el.tagName}|${el.getAttribute('type') || ''}|${el.getAttribute('role') || ''}|${typeof el.className === 'string' ? el.className.trim() : ''}`;
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+    sample.push(el);
+    if (sample.length >= limit) break;
+  }
+  const seconds = value => value.split(',').map(part => parseFloat(part) * (part.trim().endsWith('ms') ? 1 : 1000) || 0);
+  return {
+    candidates: candidates.length,
+    elements: sample.map((el, id) => {
+      el.setAttribute('data-audit-state', id);
+      const styles = window.getComputedStyle(el);
+      const durations = seconds(styles.transitionDuration).map((duration, i) => duration + (seconds(styles.transitionDelay)[i] || 0));
+      return {
+        id,
+        element: describeElement(el),
+        text: elementLabel(el, 50),
+        settleMs: Math.max(0, ...durations)
+      };
+    })
+  };
+}
+
+// Runs in the page: computed styles of a tagged element, its ::before/::after and its box
+function snapshotElementState(id, props, pseudoProps) {
+  const el = document.querySelector(`[data-audit-state="${id}"]`);
+  if (!el) return null;
+  const read = (pseudo, list) => {
+    const styles = window.getComputedStyle(el, pseudo);
+    return Object.fromEntries(list.map(prop => [prop, styles.getPropertyValue(prop)]));
+  };
+  const rect = el.getBoundingClientRect();
+  return {
+    self: read(null, props),
+    before: read('::before', pseudoProps),
+    after: read('::after', pseudoProps),
+    box: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
+  };
+}
+
+// Compare two snapshots of one element. A change is 'clear' when a new outline, shadow, underline, border width,
+// pseudo-element, movement of 2px+ or a color change of at least 1.5:1 (or a color fading in) shows up, 'subtle' when
+// only small color or opacity shifts do and 'none' when nothing rendered differently
+function diffElementStates(before, after) {
+  const properties = [];
+  let clear = false;
+  let colorChange = null;
+  STATE_STYLE_PROPS.forEach(prop => {
+    const from = before.self[prop];
+    const to = after.self[prop];
+    if (from === to) return;
+    properties.push(prop);
+    if (STATE_COLOR_PROPS.includes(prop)) {
+      const fromColor = parseCssColor(from);
+      const toColor = parseCssColor(to);
+      if (!fromColor || !toColor) return;
+      // A background or border fading in (or out) is visible however the colors compare
+      if (Math.abs(fromColor.a - toColor.a) >= 0.5) {
+        clear = true;
+        return;
+      }
+      const ratio = colorContrastRatio(fromColor, toColor);
+      colorChange = Math.max(colorChange || 0, ratio);
+      if (ratio >= 1.5) clear = true;
+    } else if (prop === 'opacity') {
+      if (Math.abs(parseFloat(from) - parseFloat(to)) >= 0.2) clear = true;
+    } else if (!prop.startsWith('outline')) {
+      clear = true; // shadow, underline, border width, background image, transform or filter
+    }
+  });
+  const outlineVisible = snapshot => snapshot.self['outline-style'] !== 'none' && parseFloat(snapshot.self['outline-width']) > 0 &&
+    (parseCssColor(snapshot.self['outline-color'])?.a ?? 1) > 0;
+  const outlineWidth = outlineVisible(after) && (!outlineVisible(before) || before.self['outline-width'] !== after.self['outline-width'])
+    ? parseFloat(after.self['outline-width'])
+    : null;
+  if (outlineWidth !== null) clear = true;
+  ['before', 'after'].forEach(part => {
+    STATE_PSEUDO_PROPS.forEach(prop => {
+      if (before[part][prop] !== after[part][prop]) {
+        properties.push(`::${part} ${prop}`);
+        clear = true;
+      }
+    });
+  });
+  const moved = Math.round(Math.max(...['x', 'y', 'width', 'height'].map(side => Math.abs(after.box[side] - before.box[side]))));
+  if (moved >= 1) properties.push('box');
+  if (moved >= 2) clear = true;
+  return {
+    change: clear ? 'clear' : properties.length > 0 ? 'subtle' : 'none',
+    properties,
+    colorChange,
+    outlineWidth,
+    moved
+  };
+}
+
+// Hover, focus and press each sampled element in turn. Focus follows a key press so :focus-visible applies as for a
+// keyboard user. The press is compared with the hovered state (the pointer is still over the element), and its
+// events are swallowed so nothing navigates, submits or opens
+async function runStateSimulation(page) {
+  const { candidates, elements } = await page.evaluate(prepareStateSimulation, STATE_SAMPLE_LIMIT);
+  const snapshot = id => page.evaluate(snapshotElementState, id, STATE_STYLE_PROPS, STATE_PSEUDO_PROPS);
+  const settle = ms => new Promise(resolve => setTimeout(resolve, Math.min(ms, STATE_MAX_SETTLE_MS) + 50));
+  const results = [];
+  for (const { id, settleMs, ...element } of elements) {
+    const handle = await page.$(`[data-audit-state="${id}"]`);
+    if (!handle) continue;
+    try {
+      await page.evaluate(el => el.scrollIntoView({ block: 'center', inline: 'center' }), handle);
+      await page.mouse.move(0, 0);
+      await settle(settleMs);
+      const resting = await snapshot(id);
+
+      await handle.hover();
+      await settle(settleMs);
+      const hovered = await snapshot(id);
+
+      await page.mouse.move(0, 0);
+      await page.keyboard.press('Shift');
+      await handle.focus();
+      await settle(settleMs);
+      const focused = await snapshot(id);
+      await page.evaluate(el => el.blur(), handle);
+
+      let pressed = null;
+      const box = await handle.boundingBox();
+      if (box) {
+        await page.evaluate(() => {
+          const swallow = event => {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+          };
+          window.__auditSwallow = swallow;
+          ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click', 'auxclick', 'submit'].forEach(type => window.addEventListener(type, swallow, true));
+        });
+        try {
+          await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+          await page.mouse.down();
+          await settle(settleMs);
+          pressed = await snapshot(id);
+          await page.mouse.up();
+        } finally {
+          await page.evaluate(() => {
+            ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click', 'auxclick', 'submit'].forEach(type => window.removeEventListener(type, window.__auditSwallow, true));
+            delete window.__auditSwallow;
+            if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+          });
+        }
+      }
+
+      if (resting && hovered && focused) {
+        results.push({
+          ...element,
+          hover: diffElementStates(resting, hovered),
+          focus: diffElementStates(resting, focused),
+          press: pressed ? diffElementStates(hovered, pressed) : null
+        });
+      }
+    } catch (stateError) {
+      console.warn(`[${new Date().toISOString()}] State simulation skipped ${element.element}: ${stateError.message}`);
+    } finally {
+      await handle.dispose();
+    }
+  }
+  await page.mouse.move(0, 0);
+  await page.evaluate(() => {
+    document.querySelectorAll('[data-audit-state]').forEach(el => el.removeAttribute('data-audit-state'));
+    window.scrollTo(0, 0);
+  });
+
+  const count = (state, change) => results.filter(result => result[state] && result[state].change === change).length;
+  const totals = state => ({ clear: count(state, 'clear'), subtle: count(state, 'subtle'), none: count(state, 'none') });
+  return {
+    candidates,
+    sampled: results.length,
+    hover: totals('hover'),
+    focus: totals('focus'),
+    press: totals('press'),
+    elements: results
+  };
+}
+
+// Text spacing test (WCAG 1.4.12) - apply the standard text-spacing overrides and look for text that gets cut off,
+// spills out of its box or runs into other text. Only problems the overrides introduce are reported
+const TEXT_SPACING_CSS = '*, *::before, *::after { line-height: 1.5 !important; letter-spacing: 0.12em !important; word-spacing: 0.16em !important; } p { margin-bottom: 2em !important; }';
+const TEXT_SPACING_MAX_ELEMENTS = 600;
+
+// Runs in the page: find the visible elements with their own text and record how their boxes (and up to three
+// block ancestors) overflow before the overrides
+function prepareTextSpacingTest(maxElements) {
+  const hasOwnText = el => [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0);
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    const styles = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && styles.visibility !== 'hidden' && parseFloat(styles.opacity) > 0;
+  };
+  const leaves = [...document.body.querySelectorAll('*')]
+    .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'SELECT', 'OPTION', 'svg'].includes(el.tagName) && hasOwnText(el) && isVisible(el))
+    .slice(0, maxElements);
+  // Containers whose overflow is measured: each text element and its nearest block ancestors (inline boxes have no size)
+  const containers = new Set();
+  leaves.forEach(el => {
+    for (let node = el, depth = 0; node && node !== document.body && depth < 4; node = node.parentElement, depth++) {
+      if (window.getComputedStyle(node).display !== 'inline') containers.add(node);
+    }
+  });
+  const measureContainers = () => new Map([...containers].map(node => [node, { x: node.scrollWidth - node.clientWidth, y: node.scrollHeight - node.clientHeight }]));
+  // One rectangle per line box, so text wrapping around inline elements does not count as overlap
+  const measureLeaves = () => leaves.map(el => [...el.getClientRects()].slice(0, 10).map(rect => (
+    { left: rect.left + window.scrollX, top: rect.top + window.scrollY, right: rect.right + window.scrollX, bottom: rect.bottom + window.scrollY }
+  )));
+  window.__auditTextSpacing = { leaves, containers, measureContainers, measureLeaves, baseline: { containers: measureContainers(), leaves: measureLeaves() } };
+  return leaves.length;
+}
+
+// Runs in the page: switch the text-spacing stylesheet on or off
+function setTextSpacingOverride(css) {
+  let style = document.getElementById('audit-text-spacing');
+  if (css && !style) {
+    style = document.createElement('style');
+    style.id = 'audit-text-spacing';
+    style.textContent = css;
+    document.head.appendChild(style);
+  } else if (!css && style) {
+    style.remove();
+  }
+}
+
+// Runs in the page with the overrides on: clipped text (overflow hidden/clip), text spilling out of a fixed-size box
+// and text elements that newly overlap. Offending elements are remembered for the screenshots
+function collectTextSpacingIssues() {
+  const state = window.__auditTextSpacing;
+  const { cssPath } = window.__auditHelpers;
+  const textOf = node => (node.innerText || node.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 60);
+  const clipsOverflow = value => value === 'hidden' || value === 'clip';
+
+  const after = state.measureContainers();
+  const flagged = [];
+  after.forEach((overflow, node) => {
+    const before = state.baseline.containers.get(node) || { x: 0, y: 0 };
+    const growX = Math.max(0, overflow.x) - Math.max(0, before.x);
+    const growY = Math.max(0, overflow.y) - Math.max(0, before.y);
+    if (growX <= 2 && growY <= 2) return;
+    const styles = window.getComputedStyle(node);
+    // Boxes that scroll keep the text reachable
+    if (['auto', 'scroll'].includes(growY > 2 ? styles.overflowY : styles.overflowX)) return;
+    const clipped = growY > 2 ? clipsOverflow(styles.overflowY) : clipsOverflow(styles.overflowX);
+    const axis = growY > 2 ? `${growY}px taller than its ${node.clientHeight}px box` : `${growX}px wider than its ${node.clientWidth}px box`;
+    flagged.push({ node, issue: clipped ? 'clipped' : 'overflow', detail: `text ${axis}${clipped ? ` (overflow: ${growY > 2 ? styles.overflowY : styles.overflowX})` : ''}` });
+  });
+  // Report the innermost box when nested boxes are flagged for the same text
+  const boxIssues = flagged.filter(issue => !flagged.some(other => other !== issue && issue.node.contains(other.node)));
+
+  const rects = state.measureLeaves();
+  const intersects = (first, second) => first.some(a => second.some(b =>
+    Math.min(a.right, b.right) - Math.max(a.left, b.left) > 2 && Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top) > 2));
+  const overlaps = [];
+  for (let i = 0; i < state.leaves.length && overlaps.length < 50; i++) {
+    for (let j = i + 1; j < state.leaves.length; j++) {
+      const first = state.leaves[i];
+      const second = state.leaves[j];
+      if (first.contains(second) || second.contains(first)) continue;
+      if (intersects(rects[i], rects[j]) && !intersects(state.baseline.leaves[i], state.baseline.leaves[j])) {
+        overlaps.push({ node: first, issue: 'overlap', detail: `overlaps ${cssPath(second)} "${textOf(second).substring(0, 30)}"` });
+        break;
+      }
+    }
+  }
+
+  const issues = [...boxIssues, ...overlaps];
+  state.offenders = issues.map(issue => issue.node);
+  return {
+    checked: state.leaves.length,
+    total: issues.length,
+    offenders: issues.slice(0, 30).map(issue => ({ issue: issue.issue, selector: cssPath(issue.node), text: textOf(issue.node), detail: issue.detail }))
+  };
+}
+
+// Runs in the page: scroll the first offender into the middle of the viewport, optionally outlining every offender
+function showTextSpacingOffenders(highlight) {
+  const state = window.__auditTextSpacing;
+  if (state.offenders.length > 0) state.offenders[0].scrollIntoView({ block: 'center' });
+  state.offenders.forEach(node => {
+    node.style.outline = highlight ? '3px solid #ef4444' : '';
+    node.style.outlineOffset = highlight ? '2px' : '';
+  });
+}
+
+// Apply the overrides, collect the issues and take a before/after pair of viewport screenshots at the first offender
+async function runTextSpacingTest(page) {
+  await page.evaluate(prepareTextSpacingTest, TEXT_SPACING_MAX_ELEMENTS);
+  const viewport = page.viewport();
+  const shoot = async (kind) => ({
+    name: `text-spacing-${kind}.jpg`,
+    kind,
+    width: viewport.width,
+    height: viewport.height,
+    data: Buffer.from(await page.screenshot({ type: 'jpeg', quality: SCREENSHOT_QUALITY }))
+  });
+  try {
+    await page.evaluate(setTextSpacingOverride, TEXT_SPACING_CSS);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const result = await page.evaluate(collectTextSpacingIssues);
+    const screenshots = [];
+    if (result.total > 0) {
+      await page.evaluate(setTextSpacingOverride, null);
+      await page.evaluate(showTextSpacingOffenders, false);
+      screenshots.push(await shoot('before'));
+      await page.evaluate(setTextSpacingOverride, TEXT_SPACING_CSS);
+      await page.evaluate(showTextSpacingOffenders, true);
+      screenshots.push(await shoot('after'));
+      await page.evaluate(showTextSpacingOffenders, false);
+    }
+    return { overrides: TEXT_SPACING_CSS, ...result, screenshots };
+  } finally {
+    await page.evaluate(() => {
+      document.getElementById('audit-text-spacing')?.remove();
+      delete window.__auditTextSpacing;
+      window.scrollTo(0, 0);
+    });
+  }
+}
+
+// Motion test - watch the page for running animations, moving transitions, autoplaying carousels and videos,
+// scroll-linked (parallax) motion and flashing, then re-render it with prefers-reduced-motion: reduce and compare
+const MOTION_OBSERVE_MS = 3000;
+const MOTION_MAX_ELEMENTS = 3000;
+// WCAG 2.3.1: more than three flashes per second, over more than roughly a quarter of a 10 degree field of view
+const FLASH_MAX_PER_SECOND = 3;
+const FLASH_SMALL_AREA = 341 * 256;
+
+// Runs in the page: running animations, elements with moving transitions, carousel and video state. Called twice,
+// MOTION_OBSERVE_MS apart - the second call compares carousels and videos with the first one
+function sampleMotion(maxElements) {
+  const { describeElement } = window.__auditHelpers;
+  const isShown = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+  };
+  const MOVING_PROPS = ['transform', 'translate', 'rotate', 'scale', 'left', 'right', 'top', 'bottom', 'margin', 'background-position', 'offset'];
+  const FLASHING_PROPS = ['opacity', 'visibility', 'color', 'background', 'filter', 'fill', 'border-color', 'box-shadow'];
+  const matchesAny = (props, list) => props.some(prop => list.some(candidate => prop.startsWith(candidate)));
+  const toCss = prop => prop.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+  const animations = document.getAnimations()
+    .filter(animation => animation.playState === 'running' && animation.effect && animation.effect.target instanceof Element && isShown(animation.effect.target))
+    .slice(0, 50)
+    .map(animation => {
+      const target = animation.effect.target;
+      const timing = animation.effect.getComputedTiming();
+      const props = [...new Set(animation.effect.getKeyframes().flatMap(frame => Object.keys(frame)).filter(key => !['offset', 'easing', 'composite', 'computedOffset'].includes(key)).map(toCss))];
+      const rect = target.getBoundingClientRect();
+      return {
+        type: animation.constructor.name === 'CSSTransition' ? 'transition' : animation.constructor.name === 'CSSAnimation' ? 'css' : 'script',
+        name: animation.animationName || animation.transitionProperty || animation.id || '',
+        element: describeElement(target),
+        durationMs: Math.round(Number(timing.duration) || 0),
+        iterations: timing.iterations === Infinity ? 'infinite' : timing.iterations,
+        alternate: String(timing.direction).startsWith('alternate'),
+        properties: props.slice(0, 6),
+        moves: matchesAny(props, MOVING_PROPS),
+        changesLuminance: matchesAny(props, FLASHING_PROPS),
+        area: Math.round(rect.width * rect.height)
+      };
+    });
+
+  // Transitions that would move content when triggered (the ones reduced motion should turn off)
+  let movingTransitions = 0;
+  const transitionSamples = [];
+  [...document.body.querySelectorAll('*')].slice(0, maxElements).forEach(el => {
+    const styles = window.getComputedStyle(el);
+    const durations = styles.transitionDuration.split(',').map(value => parseFloat(value) * (value.trim().endsWith('ms') ? 1 : 1000) || 0);
+    const props = styles.transitionProperty.split(',').map(value => value.trim());
+    if (props.some((prop, i) => (durations[i % durations.length] || 0) >= 100 && (prop === 'all' || matchesAny([prop], MOVING_PROPS)))) {
+      movingTransitions++;
+      if (transitionSamples.length < 10) transitionSamples.push(`${describeElement(el)} (${styles.transitionProperty} ${styles.transitionDuration})`);
+    }
+  });
+
+  // Carousels: the position of their track and which slide is marked active
+  const carouselSelector = '[aria-roledescription="carousel"], [class*="carousel"], [class*="slider"], [class*="swiper"], [class*="slick"], [class*="splide"], [class*="glide"]';
+  const carousels = [...document.querySelectorAll(carouselSelector)]
+    .filter(el => isShown(el) && !el.parentElement?.closest(carouselSelector))
+    .slice(0, 10)
+    .map(el => {
+      const moving = [el, ...el.querySelectorAll('*')].slice(0, 40);
+      const signature = moving.map(node => `${node.scrollLeft}|${window.getComputedStyle(node).transform}|${node.getAttribute('aria-hidden') || ''}|${/active|current|selected/i.test(typeof node.className === 'string' ? node.className : '') ? 'A' : ''}`).join(';');
+      return { element: describeElement(el), signature };
+    });
+
+  const videos = [...document.querySelectorAll('video')]
+    .filter(isShown)
+    .slice(0, 10)
+    .map(video => ({ element: describeElement(video), autoplay: video.autoplay, loop: video.loop, muted: video.muted, paused: video.paused, currentTime: video.currentTime }));
+
+  return { animations, movingTransitions, transitionSamples, carousels, videos };
+}
+
+// Runs in the page: scroll down and record elements whose position moves at a different rate than the page
+// (parallax and other scroll-linked effects). Fixed and sticky elements are expected to move and are left out
+function detectScrollMotion(maxElements) {
+  const { describeElement } = window.__auditHelpers;
+  const pinned = el => {
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      if (['fixed', 'sticky'].includes(window.getComputedStyle(node).position)) return true;
+    }
+    return false;
+  };
+  const distance = Math.min(800, document.documentElement.scrollHeight - window.innerHeight);
+  if (distance < 100) return [];
+  const elements = [...document.body.querySelectorAll('*')].slice(0, maxElements).filter(el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && !pinned(el);
+  });
+  const measure = () => elements.map(el => {
+    const styles = window.getComputedStyle(el);
+    return { top: el.getBoundingClientRect().top + window.scrollY, transform: styles.transform, backgroundPosition: styles.backgroundPosition };
+  });
+  const fixedBackgrounds = elements.filter(el => window.getComputedStyle(el).backgroundAttachment.includes('fixed'));
+  window.scrollTo(0, 0);
+  const before = measure();
+  window.scrollTo(0, distance);
+  return new Promise(resolve => {
+    setTimeout(() => {
+      const after = measure();
+      window.scrollTo(0, 0);
+      // Headers that become fixed once the page scrolls are not parallax either
+      const moved = elements.filter((el, i) => (Math.abs(after[i].top - before[i].top) > 2 || after[i].transform !== before[i].transform || after[i].backgroundPosition !== before[i].backgroundPosition) && !pinned(el));
+      // Children of a moving element move with it
+      const outermost = moved.filter(el => !moved.some(other => other !== el && other.contains(el)));
+      resolve([
+        ...outermost.map(el => ({ element: describeElement(el), detail: 'moves at a different rate than the page when scrolling' })),
+        ...fixedBackgrounds.map(el => ({ element: describeElement(el), detail: 'has a fixed (parallax) background' }))
+      ].slice(0, 15));
+    }, 400);
+  });
+}
+
+// Observe the page's motion over MOTION_OBSERVE_MS
+async function observeMotion(page) {
+  await page.evaluate(() => window.scrollTo(0, 0));
+  const first = await page.evaluate(sampleMotion, MOTION_MAX_ELEMENTS);
+  await new Promise(resolve => setTimeout(resolve, MOTION_OBSERVE_MS));
+  const second = await page.evaluate(sampleMotion, MOTION_MAX_ELEMENTS);
+  const scrollMotion = await page.evaluate(detectScrollMotion, MOTION_MAX_ELEMENTS);
+
+  // Anything running in both samples (or long enough to matter) counts, short hover and load effects do not
+  const animations = second.animations.filter(animation => animation.iterations === 'infinite' || animation.durationMs * (animation.iterations || 1) >= 1000);
+  const flashing = [...first.animations, ...second.animations]
+    .filter((animation, i, all) => all.findIndex(other => other.element === animation.element && other.name === animation.name) === i)
+    .map(animation => ({ ...animation, flashesPerSecond: animation.durationMs > 0 ? Math.round((1000 / (animation.alternate ? animation.durationMs * 2 : animation.durationMs)) * 10) / 10 : 0 }))
+    .filter(animation => animation.changesLuminance && animation.flashesPerSecond > FLASH_MAX_PER_SECOND && (animation.iterations === 'infinite' || animation.iterations >= 3))
+    .map(animation => ({ element: animation.element, name: animation.name, flashesPerSecond: animation.flashesPerSecond, area: animation.area, largeArea: animation.area > FLASH_SMALL_AREA, properties: animation.properties }));
+  return {
+    animations,
+    movingAnimations: animations.filter(animation => animation.moves).length,
+    movingTransitions: second.movingTransitions,
+    transitionSamples: second.transitionSamples,
+    autoplayCarousels: second.carousels.filter(carousel => first.carousels.some(earlier => earlier.element === carousel.element && earlier.signature !== carousel.signature)).map(carousel => carousel.element),
+    autoplayVideos: second.videos.filter(video => !video.paused && first.videos.some(earlier => earlier.element === video.element && video.currentTime > earlier.currentTime)).map(video => ({ element: video.element, loop: video.loop, muted: video.muted })),
+    scrollMotion,
+    flashing
+  };
+}
+
+// Observe the page as rendered, then reload it with prefers-reduced-motion: reduce and observe again. The emulation
+// is switched off again afterwards, but the page keeps the reduced rendering until it is reloaded
+async function runMotionTest(page) {
+  const normal = await observeMotion(page);
+  let reduced;
+  try {
+    await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+    try {
+      await page.reload({ waitUntil: 'networkidle0', timeout: 45000 });
+    } catch (reloadError) {
+      await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
+    }
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    reduced = await observeMotion(page);
+  } finally {
+    await page.emulateMediaFeatures();
+  }
+
+  // Motion the preference did not turn off
+  const ignored = [
+    ...reduced.animations.filter(animation => animation.moves && animation.durationMs >= 100).map(animation => ({ kind: 'animation', element: animation.element, detail: `${animation.name || animation.type} animation (${animation.properties.join(', ')}, ${animation.durationMs}ms, ${animation.iterations === 'infinite' ? 'infinite' : `${animation.iterations}x`}) still runs` })),
+    ...reduced.autoplayCarousels.map(element => ({ kind: 'carousel', element, detail: 'carousel still advances on its own' })),
+    ...reduced.autoplayVideos.map(video => ({ kind: 'video', element: video.element, detail: `video still autoplays${video.loop ? ' in a loop' : ''}${video.muted ? '' : ' with sound'}` })),
+    ...reduced.scrollMotion.map(motion => ({ kind: 'parallax', element: motion.element, detail: motion.detail }))
+  ];
+  if (reduced.movingTransitions > 0 && reduced.movingTransitions >= normal.movingTransitions) {
+    ignored.push({ kind: 'transitions', element: null, detail: `${reduced.movingTransitions} elements keep transitions on movement properties (e.g. ${reduced.transitionSamples.slice(0, 3).join(', ')})` });
+  }
+  const flashing = [...normal.flashing, ...reduced.flashing].filter((flash, i, all) => all.findIndex(other => other.element === flash.element && other.name === flash.name) === i);
+  const summarize = observation => ({
+    runningAnimations: observation.animations.length,
+    movingAnimations: observation.movingAnimations,
+    movingTransitions: observation.movingTransitions,
+    autoplayCarousels: observation.autoplayCarousels,
+    autoplayVideos: observation.autoplayVideos,
+    scrollMotion: observation.scrollMotion,
+    animations: observation.animations.slice(0, 15)
+  });
+  return {
+    observeMs: MOTION_OBSERVE_MS,
+    normal: summarize(normal),
+    reduced: summarize(reduced),
+    hasMotion: normal.movingAnimations > 0 || normal.autoplayCarousels.length > 0 || normal.autoplayVideos.length > 0 || normal.scrollMotion.length > 0 || normal.movingTransitions > 0,
+    respectsReducedMotion: ignored.length === 0,
+    ignored: ignored.slice(0, 20),
+    flashing
+  };
+}
+
+// Dark mode and forced colors - render the page again with prefers-color-scheme: dark and with forced-colors: active
+// (Windows High Contrast) emulated, and repeat the contrast and visibility measurements. Only what got worse than in
+// the default rendering is reported. Forced colors are emulated with a dark scheme, like the common dark contrast themes
+const COLOR_SCHEME_MODES = [
+  { key: 'dark', label: 'Dark mode', slug: 'dark-mode', features: [{ name: 'prefers-color-scheme', value: 'dark' }] },
+  { key: 'forcedColors', label: 'Forced colors', slug: 'forced-colors', features: [{ name: 'forced-colors', value: 'active' }, { name: 'prefers-color-scheme', value: 'dark' }] }
+];
+const COLOR_SCHEME_MAX_TEXT = 400;
+const COLOR_SCHEME_MAX_CONTROLS = 40;
+const COLOR_SCHEME_INVISIBLE_RATIO = 1.5; // below this an icon, border or focus ring is effectively gone
+const COLOR_SCHEME_ISSUE_LIMIT = 25;
+
+// Runs in the page: contrast of text, inline SVG icons and control boundaries against what is painted behind them,
+// and the focus indicator of each control (a ring under invisibleRatio does not count). Entries carry a key (CSS path
+// plus occurrence) to match them across renders
+function measureColorScheme(maxText, maxControls, invisibleRatio) {
+  const { cssPath, elementLabel, parseCssColor, blendColors, formatCssColor, colorContrastRatio, effectiveBackground, effectiveOpacity } = window.__auditHelpers;
+
+  // The page canvas is the system Canvas color of the current scheme, so a probe element reads it
+  const probe = document.createElement('div');
+  probe.style.cssText = 'position: absolute; width: 0; height: 0; background-color: Canvas; color: CanvasText';
+  document.body.appendChild(probe);
+  const canvas = parseCssColor(window.getComputedStyle(probe).backgroundColor) || { r: 255, g: 255, b: 255, a: 1 };
+  probe.remove();
+  const backgroundOf = el => effectiveBackground(el, canvas).color;
+  // Contrast of a paint (text, fill, border, outline) of el against a background, with the element's opacity applied
+  const paintContrast = (el, paint, background) => {
+    const color = parseCssColor(paint);
+    if (!color || color.a === 0) return null;
+    const visible = blendColors({ ...color, a: color.a * effectiveOpacity(el) }, background);
+    return { ratio: colorContrastRatio(visible, background), color: formatCssColor(visible) };
+  };
+  const isShown = el => {
+    const rect = el.getBoundingClientRect();
+    const styles = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && styles.visibility !== 'hidden' && styles.display !== 'none';
+  };
+  const keyer = () => {
+    const seen = new Map();
+    return selector => {
+      const count = (seen.get(selector) || 0) + 1;
+      seen.set(selector, count);
+      return count > 1 ? `${selector} (${count})` : selector;
+    };
+  };
+  const textOf = el => elementLabel(el, 50);
+
+  // Text: every rendered element that directly contains text
+  const textElements = new Set();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode() && textElements.size < maxText) {
+    const parent = walker.currentNode.parentElement;
+    if (walker.currentNode.textContent.trim() && parent && !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(parent.tagName)) textElements.add(parent);
+  }
+  const textKey = keyer();
+  const text = [];
+  textElements.forEach(el => {
+    if (!isShown(el)) return;
+    const styles = window.getComputedStyle(el);
+    const background = backgroundOf(el);
+    const measured = paintContrast(el, styles.color, background);
+    if (!measured) return;
+    const fontSize = parseFloat(styles.fontSize) || 0;
+    const large = fontSize >= 24 || (fontSize >= 18.66 && (parseInt(styles.fontWeight) || 400) >= 700);
+    const selector = cssPath(el);
+    text.push({ key: textKey(selector), selector, text: el.textContent.trim().replace(/\s+/g, ' ').substring(0, 50), ratio: measured.ratio, required: large ? 3 : 4.5, foreground: measured.color, background: formatCssColor(background) });
+  });
+
+  // Icons: icon-sized inline SVGs, measured by their best-contrasting fill or stroke
+  const iconKey = keyer();
+  const icons = [];
+  document.querySelectorAll('svg').forEach(svg => {
+    const rect = svg.getBoundingClientRect();
+    if (!isShown(svg) || rect.width > 64 || rect.height > 64 || svg.parentElement?.closest('svg')) return;
+    const background = backgroundOf(svg.parentElement || svg);
+    const paints = [svg, ...svg.querySelectorAll('path, circle, rect, ellipse, polygon, polyline, line, use, text')].slice(0, 12).flatMap(shape => {
+      const styles = window.getComputedStyle(shape);
+      return [
+        paintContrast(shape, styles.fill, background),
+        styles.stroke !== 'none' && parseFloat(styles.strokeWidth) > 0 ? paintContrast(shape, styles.stroke, background) : null
+      ];
+    }).filter(Boolean);
+    // Gradient or pattern paints cannot be measured
+    if (paints.length === 0) return;
+    const best = paints.sort((a, b) => b.ratio - a.ratio)[0];
+    const selector = cssPath(svg);
+    const labelled = svg.closest('a, button, [role="button"]');
+    icons.push({ key: iconKey(selector), selector, text: svg.getAttribute('aria-label') || svg.querySelector('title')?.textContent.trim() || (labelled ? textOf(labelled) : ''), ratio: best.ratio, paint: best.color, background: formatCssColor(background) });
+  });
+
+  // Controls: the boundary (border or fill) against the surroundings, and the focus indicator
+  const FOCUS_PROPS = ['outline-style', 'outline-width', 'outline-color', 'box-shadow', 'border-top-color', 'border-bottom-color', 'background-color', 'color', 'text-decoration-line'];
+  const readFocusStyles = el => {
+    const styles = window.getComputedStyle(el);
+    return Object.fromEntries(FOCUS_PROPS.map(prop => [prop, styles.getPropertyValue(prop)]));
+  };
+  const controlKey = keyer();
+  const controls = [];
+  const candidates = [...document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="checkbox"], [role="radio"], [role="switch"], [role="tab"]')]
+    .filter(el => isShown(el) && !el.disabled && !el.closest('[inert], [aria-hidden="true"]'))
+    .slice(0, maxControls);
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  candidates.forEach(el => {
+    const styles = window.getComputedStyle(el);
+    const surrounding = backgroundOf(el.parentElement || el);
+    let boundary = null;
+    if (!el.matches('a[href]')) {
+      const border = styles.borderTopStyle !== 'none' && parseFloat(styles.borderTopWidth) > 0 ? paintContrast(el, styles.borderTopColor, surrounding) : null;
+      const fill = paintContrast(el, styles.backgroundColor, surrounding);
+      const best = [border, fill].filter(Boolean).sort((a, b) => b.ratio - a.ratio)[0];
+      boundary = best ? { kind: best === border ? 'border' : 'background', ratio: best.ratio, color: best.color } : { kind: 'none', ratio: 1, color: null };
+    }
+
+    const unfocused = readFocusStyles(el);
+    el.focus({ preventScroll: true });
+    const focused = readFocusStyles(el);
+    el.blur();
+    const changed = FOCUS_PROPS.filter(prop => unfocused[prop] !== focused[prop]);
+    let focus = { visible: false, indicator: null, ratio: null };
+    if (changed.some(prop => prop.startsWith('outline')) && focused['outline-style'] !== 'none' && parseFloat(focused['outline-width']) > 0) {
+      const measured = paintContrast(el, focused['outline-color'], surrounding);
+      focus = { visible: !!measured && measured.ratio >= invisibleRatio, indicator: `outline ${focused['outline-style']} ${focused['outline-width']}`, ratio: measured ? measured.ratio : null };
+    } else if (changed.includes('box-shadow') && focused['box-shadow'] !== 'none') {
+      const measured = paintContrast(el, focused['box-shadow'], surrounding);
+      focus = { visible: !measured || measured.ratio >= invisibleRatio, indicator: 'box-shadow', ratio: measured ? measured.ratio : null };
+    } else if (changed.length > 0) {
+      focus = { visible: true, indicator: `${changed.filter(prop => !prop.startsWith('outline')).slice(0, 3).join(', ')} changed`, ratio: null };
+    }
+    const selector = cssPath(el);
+    controls.push({ key: controlKey(selector), selector, text: textOf(el), boundary, focus });
+  });
+
+  const bodyStyles = window.getComputedStyle(document.body);
+  return {
+    page: { background: formatCssColor(backgroundOf(document.body)), color: bodyStyles.color },
+    text,
+    icons,
+    controls
+  };
+}
+
+// What one render mode lost compared with the default rendering: contrast regressions (text under its WCAG minimum,
+// icons and control boundaries under 3:1 that met it before) and icons, control boundaries and focus indicators that
+// disappeared (under 1.5:1 or gone)
+function compareColorScheme(mode, baseline, measured) {
+  const byKey = list => new Map(list.map(entry => [entry.key, entry]));
+  const before = { text: byKey(baseline.text), icons: byKey(baseline.icons), controls: byKey(baseline.controls) };
+  const regressions = [];
+  const disappeared = [];
+
+  measured.text.forEach(entry => {
+    const previous = before.text.get(entry.key);
+    if (!previous || entry.ratio >= entry.required || previous.ratio < previous.required) return;
+    regressions.push({ kind: 'text', selector: entry.selector, text: entry.text, before: previous.ratio, after: entry.ratio, required: entry.required, colors: `${entry.foreground} on ${entry.background}` });
+  });
+  measured.icons.forEach(icon => {
+    const previous = before.icons.get(icon.key);
+    if (!previous || previous.ratio < COLOR_SCHEME_INVISIBLE_RATIO) return;
+    if (icon.ratio < COLOR_SCHEME_INVISIBLE_RATIO) {
+      disappeared.push({ kind: 'icon', selector: icon.selector, text: icon.text, detail: `${icon.paint} on ${icon.background} at ${icon.ratio}:1 (was ${previous.ratio}:1)` });
+    } else if (icon.ratio < 3 && previous.ratio >= 3) {
+      regressions.push({ kind: 'icon', selector: icon.selector, text: icon.text, before: previous.ratio, after: icon.ratio, required: 3, colors: `${icon.paint} on ${icon.background}` });
+    }
+  });
+  measured.controls.forEach(control => {
+    const previous = before.controls.get(control.key);
+    if (!previous) return;
+    if (previous.boundary && control.boundary && previous.boundary.ratio >= COLOR_SCHEME_INVISIBLE_RATIO) {
+      if (control.boundary.ratio < COLOR_SCHEME_INVISIBLE_RATIO) {
+        disappeared.push({
+          kind: 'border',
+          selector: control.selector,
+          text: control.text,
+          detail: `${control.boundary.kind === 'none' ? 'no border or background left' : `${control.boundary.kind} at ${control.boundary.ratio}:1 against its surroundings`} (was ${previous.boundary.kind} at ${previous.boundary.ratio}:1)`
+        });
+      } else if (control.boundary.ratio < 3 && previous.boundary.ratio >= 3) {
+        regressions.push({ kind: 'border', selector: control.selector, text: control.text, before: previous.boundary.ratio, after: control.boundary.ratio, required: 3, colors: `${control.boundary.kind} ${control.boundary.color}` });
+      }
+    }
+    if (previous.focus.visible && !control.focus.visible) {
+      disappeared.push({
+        kind: 'focus',
+        selector: control.selector,
+        text: control.text,
+        detail: `focus indicator (${previous.focus.indicator}) is gone${control.focus.indicator ? `, ${control.focus.indicator} at ${control.focus.ratio}:1` : ''}`
+      });
+    }
+  });
+
+  const order = { text: 0, icon: 1, border: 2, focus: 3 };
+  regressions.sort((a, b) => order[a.kind] - order[b.kind] || a.after - b.after);
+  disappeared.sort((a, b) => order[a.kind] - order[b.kind]);
+  return {
+    mode: mode.key,
+    label: mode.label,
+    features: mode.features.map(feature => `${feature.name}: ${feature.value}`),
+    // Whether the page changed its own colors (a page without a dark theme stays as it is in dark mode)
+    adapts: measured.page.background !== baseline.page.background || measured.page.color !== baseline.page.color,
+    page: measured.page,
+    text: { checked: measured.text.length, failing: measured.text.filter(entry => entry.ratio < entry.required).length },
+    icons: measured.icons.length,
+    controls: measured.controls.length,
+    regressionCount: regressions.length,
+    disappearedCount: disappeared.length,
+    regressions: regressions.slice(0, COLOR_SCHEME_ISSUE_LIMIT),
+    disappeared: disappeared.slice(0, COLOR_SCHEME_ISSUE_LIMIT)
+  };
+}
+
+// Measure the default rendering, then reload the page once per color mode with its media features emulated, measure
+// it again and take a viewport screenshot. A mode that fails is listed in failed and the others are kept. The
+// emulation is lifted again afterwards
+async function runColorSchemeTest(page) {
+  const viewport = page.viewport();
+  const reload = async () => {
+    try {
+      await page.reload({ waitUntil: 'networkidle0', timeout: 45000 });
+    } catch (reloadError) {
+      await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  };
+  // A key press first, so the programmatic focus shows :focus-visible styles as for a keyboard user
+  const measure = async () => {
+    await page.keyboard.press('Shift');
+    return page.evaluate(measureColorScheme, COLOR_SCHEME_MAX_TEXT, COLOR_SCHEME_MAX_CONTROLS, COLOR_SCHEME_INVISIBLE_RATIO);
+  };
+  // The motion test leaves the reduced motion rendering loaded, so the baseline starts from a fresh load
+  await reload();
+  await page.evaluate(() => window.scrollTo(0, 0));
+  const baseline = await measure();
+  const modes = [];
+  const failed = [];
+  const screenshots = [];
+  // page.emulateMediaFeatures() rejects forced-colors, so the modes are emulated through the DevTools protocol
+  const client = await page.createCDPSession();
+  try {
+    for (const mode of COLOR_SCHEME_MODES) {
+      try {
+        await client.send('Emulation.setEmulatedMedia', { features: mode.features });
+        await reload();
+        modes.push(compareColorScheme(mode, baseline, await measure()));
+        await page.evaluate(() => window.scrollTo(0, 0));
+        screenshots.push({
+          name: `${mode.slug}-fold.jpg`,
+          mode: mode.key,
+          width: viewport.width,
+          height: viewport.height,
+          data: Buffer.from(await page.screenshot({ type: 'jpeg', quality: SCREENSHOT_QUALITY }))
+        });
+      } catch (modeError) {
+        console.warn(`[${new Date().toISOString()}] ${mode.label} render failed: ${modeError.message}`);
+        failed.push({ mode: mode.key, label: mode.label, error: modeError.message });
+      }
+    }
+  } finally {
+    await client.send('Emulation.setEmulatedMedia', { features: [] }).catch(() => {});
+    await client.detach().catch(() => {});
+  }
+  if (modes.length === 0) {
+    throw new Error(failed.map(mode => `${mode.label}: ${mode.error}`).join('; '));
+  }
+  return {
+    baseline: {
+      page: baseline.page,
+      text: { checked: baseline.text.length, failing: baseline.text.filter(entry => entry.ratio < entry.required).length },
+      icons: baseline.icons.length,
+      controls: baseline.controls.length
+    },
+    modes,
+    failed,
+    screenshots
+  };
+}
+
+// Render the page with a device profile (user agent, viewport, touch) and measure it. Resolves to { data },
+// or { data, error } with basic data when the detailed analysis failed; rejects when not even that worked
+async function captureDeviceProfile(page, profile) {
+  try {
+    // Apply the device's user agent and viewport
+    await page.setUserAgent(profile.userAgent);
+    await page.setViewport(deviceViewport(profile));
+    
+    // Verify viewport was set
+    const viewportCheck = await page.evaluate(() => ({
+      width: window.innerWidth,
+      height: window.innerHeight
+    }));
+    console.log(`[${new Date().toISOString()}] ${profile.label} viewport set: ${viewportCheck.width}x${viewportCheck.height}`);
+    
+    // Reload page with the device viewport to ensure proper rendering
+    try {
+      await page.reload({ waitUntil: 'networkidle0', timeout: 45000 });
+    } catch (reloadError) {
+      console.warn(`${profile.label} reload with networkidle0 failed, trying domcontentloaded:`, reloadError.message);
+      try {
+        await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+      } catch (reloadError2) {
+        console.warn(`${profile.label} reload with domcontentloaded also failed, continuing:`, reloadError2.message);
+      }
+    }
+    
+    // Wait for the layout to stabilize - longer wait for CSS to apply
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    
+    // Scroll to trigger lazy loading
+    await page.evaluate(async () => {
+      await new Promise((resolve) => {
+        let totalHeight = 0;
+        const distance = 100;
+        const timer = setInterval(() => {
+          const scrollHeight = document.body.scrollHeight;
+          window.scrollBy(0, distance);
+          totalHeight += distance;
+          
+          if(totalHeight >= scrollHeight){
+            clearInterval(timer);
+            window.scrollTo(0, 0); // Scroll back to top
+            resolve();
+          }
+        }, 100);
+      });
+    });
+    
+    // Wait again after scrolling
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    
+    // Get the rendered HTML and measure the layout
+    const deviceHtml = await page.content();
+    const $device = cheerio.load(deviceHtml);
+    const data = await measureDeviceLayout(page);
+    
+    
+    // Parse the rendered HTML structure
+    const deviceStructuredData = {
+      headings: {
+        h1: $device('h1').map((i, el) => $device(el).text()).get(),
+        h2: $device('h2').map((i, el) => $device(el).text()).get(),
+        h3: $device('h3').map((i, el) => $device(el).text()).get(),
+      },
+      buttons: $device('button, input[type="submit"], input[type="button"]').map((i, el) => ({
+        text: $device(el).text() || $device(el).attr('value') || '',
+        type: $device(el).attr('type') || 'button'
+      })).get(),
+      links: $device('a').map((i, el) => ({
+        text: $device(el).text().trim(),
+        href: $device(el).attr('href')
+      })).get().slice(0, 30),
+      forms: $device('form').length
+    };
+    
+    data.structuredData = deviceStructuredData;
+    data.html = deviceHtml.substring(0, 100000); // Smaller sample than the primary rendering
+    
+    console.log(`[${new Date().toISOString()}] ${profile.label} viewport data captured successfully`);
+    console.log(`[${profile.label}] Touch targets: ${data.touchTargets.compliant}/${data.touchTargets.total} compliant`);
+    return { data };
+  } catch (captureError) {
+    console.error(`[${new Date().toISOString()}] ${profile.label} viewport capture failed: ${captureError.message}`);
+    console.error(`${profile.label} error stack:`, captureError.stack);
+    // Try to capture at least basic data even if detailed analysis fails
+    try {
+      const basicData = await page.evaluate(() => {
+        return {
+          viewport: {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            metaTag: document.querySelector('meta[name="viewport"]')?.getAttribute('content') || null,
+            hasViewportMeta: !!document.querySelector('meta[name="viewport"]')
+          },
+          touchTargets: {
+            total: document.querySelectorAll('button, a, input, select, textarea').length,
+            compliant: 0,
+            nonCompliant: []
+          },
+          spacing: { issues: [] },
+          responsive: { hasMobileMediaQueries: false, breakpoints: [] },
+          typography: {
+            bodyFontSize: parseInt(window.getComputedStyle(document.body).fontSize) || 16,
+            bodyLineHeight: parseFloat(window.getComputedStyle(document.body).lineHeight) || 1.5,
+            meetsMinimum: true
+          },
+          overflow: {
+            scrollWidth: document.documentElement.scrollWidth,
+            hasHorizontalScroll: document.documentElement.scrollWidth > window.innerWidth
+          },
+          textContent: document.body.innerText.replace(/\s+/g, ' ').trim().substring(0, 10000),
+          structuredData: {
+            headings: { h1: [], h2: [], h3: [] },
+            buttons: [],
+            links: [],
+            forms: 0
+          },
+          html: document.documentElement.outerHTML.substring(0, 50000)
+        };
+      });
+      console.log(`[${new Date().toISOString()}] Basic ${profile.label} data captured as fallback`);
+      return { data: basicData, error: captureError.message };
+    } catch (fallbackError) {
+      console.error(`[${new Date().toISOString()}] ${profile.label} fallback capture also failed: ${fallbackError.message}`);
+      throw fallbackError;
+    }
+  }
+}
+
+// Touch targets, spacing, responsive CSS, typography and overflow of the page in its current viewport
+async function measureDeviceLayout(page) {
+  return page.evaluate(() => {
+    const getElementSize = (el) => {
+      const rect = el.getBoundingClientRect();
+      return {
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        x: Math.round(rect.x),
+        y: Math.round(rect.y)
+      };
+    };
+    
+    const getComputedStyle = (el, prop) => {
+      return window.getComputedStyle(el).getPropertyValue(prop);
+    };
+    
+    // Check viewport meta tag
+    const viewportMeta = document.querySelector('meta[name="viewport"]');
+    const viewportContent = viewportMeta ? viewportMeta.getAttribute('content') : null;
+    
+    // Analyze touch targets (buttons, links, inputs)
+    const interactiveElements = [];
+    const selectors = ['button', 'a', 'input', 'select', 'textarea', '[role="button"]', '[tabindex]'];
+    
+    selectors.forEach(selector => {
+      document.querySelectorAll(selector).forEach((el, index) => {
+        if (index < 20) { // Limit to first 20 of each type
+          const size = getElementSize(el);
+          const fontSize = parseInt(getComputedStyle(el, 'font-size')) || 16;
+          const paddingTop = parseInt(getComputedStyle(el, 'padding-top')) || 0;
+          const paddingBottom = parseInt(getComputedStyle(el, 'padding-bottom')) || 0;
+          const paddingLeft = parseInt(getComputedStyle(el, 'padding-left')) || 0;
+          const paddingRight = parseInt(getComputedStyle(el, 'padding-right')) || 0;
+          
+          // Calculate effective touch target (including padding)
+          const effectiveWidth = size.width + paddingLeft + paddingRight;
+          const effectiveHeight = size.height + paddingTop + paddingBottom;
+          
+          interactiveElements.push({
+            tag: el.tagName.toLowerCase(),
+            text: el.textContent.trim().substring(0, 50),
+            size: size,
+            effectiveSize: {
+              width: effectiveWidth,
+              height: effectiveHeight
+            },
+            fontSize: fontSize,
+            meetsWCAG: effectiveWidth >= 44 && effectiveHeight >= 44,
+            hasLabel: el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent.trim().length > 0
+          });
+        }
+      });
+    });
+    
+    // Check spacing between interactive elements
+    const spacingIssues = [];
+    interactiveElements.forEach((el1, i) => {
+      interactiveElements.slice(i + 1).forEach(el2 => {
+        const distanceX = Math.abs(el1.size.x - el2.size.x);
+        const distanceY = Math.abs(el1.size.y - el2.size.y);
+        const minDistance = 8; // WCAG recommends at least 8px spacing
+        
+        if (distanceX < minDistance && distanceY < minDistance) {
+          spacingIssues.push({
+            element1: el1.text.substring(0, 30),
+            element2: el2.text.substring(0, 30),
+            distance: Math.min(distanceX, distanceY)
+          });
+        }
+      });
+    });
+    
+    // Check for responsive CSS (media queries)
+    const stylesheets = Array.from(document.styleSheets);
+    let hasMobileMediaQueries = false;
+    let mobileBreakpoints = [];
+    
+    stylesheets.forEach(sheet => {
+      try {
+        const rules = sheet.cssRules || [];
+        rules.forEach(rule => {
+          if (rule.type === CSSRule.MEDIA_RULE) {
+            const mediaText = rule.media.mediaText;
+            if (mediaText.includes('max-width') || mediaText.includes('min-width')) {
+              hasMobileMediaQueries = true;
+              mobileBreakpoints.push(mediaText);
+            }
+          }
+        });
+      } catch (e) {
+        // Cross-origin stylesheets may throw errors
+      }
+    });
+    
+    // Check text size and readability
+    const bodyText = document.body;
+    const bodyFontSize = parseInt(getComputedStyle(bodyText, 'font-size')) || 16;
+    const bodyLineHeight = parseFloat(getComputedStyle(bodyText, 'line-height')) || 1.5;
+    
+    return {
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        metaTag: viewportContent,
+        hasViewportMeta: !!viewportMeta
+      },
+      touchTargets: {
+        total: interactiveElements.length,
+        compliant: interactiveElements.filter(el => el.meetsWCAG).length,
+        nonCompliant: interactiveElements.filter(el => !el.meetsWCAG).map(el => ({
+          element: el.text.substring(0, 50),
+          size: `${el.effectiveSize.width}x${el.effectiveSize.height}px`,
+          required: '44x44px minimum'
+        })),
+        details: interactiveElements.slice(0, 30) // Limit details
+      },
+      spacing: {
+        issues: spacingIssues.slice(0, 10) // Limit issues
+      },
+      responsive: {
+        hasMobileMediaQueries: hasMobileMediaQueries,
+        breakpoints: mobileBreakpoints.slice(0, 5)
+      },
+      typography: {
+        bodyFontSize: bodyFontSize,
+        bodyLineHeight: bodyLineHeight,
+        meetsMinimum: bodyFontSize >= 16
+      },
+      overflow: {
+        scrollWidth: document.documentElement.scrollWidth,
+        hasHorizontalScroll: document.documentElement.scrollWidth > window.innerWidth
+      },
+      textContent: document.body.innerText.replace(/\s+/g, ' ').trim().substring(0, 30000),
+      // Link and spacing CSS analysis, like the desktop one
+      cssAnalysis: (() => {
+        const getComputedStyle = (el, prop) => {
+          try {
+            return window.getComputedStyle(el).getPropertyValue(prop);
+          } catch (e) {
+            return '';
+          }
+        };
+        
+        // Analyze links
+        const links = [];
+        document.querySelectorAll('a').forEach((link, index) => {
+          if (index < 20) {
+            const styles = window.getComputedStyle(link);
+            links.push({
+              text: link.textContent.trim().substring(0, 50),
+              hasUnderline: styles.textDecoration.includes('underline'),
+              isBold: parseInt(styles.fontWeight) >= 600,
+              fontSize: styles.fontSize
+            });
+          }
+        });
+        
+        // Analyze spacing
+        const spacing = {
+          body: {
+            lineHeight: getComputedStyle(document.body, 'line-height'),
+            letterSpacing: getComputedStyle(document.body, 'letter-spacing')
+          }
+        };
+        
+        return {
+          links: { total: document.querySelectorAll('a').length, details: links },
+          spacing: spacing
+        };
+      })()
+    };
+  });
+}
+
+// Per-device figures for the comparison in the prompt and the report
+function summarizeDevice(profile, data, axeScan) {
+  return {
+    name: profile.name,
+    label: profile.label,
+    viewport: profile.viewport,
+    width: profile.width,
+    height: profile.height,
+    deviceScaleFactor: profile.deviceScaleFactor,
+    hasTouch: profile.hasTouch,
+    isMobile: profile.isMobile,
+    captured: !!data,
+    hasViewportMeta: data ? data.viewport.hasViewportMeta : null,
+    horizontalOverflow: data && data.overflow ? data.overflow.hasHorizontalScroll : null,
+    scrollWidth: data && data.overflow ? data.overflow.scrollWidth : null,
+    touchTargets: data ? {
+      total: data.touchTargets.total,
+      compliant: data.touchTargets.compliant,
+      nonCompliant: data.touchTargets.nonCompliant.slice(0, 10)
+    } : null,
+    spacingIssues: data ? data.spacing.issues.length : null,
+    typography: data ? data.typography : null,
+    axeViolations: axeScan ? axeScan.violations.map(violation => violation.id) : null
+  };
+}
+
+async function fetchWebsiteSimpleWithProgress(url, progress, auth) {
+  const stage = startStage(progress, 'simpleFetch', 'Fetch HTML (simple fetch)');
+  try {
+    const content = await fetchWebsiteSimple(url, auth);
+    stage.done(`Page fetched: ${content.structuredData.title}`);
+    return content;
+  } catch (error) {
+    stage.fail(error.message);
+    throw error;
+  }
+}
+
+// Fetch Google PageSpeed Insights data
+async function fetchPageSpeedInsights(url) {
+  const psiApiKey = process.env.PSI_API_KEY;
+  
+  if (!psiApiKey) {
+    console.warn('PSI_API_KEY not set in environment variables. PageSpeed Insights data will not be available.');
+    return null;
+  }
+  
+  try {
+    console.log(`[${new Date().toISOString()}] Fetching PageSpeed Insights data for: ${url}`);
+    
+    // Fetch both mobile and desktop strategies
+    const [mobileResponse, desktopResponse] = await Promise.allSettled([
+      fetch(`https://www.googleapis.com/pagespeedonline/v5/runPagespeed?url=${encodeURIComponent(url)}&key=${psiApiKey}&strategy=mobile&category=ACCESSIBILITY&category=PERFORMANCE`),
+      fetch(`https://www.googleapis.com/pagespeedonline/v5/runPagespeed?url=${encodeURIComponent(url)}&key=${psiApiKey}&strategy=desktop&category=ACCESSIBILITY&category=PERFORMANCE`)
+    ]);
+    
+    const mobileData = mobileResponse.status === 'fulfilled' && mobileResponse.value.ok 
+      ? await mobileResponse.value.json() 
+      : null;
+    const desktopData = desktopResponse.status === 'fulfilled' && desktopResponse.value.ok 
+      ? await desktopResponse.value.json() 
+      : null;
+    
+    if (!mobileData && !desktopData) {
+      console.warn('PageSpeed Insights API returned no data');
+      return null;
+    }
+    
+    // Extract relevant data from PSI response
+    const extractPSIData = (psiResponse, strategy) => {
+      if (!psiResponse || !psiResponse.lighthouseResult) return null;
+      
+      const lhr = psiResponse.lighthouseResult;
+      const audits = lhr.audits || {};
+      const categories = lhr.categories || {};
+      
+      // Extract accessibility audits
+      const accessibilityAudits = {};
+      Object.keys(audits).forEach(key => {
+        const audit = audits[key];
+        if (audit.id && audit.id.startsWith('accessibility')) {
+          accessibilityAudits[audit.id] = {
+            title: audit.title,
+            description: audit.description,
+            score: audit.score,
+            displayValue: audit.displayValue,
+            details: audit.details
+          };
+        }
+      });
+      
+      // Extract performance metrics
+      const performanceMetrics = {};
+      const metricIds = ['first-contentful-paint', 'largest-contentful-paint', 'total-blocking-time', 'cumulative-layout-shift', 'speed-index'];
+      metricIds.forEach(id => {
+        if (audits[id]) {
+          performanceMetrics[id] = {
+            title: audits[id].title,
+            displayValue: audits[id].displayValue,
+            numericValue: audits[id].numericValue,
+            score: audits[id].score
+          };
+        }
+      });
+      
+      return {
+        strategy: strategy,
+        scores: {
+          performance: categories.performance?.score ? Math.round(categories.performance.score * 100) : null,
+          accessibility: categories.accessibility?.score ? Math.round(categories.accessibility.score * 100) : null,
+          bestPractices: categories['best-practices']?.score ? Math.round(categories['best-practices'].score * 100) : null,
+          seo: categories.seo?.score ? Math.round(categories.seo.score * 100) : null
+        },
+        accessibilityAudits: accessibilityAudits,
+        performanceMetrics: performanceMetrics,
+        finalUrl: lhr.finalUrl,
+        userAgent: lhr.userAgent,
+        // Extract mobile-specific rendering info
+        viewport: lhr.configSettings?.viewport || null,
+        emulatedFormFactor: lhr.configSettings?.emulatedFormFactor || null
+      };
+    };
+    
+    const result = {
+      mobile: extractPSIData(mobileData, 'mobile'),
+      desktop: extractPSIData(desktopData, 'desktop'),
+      fetchedAt: new Date().toISOString()
+    };
+    
+    console.log(`[${new Date().toISOString()}] PageSpeed Insights data extracted - Mobile Accessibility: ${result.mobile?.scores?.accessibility || 'N/A'}, Desktop Accessibility: ${result.desktop?.scores?.accessibility || 'N/A'}`);
+    
+    return result;
+    
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] PageSpeed Insights fetch failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Scripted user journeys - step lists executed in the browser so the journey items are audited on what actually
+// happens. Each journey starts on the audited page in its own incognito context, a failed step skips the rest
+const JOURNEY_ACTIONS = ['navigate', 'click', 'type', 'select', 'wait', 'assert'];
+const MAX_JOURNEYS = 5;
+const MAX_JOURNEY_STEPS = 20;
+const JOURNEY_STEP_TIMEOUT = 10000; // per step unless the step sets its own timeout (at most 60s)
+const JOURNEY_SETTLE_MS = 500; // pause after an interaction to catch navigations and re-renders it starts
+const JOURNEY_IMAGE_LIMIT = 10; // step screenshots sent to the model with visualAnalysis
+
+// Check a request's "journeys" list - returns an error message or null
+function validateJourneys(journeys) {
+  if (!Array.isArray(journeys) || journeys.length === 0 || journeys.length > MAX_JOURNEYS) {
+    return `journeys must be a list of 1-${MAX_JOURNEYS} journeys`;
+  }
+  for (const [index, journey] of journeys.entries()) {
+    const name = `journeys[${index}]`;
+    if (!journey || typeof journey !== 'object' || (journey.name !== undefined && typeof journey.name !== 'string')) {
+      return `${name} must be an object with an optional name`;
+    }
+    if (!Array.isArray(journey.steps) || journey.steps.length === 0 || journey.steps.length > MAX_JOURNEY_STEPS) {
+      return `${name}.steps must be a list of 1-${MAX_JOURNEY_STEPS} steps`;
+    }
+    for (const [stepIndex, step] of journey.steps.entries()) {
+      const stepName = `${name}.steps[${stepIndex}]`;
+      if (!step || !JOURNEY_ACTIONS.includes(step.action)) {
+        return `${stepName}.action must be one of: ${JOURNEY_ACTIONS.join(', ')}`;
+      }
+      const has = key => typeof step[key] === 'string' && step[key].length > 0;
+      const required = {
+        navigate: has('url'),
+        click: has('selector') || has('text'),
+        type: has('selector') && typeof step.value === 'string',
+        select: has('selector') && typeof step.value === 'string',
+        wait: has('selector') || has('text') || (Number.isInteger(step.ms) && step.ms >= 0 && step.ms <= JOURNEY_STEP_TIMEOUT),
+        assert: has('selector') || has('text') || has('url')
+      };
+      if (!required[step.action]) {
+        const fields = {
+          navigate: 'a url',
+          click: 'a selector or text',
+          type: 'a selector and a value',
+          select: 'a selector and a value',
+          wait: `a selector, text or ms (0-${JOURNEY_STEP_TIMEOUT})`,
+          assert: 'a selector, text or url'
+        };
+        return `${stepName} (${step.action}) needs ${fields[step.action]}`;
+      }
+      // Relative URLs are fine, absolute ones must be http(s) - file:, chrome: and the like would load local pages
+      if (step.action === 'navigate' && /^[a-z][a-z0-9+.-]*:/i.test(step.url.trim()) && !/^https?:\/\//i.test(step.url.trim())) {
+        return `${stepName}.url must be an http(s) URL or a path relative to the page`;
+      }
+      if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0 && step.timeout <= 60000)) {
+        return `${stepName}.timeout must be a number of milliseconds up to 60000`;
+      }
+    }
+  }
+  if (!puppeteer) {
+    return 'journeys need Puppeteer, which is not available on this server';
+  }
+  return null;
+}
+
+// Journeys as kept with the audit and the job - values of steps marked secret are masked
+function redactJourneys(journeys) {
+  if (!journeys) return null;
+  return journeys.map(journey => ({
+    ...journey,
+    steps: journey.steps.map(step => (step.secret ? { ...step, value: '••••' } : step))
+  }));
+}
+
+// One-line description of a step for the transcript
+function describeJourneyStep(step) {
+  const target = step.selector || (step.text !== undefined ? `"${step.text}"` : '');
+  const value = step.secret ? '••••' : `"${step.value}"`;
+  switch (step.action) {
+    case 'navigate': return `navigate to ${step.url}`;
+    case 'click': return `click ${target}`;
+    case 'type': return `type ${value} into ${step.selector}`;
+    case 'select': return `select ${value} in ${step.selector}`;
+    case 'wait': return step.selector || step.text !== undefined ? `wait for ${target}` : `wait ${step.ms}ms`;
+    case 'assert': return step.url ? `assert URL contains "${step.url}"` : step.selector ? `assert ${step.selector} is visible` : `assert page shows ${target}`;
+    default: return step.action;
+  }
+}
+
+// Find a visible link, button or form control by its text (exact match first, then substring). Runs in the page
+function findElementByText(text) {
+  const wanted = text.trim().toLowerCase();
+  const candidates = [...document.querySelectorAll('a, button, [role="button"], [role="link"], [role="tab"], [role="menuitem"], input[type="submit"], input[type="button"], summary, label')]
+    .filter(el => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+    });
+  const label = el => (el.innerText || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return candidates.find(el => label(el) === wanted) || candidates.find(el => label(el).includes(wanted)) || null;
+}
+
+// Run a step's interaction and wait for the navigation it triggers, if any. Resolves to true when the page navigated
+async function runJourneyInteraction(page, interaction, timeout) {
+  let navigationStarted = false;
+  const onRequest = request => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) navigationStarted = true;
+  };
+  page.on('request', onRequest);
+  const navigation = page.waitForNavigation({ waitUntil: 'networkidle2', timeout }).then(() => true, () => false);
+  try {
+    await interaction();
+    await new Promise(resolve => setTimeout(resolve, JOURNEY_SETTLE_MS));
+    return navigationStarted ? await navigation : false;
+  } finally {
+    page.off('request', onRequest);
+  }
+}
+
+// Execute one step on the page. Throws with a readable message when the step fails
+async function executeJourneyStep(page, step, baseUrl) {
+  const timeout = step.timeout || JOURNEY_STEP_TIMEOUT;
+  const expect = async (promise, message) => {
+    try {
+      return await promise;
+    } catch (error) {
+      throw new Error(error.name === 'TimeoutError' ? `${message} within ${timeout}ms` : error.message);
+    }
+  };
+
+  switch (step.action) {
+    case 'navigate': {
+      const resolved = new URL(step.url, page.url() === 'about:blank' ? baseUrl : page.url());
+      if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+        throw new Error(`Only http(s) pages can be opened, not ${resolved.protocol} (${step.url})`);
+      }
+      const target = resolved.href;
+      const response = await page.goto(target, { waitUntil: 'networkidle2', timeout: Math.max(timeout, 30000) });
+      if (response && response.status() >= 400) {
+        throw new Error(`HTTP ${response.status()} for ${target}`);
+      }
+      return { navigated: true, httpStatus: response ? response.status() : null };
+    }
+    case 'click': {
+      const element = step.selector
+        ? await expect(page.waitForSelector(step.selector, { visible: true, timeout }), `No visible element matches ${step.selector}`)
+        : (await expect(page.waitForFunction(findElementByText, { timeout, polling: 250 }, step.text), `No visible link or button reads "${step.text}"`)).asElement();
+      return { navigated: await runJourneyInteraction(page, () => element.click(), timeout) };
+    }
+    case 'type': {
+      await expect(page.waitForSelector(step.selector, { visible: true, timeout }), `No visible field matches ${step.selector}`);
+      await page.click(step.selector, { clickCount: 3 }); // select any prefilled text so typing replaces it
+      return { navigated: await runJourneyInteraction(page, () => page.type(step.selector, step.value), timeout) };
+    }
+    case 'select': {
+      await expect(page.waitForSelector(step.selector, { timeout }), `No element matches ${step.selector}`);
+      // The value may be an option's value or its visible label
+      const optionValue = await page.$eval(step.selector, (select, wanted) => {
+        const option = [...(select.options || [])].find(o => o.value === wanted) || [...(select.options || [])].find(o => o.text.trim() === wanted);
+        return option ? option.value : null;
+      }, step.value);
+      if (optionValue === null) {
+        throw new Error(`${step.selector} has no option "${step.value}"`);
+      }
+      return { navigated: await runJourneyInteraction(page, () => page.select(step.selector, optionValue), timeout) };
+    }
+    case 'wait': {
+      if (step.selector) {
+        await expect(page.waitForSelector(step.selector, { visible: true, timeout }), `${step.selector} did not appear`);
+      } else if (step.text !== undefined) {
+        await expect(page.waitForFunction(text => document.body.innerText.includes(text), { timeout, polling: 250 }, step.text), `"${step.text}" did not appear`);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, step.ms));
+      }
+      return { navigated: false };
+    }
+    case 'assert': {
+      // Assertions check the current state - they only wait briefly for late rendering
+      const assertTimeout = Math.min(timeout, 3000);
+      const check = async (promise, message) => {
+        try {
+          await promise;
+        } catch (error) {
+          throw new Error(message);
+        }
+      };
+      if (step.url) {
+        await check(page.waitForFunction(part => location.href.includes(part), { timeout: assertTimeout, polling: 250 }, step.url), `Expected the URL to contain "${step.url}", it is ${page.url()}`);
+      } else if (step.selector) {
+        await check(page.waitForSelector(step.selector, { visible: true, timeout: assertTimeout }), `Expected ${step.selector} to be visible`);
+      } else {
+        await check(page.waitForFunction(text => document.body.innerText.includes(text), { timeout: assertTimeout, polling: 250 }, step.text), `Expected the page to show "${step.text}"`);
+      }
+      return { navigated: false };
+    }
+    default:
+      throw new Error(`Unknown action ${step.action}`);
+  }
+}
+
+// What the page shows after a step: headings, form state, messages and dialogs
+async function summarizeJourneyDom(page) {
+  return page.evaluate(() => {
+    const isVisible = el => {
+      const rect = el.getBoundingClientRect();
+      const styles = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && styles.visibility !== 'hidden' && styles.display !== 'none';
+    };
+    const text = el => (el.innerText || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim().substring(0, 100);
+    const visible = selector => [...document.querySelectorAll(selector)].filter(isVisible);
+    const fieldName = el => {
+      const label = (el.id && document.querySelector(`label[for="${CSS.escape(el.id)}"]`)) || el.closest('label');
+      return (label && text(label)) || el.getAttribute('aria-label') || el.name || el.id || el.type;
+    };
+    const fields = visible('input:not([type="hidden"]), select, textarea');
+    return {
+      headings: visible('h1, h2').slice(0, 5).map(text).filter(Boolean),
+      forms: visible('form').length,
+      fields: fields.length,
+      invalidFields: fields.filter(el => el.getAttribute('aria-invalid') === 'true' || (el.willValidate && !el.validity.valid && el.value !== '')).map(fieldName).slice(0, 10),
+      messages: [...new Set(visible('[role="alert"], [role="status"], [aria-live]:not([aria-live="off"]), .error, .errors, .alert, .notice, [class*="error-message"]').map(text).filter(Boolean))].slice(0, 5),
+      dialogs: visible('dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"]').map(el => text(el).substring(0, 60)).slice(0, 3),
+      actions: visible('button, [role="button"], input[type="submit"], a.button, a.btn').slice(0, 8).map(text).filter(Boolean),
+      textSample: (document.body.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 300)
+    };
+  });
+}
+
+// Run one journey in its own browser page. Resolves to its transcript, which records every step
+async function runJourney(url, journey, index, options = {}) {
+  const { progress, auth, profile } = options;
+  const name = journey.name || `Journey ${index + 1}`;
+  const stage = startStage(progress && (event => progress({ ...event, journey: name })), 'journey', `User journey: ${name}`);
+  // The journey starts on the audited page unless its first step navigates somewhere else
+  const steps = journey.steps[0].action === 'navigate' ? journey.steps : [{ action: 'navigate', url }, ...journey.steps];
+  const transcript = { name, status: 'passed', error: null, durationMs: 0, steps: [] };
+  const startedAt = Date.now();
+  let lease;
+
+  try {
+    lease = await acquireBrowserPage();
+    const page = lease.page;
+    await page.setUserAgent(profile.userAgent);
+    await page.setViewport(deviceViewport(profile));
+    if (auth) {
+      await applyBrowserAuth(page, url, auth, progress);
+    }
+
+    // Console errors and uncaught exceptions are attributed to the step that was running
+    let consoleErrors = [];
+    page.on('console', message => {
+      if (message.type() === 'error') consoleErrors.push(message.text().substring(0, 300));
+    });
+    page.on('pageerror', error => consoleErrors.push(`Uncaught: ${error.message.substring(0, 300)}`));
+
+    for (const [stepIndex, step] of steps.entries()) {
+      const record = { index: stepIndex + 1, action: step.action, description: step.description || describeJourneyStep(step), status: 'passed' };
+      if (transcript.status === 'failed') {
+        transcript.steps.push({ ...record, status: 'skipped' });
+        continue;
+      }
+      consoleErrors = [];
+      const stepStartedAt = Date.now();
+      try {
+        Object.assign(record, await executeJourneyStep(page, step, url));
+      } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        transcript.status = 'failed';
+        transcript.error = `Step ${record.index} (${record.description}) failed: ${error.message}`;
+      }
+      record.durationMs = Date.now() - stepStartedAt;
+      record.url = page.url();
+      record.title = await page.title().catch(() => '');
+      record.consoleErrors = consoleErrors.slice(0, 10);
+      record.dom = await summarizeJourneyDom(page).catch(() => null);
+      try {
+        const viewport = page.viewport();
+        const data = await page.screenshot({ type: 'jpeg', quality: SCREENSHOT_QUALITY, clip: { x: 0, y: 0, width: viewport.width, height: viewport.height } });
+        record.screenshot = { name: `journey-${index + 1}-step-${record.index}-fold.jpg`, width: viewport.width, height: viewport.height, data: Buffer.from(data) };
+      } catch (screenshotError) {
+        console.warn(`[${new Date().toISOString()}] Journey screenshot failed: ${screenshotError.message}`);
+      }
+      transcript.steps.push(record);
+    }
+
+    transcript.durationMs = Date.now() - startedAt;
+    const passed = transcript.steps.filter(step => step.status === 'passed').length;
+    if (transcript.status === 'passed') {
+      stage.done(`${passed}/${transcript.steps.length} steps passed in ${(transcript.durationMs / 1000).toFixed(1)}s`);
+    } else {
+      stage.fail(transcript.error);
+    }
+  } catch (error) {
+    // The journey could not run at all (no browser, login failed)
+    console.warn(`[${new Date().toISOString()}] Journey "${name}" could not run: ${error.message}`);
+    transcript.status = 'error';
+    transcript.error = error.message;
+    transcript.durationMs = Date.now() - startedAt;
+    stage.fail(`Journey could not run: ${error.message}`);
+  } finally {
+    if (lease) await lease.release();
+  }
+  return transcript;
+}
+
+// Run the request's journeys one after another with the primary device profile
+async function runJourneys(url, journeys, options = {}) {
+  const transcripts = [];
+  for (const [index, journey] of journeys.entries()) {
+    console.log(`[${new Date().toISOString()}] Running user journey ${index + 1}/${journeys.length}: ${journey.name || 'unnamed'}`);
+    transcripts.push(await runJourney(url, journey, index, options));
+  }
+  return transcripts;
+}
+
+// Journey step screenshots for a multimodal model request - failed steps and each journey's last step first
+function buildJourneyImages(journeys, screenshotFiles) {
+  const shots = [];
+  (journeys || []).forEach(journey => {
+    journey.steps.filter(step => step.screenshot).forEach((step, i, steps) => {
+      const file = screenshotFiles.find(f => f.name === step.screenshot.name);
+      if (!file) return;
+      shots.push({
+        priority: step.status === 'failed' || i === steps.length - 1 ? 0 : 1,
+        image: { mimeType: 'image/jpeg', data: file.data, description: `Journey "${journey.name}", after step ${step.index} (${step.description})${step.status === 'failed' ? ' - FAILED' : ''}` }
+      });
+    });
+  });
+  return shots.sort((a, b) => a.priority - b.priority).slice(0, JOURNEY_IMAGE_LIMIT).map(shot => shot.image);
+}
+
+// Resolve a link against the page it was found on and normalize it for crawling
+// Returns null for anything that is not an http(s) page link
+function normalizeCrawlUrl(href, baseUrl) {
+  if (!href) return null;
+  const trimmed = href.trim();
+  if (!trimmed || trimmed.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(trimmed)) {
+    return null;
+  }
+  
+  try {
+    const resolved = new URL(trimmed, baseUrl);
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return null;
+    
+    // Skip obvious non-HTML resources
+    if (/\.(pdf|zip|rar|gz|jpe?g|png|gif|webp|svg|ico|mp4|mp3|webm|docx?|xlsx?|pptx?|css|js|json|xml)$/i.test(resolved.pathname)) {
+      return null;
+    }
+    
+    resolved.hash = '';
+    return resolved.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Extract same-origin links from a page's HTML
+function extractInternalLinks(html, pageUrl, origin) {
+  const $ = cheerio.load(html || '');
+  const links = new Set();
+  
+  $('a[href]').each((i, el) => {
+    const link = normalizeCrawlUrl($(el).attr('href'), pageUrl);
+    if (link && new URL(link).origin === origin) {
+      links.add(link);
+    }
+  });
+  
+  return Array.from(links);
+}
+
+// Crawl internal pages breadth-first from startUrl, running the full collectors on each page
+async function crawlWebsite(startUrl, options = {}) {
+  const requestedPages = parseInt(options.maxPages);
+  const requestedDepth = parseInt(options.maxDepth);
+  const maxPages = Math.min(Math.max(Number.isNaN(requestedPages) ? 5 : requestedPages, 1), CRAWL_MAX_PAGES);
+  const maxDepth = Math.min(Math.max(Number.isNaN(requestedDepth) ? 1 : requestedDepth, 0), CRAWL_MAX_DEPTH);
+  
+  const firstUrl = normalizeCrawlUrl(startUrl, startUrl);
+  if (!firstUrl) {
+    throw new Error(`Cannot crawl URL: ${startUrl}`);
+  }
+  const origin = new URL(firstUrl).origin;
+  
+  const queue = [{ url: firstUrl, depth: 0 }];
+  const seen = new Set([firstUrl]);
+  const pages = [];
+  const failed = [];
+  
+  console.log(`[${new Date().toISOString()}] Starting crawl of ${origin} (max ${maxPages} pages, depth ${maxDepth})`);
+  
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+    console.log(`[${new Date().toISOString()}] Crawling page ${pages.length + 1}/${maxPages} (depth ${depth}): ${url}`);
+    
+    let content;
+    let snapshot;
+    try {
+      const pageProgress = options.progress && (event => options.progress({ ...event, page: url }));
+      const cachedPage = await fetchWebsiteSnapshot(url, options.snapshot, { progress: pageProgress, devices: options.devices, auth: options.auth });
+      content = cachedPage.value;
+      snapshot = describeSnapshot(cachedPage);
+      if (cachedPage.cached) {
+        startStage(pageProgress, 'snapshotCache', 'Cached website snapshot').done(`Snapshot from ${formatSnapshotAge(snapshot.ageSeconds)}`);
+      }
+    } catch (error) {
+      console.warn(`[${new Date().toISOString()}] Crawl fetch failed for ${url}: ${error.message}`);
+      failed.push({ url, depth, error: error.message });
+      continue;
+    }
+    
+    pages.push({ url, depth, content, snapshot });
+    
+    if (depth < maxDepth) {
+      extractInternalLinks(content.html, url, origin).forEach(link => {
+        if (!seen.has(link)) {
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1 });
+        }
+      });
+    }
+  }
+  
+  console.log(`[${new Date().toISOString()}] Crawl finished: ${pages.length} pages fetched, ${failed.length} failed, ${seen.size} discovered`);
+  
+  return {
+    startUrl: firstUrl,
+    origin,
+    maxPages,
+    maxDepth,
+    discovered: seen.size,
+    pages,
+    failed
+  };
+}
+
+// Deterministic rule checks - turn precise collector measurements into authoritative verdicts
+// for the matching auditOptions items. Each rule returns null when the data it needs was not
+// collected, otherwise { result: 'pass'|'warn'|'fail', summary, evidence }.
+const RULE_RESULT_STATUS = { pass: 'good', warn: 'warning', fail: 'critical' };
+
+// Viewport meta values that stop users from zooming (user-scalable=no, maximum-scale below 2)
+function parseViewportZoomRestrictions(metaTag) {
+  const restrictions = [];
+  if (!metaTag) return restrictions;
+  const settings = {};
+  metaTag.split(/[,;]/).forEach(part => {
+    const [key, value] = part.split('=').map(token => (token || '').trim().toLowerCase());
+    if (key) settings[key] = value;
+  });
+  if (settings['user-scalable'] === 'no' || settings['user-scalable'] === '0') {
+    restrictions.push(`user-scalable=${settings['user-scalable']}`);
+  }
+  if (settings['maximum-scale'] && parseFloat(settings['maximum-scale']) < 2) {
+    restrictions.push(`maximum-scale=${settings['maximum-scale']}`);
+  }
+  return restrictions;
+}
+
+// Evidence lines for the offending elements of the reflow or zoom test
+function describeLayoutOffenders(layout) {
+  return layout ? layout.offenders.map(offender => `${offender.issue}: ${offender.selector}${offender.text ? ` "${offender.text.substring(0, 30)}"` : ''} - ${offender.detail}`) : [];
+}
+
+const RULE_CHECKS = {
+  accessibility: {
+    targetSize: (content) => {
+      const targetSizes = content.cssAnalysis?.targetSizes;
+      if (!targetSizes || targetSizes.total === 0) return null;
+      const evidence = targetSizes.nonCompliant.map(t => `${t.tag} "${t.text.substring(0, 30)}": ${t.effectiveWidth}x${t.effectiveHeight}px`);
+      if (targetSizes.nonCompliant.length === 0) {
+        return { result: 'pass', summary: `All ${targetSizes.total} measured targets are at least 24x24px.`, evidence };
+      }
+      // Undersized inline links may be covered by the inline exception, other controls are not
+      const controls = targetSizes.nonCompliant.filter(t => t.tag !== 'a');
+      return {
+        result: controls.length > 0 ? 'fail' : 'warn',
+        summary: `${targetSizes.nonCompliant.length} of ${targetSizes.total} measured targets are smaller than 24x24px` +
+          (controls.length > 0 ? ` (${controls.length} of them buttons or form controls).` : ' (all links - check whether they sit inline in text).'),
+        evidence
+      };
+    },
+    reflow: (content) => {
+      const reflowTest = content.reflowTest;
+      if (!reflowTest) return null;
+      const evidence = [`Viewport ${reflowTest.viewportWidth}px, content width ${reflowTest.bodyWidth}px`, ...describeLayoutOffenders(reflowTest.offenders)];
+      if (!reflowTest.meetsReflowRequirement) {
+        return { result: 'fail', summary: `Content is ${reflowTest.bodyWidth}px wide at a 320px viewport and needs horizontal scrolling.`, evidence };
+      }
+      const cutOff = reflowTest.offenders ? reflowTest.offenders.counts.clipped + reflowTest.offenders.counts.offscreen : 0;
+      return cutOff > 0
+        ? { result: 'warn', summary: `Content fits a 320px wide viewport, but ${cutOff} elements are cut off or pushed off-screen there.`, evidence }
+        : { result: 'pass', summary: 'Content fits a 320px wide viewport without horizontal scrolling.', evidence };
+    },
+    spacing: (content) => {
+      const textSpacing = content.textSpacingTest;
+      if (!textSpacing || textSpacing.checked === 0) return null;
+      const evidence = textSpacing.offenders.map(offender => `${offender.selector}${offender.text ? ` "${offender.text.substring(0, 30)}"` : ''}: ${offender.issue} - ${offender.detail}`);
+      return textSpacing.total > 0
+        ? { result: 'fail', summary: `${textSpacing.total} elements are clipped, overflow their box or overlap other text with the WCAG 1.4.12 text spacing overrides applied.`, evidence }
+        : { result: 'pass', summary: `All ${textSpacing.checked} text elements stay readable with the WCAG 1.4.12 text spacing overrides applied.`, evidence };
+    },
+    zoom: (content) => {
+      const viewport = content.mobileData?.viewport;
+      const restrictions = viewport ? parseViewportZoomRestrictions(viewport.metaTag) : [];
+      if (restrictions.length > 0) {
+        return {
+          result: 'fail',
+          summary: `The viewport meta tag prevents users from zooming (${restrictions.join(', ')}).`,
+          evidence: [`<meta name="viewport" content="${viewport.metaTag}">`]
+        };
+      }
+      // Zooming is possible - the 200% rendering decides whether the UI survives it
+      const layout = content.zoomTest?.offenders;
+      if (!layout) return null;
+      const evidence = describeLayoutOffenders(layout);
+      if (layout.counts.clipped > 0 || layout.counts.offscreen > 0) {
+        return { result: 'fail', summary: `At 200% zoom ${layout.counts.clipped + layout.counts.offscreen} elements are cut off or pushed off-screen.`, evidence };
+      }
+      if (layout.counts.overflow > 0) {
+        return { result: 'warn', summary: `At 200% zoom ${layout.counts.overflow} elements are wider than the viewport, so the page scrolls sideways.`, evidence };
+      }
+      return { result: 'pass', summary: 'At 200% zoom nothing is cut off, pushed off-screen or wider than the viewport.', evidence };
+    },
+    links: (content) => {
+      const links = (content.cssAnalysis?.links?.details || []).filter(link => link.text);
+      if (links.length === 0) return null;
+      const indistinguishable = links.filter(link => !link.isDistinguishable);
+      const colorOnly = links.filter(link => link.isDistinguishable && !link.hasUnderline && !link.isBold);
+      const evidence = [
+        ...indistinguishable.map(link => `"${link.text.substring(0, 30)}": no underline, not bold, same color as body text (${link.color})`),
+        ...colorOnly.map(link => `"${link.text.substring(0, 30)}": distinguished by color only (${link.color})`)
+      ];
+      if (indistinguishable.length > 0) {
+        return { result: 'fail', summary: `${indistinguishable.length} of ${links.length} measured links look identical to body text.`, evidence };
+      }
+      if (colorOnly.length > 0) {
+        return { result: 'warn', summary: `${colorOnly.length} of ${links.length} measured links rely on color alone (needs 3:1 against surrounding text plus a non-color cue on hover/focus).`, evidence };
+      }
+      return { result: 'pass', summary: `All ${links.length} measured links are underlined or bold.`, evidence };
+    },
+    labels: (content) => {
+      const fields = (content.cssAnalysis?.formElements?.details || [])
+        .filter(field => !['hidden', 'submit', 'button', 'reset', 'image'].includes(field.type));
+      if (fields.length === 0) return null;
+      const unlabeled = fields.filter(field => !field.hasLabel);
+      const evidence = unlabeled.map(field => `${field.type} "${field.name || field.id || 'unnamed'}": no label${field.placeholder ? `, placeholder only ("${field.placeholder.substring(0, 30)}")` : ''}`);
+      return unlabeled.length > 0
+        ? { result: 'fail', summary: `${unlabeled.length} of ${fields.length} form fields have no label, aria-label or aria-labelledby.`, evidence }
+        : { result: 'pass', summary: `All ${fields.length} measured form fields have a label.`, evidence };
+    },
+    focusIndicator: (content) => {
+      const keyboard = content.keyboardTest;
+      if (!keyboard || keyboard.tabStops === 0) return null;
+      const describeStop = stop => `Tab stop ${stop.index}: ${stop.element}${stop.text ? ` "${stop.text.substring(0, 30)}"` : ''}`;
+      const hidden = keyboard.order.filter(stop => stop.hidden);
+      const missing = keyboard.order.filter(stop => !stop.visibleFocus && !stop.hidden);
+      const lowContrast = keyboard.order.filter(stop => stop.visibleFocus && stop.indicatorContrast !== null && stop.indicatorContrast < 3);
+      // Focus indicators lost in dark mode or with forced colors
+      const lostInModes = (content.colorSchemeTest?.modes || []).flatMap(mode => mode.disappeared.filter(issue => issue.kind === 'focus').map(issue => ({ ...issue, mode: mode.label })));
+      const evidence = [
+        ...missing.map(stop => `${describeStop(stop)} - no visible change when focused`),
+        ...hidden.map(stop => `${describeStop(stop)} - focused element is hidden or off-screen`),
+        ...lowContrast.map(stop => `${describeStop(stop)} - ${stop.indicator} at ${stop.indicatorContrast}:1`),
+        ...lostInModes.map(issue => `${issue.mode}: ${issue.selector}${issue.text ? ` "${issue.text.substring(0, 30)}"` : ''} - ${issue.detail}`)
+      ];
+      if (missing.length > 0 || hidden.length > 0) {
+        return { result: 'fail', summary: `${missing.length + hidden.length} of ${keyboard.tabStops} keyboard tab stops show no visible focus${hidden.length > 0 ? ` (${hidden.length} on hidden or off-screen elements)` : ''}.`, evidence };
+      }
+      if (lowContrast.length > 0) {
+        return { result: 'warn', summary: `All ${keyboard.tabStops} tab stops show focus, but ${lowContrast.length} indicators have less than 3:1 contrast against the background.`, evidence };
+      }
+      if (lostInModes.length > 0) {
+        return { result: 'warn', summary: `All ${keyboard.tabStops} tab stops show focus, but ${lostInModes.length} focus indicators disappear in ${[...new Set(lostInModes.map(issue => issue.mode.toLowerCase()))].join(' and ')}.`, evidence };
+      }
+      return { result: 'pass', summary: `All ${keyboard.tabStops} keyboard tab stops show a visible focus change.`, evidence };
+    },
+    states: (content) => {
+      const keyboard = content.keyboardTest;
+      if (!keyboard || keyboard.tabStops === 0) return null;
+      // Only the focus state is measured - hover, active and disabled states are left to the model unless focus fails
+      const missing = keyboard.order.filter(stop => !stop.visibleFocus);
+      if (missing.length === 0) return null;
+      return {
+        result: 'fail',
+        summary: `The focus state is not visually distinct on ${missing.length} of ${keyboard.tabStops} keyboard tab stops.`,
+        evidence: missing.map(stop => `Tab stop ${stop.index}: ${stop.element}${stop.text ? ` "${stop.text.substring(0, 30)}"` : ''} - ${stop.hidden ? 'hidden or off-screen when focused' : 'no style change on focus'}`)
+      };
+    },
+    hoverOnlyInfo: (content) => {
+      const hoverOnlyInfo = content.cssAnalysis?.hoverOnlyInfo;
+      if (!hoverOnlyInfo) return null;
+      const evidence = hoverOnlyInfo.details.map(info => `${info.element} "${info.text.substring(0, 30)}": title="${info.tooltip.substring(0, 50)}"`);
+      return hoverOnlyInfo.total > 0
+        ? { result: 'warn', summary: `${hoverOnlyInfo.total} elements expose information only through a title tooltip (not shown on keyboard focus or touch).`, evidence }
+        : { result: 'pass', summary: 'No title-only tooltips found on measured elements.', evidence };
+    },
+    touchTargets: (content) => {
+      const mobileData = content.mobileData;
+      // The basic fallback capture has no per-element details to judge from
+      if (!mobileData?.touchTargets?.details || !mobileData.spacing) return null;
+      const issues = mobileData.spacing.issues;
+      const viewportWidth = mobileData.viewport.width;
+      const evidence = issues.map(issue => `"${issue.element1}" and "${issue.element2}": ${issue.distance}px apart`);
+      return issues.length > 0
+        ? { result: 'warn', summary: `${issues.length} pairs of touch targets are less than 8px apart on a ${viewportWidth}px viewport.`, evidence }
+        : { result: 'pass', summary: `No touch targets closer than 8px were found on a ${viewportWidth}px viewport.`, evidence };
+    }
+  },
+  userExperience: {
+    touchTargets: (content) => {
+      const touchTargets = content.mobileData?.touchTargets;
+      if (!touchTargets?.details || touchTargets.total === 0) return null;
+      const tooSmall = touchTargets.details.filter(t => t.effectiveSize.width < 24 || t.effectiveSize.height < 24);
+      const evidence = touchTargets.nonCompliant.map(t => `"${t.element.substring(0, 30)}": ${t.size}`);
+      if (tooSmall.length > 0) {
+        return { result: 'fail', summary: `${tooSmall.length} touch targets are smaller than 24x24px on mobile.`, evidence };
+      }
+      if (touchTargets.nonCompliant.length > 0) {
+        return { result: 'warn', summary: `${touchTargets.nonCompliant.length} of ${touchTargets.total} touch targets are below the recommended 44x44px on mobile.`, evidence };
+      }
+      return { result: 'pass', summary: `All ${touchTargets.total} measured touch targets are at least 44x44px on mobile.`, evidence };
+    },
+    interactions: (content) => {
+      const motion = content.motionTest;
+      if (!motion) return null;
+      // Only measured problems decide the item - whether the motion design helps is left to the model
+      const evidence = [
+        ...motion.flashing.map(flash => `${flash.element}: flashes ${flash.flashesPerSecond} times per second over ${flash.area}px²`),
+        ...motion.ignored.map(issue => `${issue.element ? `${issue.element}: ` : ''}${issue.detail} with prefers-reduced-motion: reduce`)
+      ];
+      if (motion.flashing.some(flash => flash.largeArea)) {
+        return { result: 'fail', summary: `Content flashes more than ${FLASH_MAX_PER_SECOND} times per second over a large area.`, evidence };
+      }
+      if (motion.flashing.length > 0 || !motion.respectsReducedMotion) {
+        return {
+          result: 'warn',
+          summary: [
+            motion.flashing.length > 0 ? `${motion.flashing.length} small elements flash more than ${FLASH_MAX_PER_SECOND} times per second.` : null,
+            !motion.respectsReducedMotion ? `${motion.ignored.length} motion effects ignore the reduced motion preference.` : null
+          ].filter(Boolean).join(' '),
+          evidence
+        };
+      }
+      return null;
+    },
+    hoverStates: (content) => {
+      const states = content.interactionStates;
+      if (!states || states.sampled === 0) return null;
+      const describe = el => `${el.element}${el.text ? ` "${el.text.substring(0, 30)}"` : ''}`;
+      const none = states.elements.filter(el => el.hover.change === 'none');
+      const subtle = states.elements.filter(el => el.hover.change === 'subtle');
+      const evidence = [
+        ...none.map(el => `${describe(el)} - no visible change on hover`),
+        ...subtle.map(el => `${describe(el)} - subtle hover change${el.hover.colorChange !== null ? ` (${el.hover.colorChange}:1)` : ''}`)
+      ];
+      if (none.length > states.sampled / 2) {
+        return { result: 'fail', summary: `${none.length} of ${states.sampled} sampled interactive elements show no visible change on hover.`, evidence };
+      }
+      if (none.length > 0 || subtle.length > 0) {
+        return { result: 'warn', summary: `${none.length} of ${states.sampled} sampled interactive elements show no hover change and ${subtle.length} only a subtle one.`, evidence };
+      }
+      return { result: 'pass', summary: `All ${states.sampled} sampled interactive elements show a clear change on hover.`, evidence };
+    }
+  }
+};
+
+// Run the rule checks for every checked auditOptions item that has one
+function runRuleChecks(websiteContent, auditOptions) {
+  const results = [];
+  Object.entries(auditOptions).forEach(([categoryKey, category]) => {
+    Object.entries(category.items).forEach(([itemKey, item]) => {
+      const rule = RULE_CHECKS[categoryKey] && RULE_CHECKS[categoryKey][itemKey];
+      if (!item.checked || !rule) return;
+      let outcome = null;
+      try {
+        outcome = rule(websiteContent);
+      } catch (error) {
+        console.warn(`[${new Date().toISOString()}] Rule check ${categoryKey}.${itemKey} failed: ${error.message}`);
+      }
+      if (!outcome) return;
+      results.push({
+        categoryKey,
+        itemKey,
+        category: category.title,
+        label: item.label,
+        result: outcome.result,
+        status: RULE_RESULT_STATUS[outcome.result],
+        summary: outcome.summary,
+        evidence: outcome.evidence.slice(0, 15)
+      });
+    });
+  });
+  return results;
+}
+
+// Apply rule verdicts to the model's report: the rule decides the status, the model keeps the narrative
+function applyRuleResults(report, ruleResults) {
+  if (!report || !ruleResults || ruleResults.length === 0) return report;
+  report.categories = report.categories || [];
+  ruleResults.forEach(rule => {
+    let category = report.categories.find(c => normalizeDiffKey(c.title) === normalizeDiffKey(rule.category));
+    if (!category) {
+      category = { title: rule.category, items: [] };
+      report.categories.push(category);
+    }
+    category.items = category.items || [];
+    let item = category.items.find(i => checklistLabelKey(i.label) === checklistLabelKey(rule.label));
+    if (!item) {
+      item = { label: rule.label, findings: '', issues: [], recommendations: [] };
+      category.items.push(item);
+    }
+    item.status = rule.status;
+    item.verified = true;
+    item.verifiedFinding = rule.summary;
+    item.evidence = rule.evidence;
+  });
+  return report;
+}
+
+// Prompt section for the axe-core scans of the desktop and mobile renderings
+function formatAxeResults(axeResults) {
+  const formatViewport = (name, scan) => {
+    if (!scan) return `${name.toUpperCase()}: scan not available\n`;
+    return `${name.toUpperCase()} (${scan.violations.length} rules violated, ${scan.passes} passed, ${scan.incomplete.length} need review):
+${scan.violations.map(v => `  - [${v.impact}] ${v.id}: ${v.help} (${v.wcagTags.join(', ') || 'best practice'}) - ${v.nodeCount} element${v.nodeCount === 1 ? '' : 's'}
+${v.targets.slice(0, 5).map(t => `      ${t.selector}`).join('\n')}`).join('\n') || '  No violations found'}
+${scan.incomplete.length > 0 ? `Needs manual review: ${scan.incomplete.map(rule => `${rule.id} (${rule.nodeCount})`).join(', ')}\n` : ''}`;
+  };
+  return `
+=== AXE-CORE ACCESSIBILITY SCAN (axe ${(axeResults.desktop || axeResults.mobile).engine}, WCAG 2.x A/AA + best practices) ===
+The rendered page was scanned with axe-core in both viewports. These are automated rule failures with exact element selectors.
+${formatViewport('desktop', axeResults.desktop)}
+${formatViewport('mobile', axeResults.mobile)}
+IMPORTANT: Treat axe violations as confirmed issues. Reference the rule id and selectors in the matching accessibility items, and do not mark an item "good" when axe reports a violation for it. Violations only in the mobile scan are mobile-specific.
+`;
+}
+
+// Prompt section comparing the renderings of every device profile
+function formatDeviceComparison(devices) {
+  const formatDevice = (device) => {
+    const settings = `${device.label} (${device.width}x${device.height}, DPR ${device.deviceScaleFactor}, ${device.hasTouch ? 'touch' : 'no touch'})`;
+    if (!device.captured) return `- ${settings}: could not be captured`;
+    return `- ${settings}: ${device.horizontalOverflow ? `HORIZONTAL OVERFLOW (content ${device.scrollWidth}px wide)` : 'no horizontal overflow'}, viewport meta ${device.hasViewportMeta ? 'present' : 'missing'}, touch targets ${device.touchTargets.compliant}/${device.touchTargets.total} at least 44x44px, ${device.spacingIssues} spacing issues, body font ${device.typography.bodyFontSize}px, axe: ${device.axeViolations ? device.axeViolations.join(', ') || 'no violations' : 'not scanned'}
+${device.touchTargets.nonCompliant.slice(0, 5).map(t => `    small target "${t.element}": ${t.size}`).join('\n')}`.trimEnd();
+  };
+  return `
+=== DEVICE PROFILE COMPARISON ===
+The page was rendered with ${devices.length} device profiles, each measured the same way:
+${devices.map(formatDevice).join('\n')}
+IMPORTANT: Compare the devices. When a problem occurs on some devices only (overflow on a small phone, small targets on a tablet, an axe rule failing in one layout), say so in the matching item and name the devices.
+`;
+}
+
+// Prompt section with the transcripts of the scripted user journeys. details adds what the page showed after each step
+function formatJourneyTranscripts(journeys, details = true) {
+  const formatStep = (step, index, steps) => {
+    const outcome = step.status === 'skipped' ? 'skipped' : `${step.status === 'failed' ? `FAILED after ${step.durationMs}ms: ${step.error}` : `passed in ${step.durationMs}ms`}${step.navigated ? ' (navigated)' : ''} -> ${step.url} "${step.title}"`;
+    const lines = [`  ${step.index}. ${step.description} - ${outcome}`];
+    if (step.consoleErrors && step.consoleErrors.length > 0) {
+      lines.push(`     Console errors: ${step.consoleErrors.slice(0, 3).join(' | ')}`);
+    }
+    // The page summary is left out while it does not change between steps
+    if (details && step.dom && (index === 0 || JSON.stringify(step.dom) !== JSON.stringify(steps[index - 1].dom))) {
+      const dom = step.dom;
+      lines.push(`     Page: headings ${dom.headings.map(h => `"${h}"`).join(', ') || 'none'}; ${dom.forms} forms, ${dom.fields} fields${dom.invalidFields.length > 0 ? `, invalid: ${dom.invalidFields.join(', ')}` : ''}${dom.messages.length > 0 ? `; messages: ${dom.messages.map(m => `"${m}"`).join(', ')}` : ''}${dom.dialogs.length > 0 ? `; open dialogs: ${dom.dialogs.map(d => `"${d}"`).join(', ')}` : ''}${dom.actions.length > 0 ? `; actions: ${dom.actions.join(', ')}` : ''}`);
+    }
+    return lines.join('\n');
+  };
+  const formatJourney = (journey, index) => {
+    const status = journey.status === 'passed' ? 'completed' : journey.status === 'failed' ? 'FAILED' : `could not run: ${journey.error}`;
+    return `JOURNEY ${index + 1}: ${journey.name} (${status}, ${(journey.durationMs / 1000).toFixed(1)}s)
+${journey.steps.map(formatStep).join('\n')}`;
+  };
+  return `
+=== SCRIPTED USER JOURNEYS ===
+These journeys were executed step by step in a real browser. Each step shows its result, timing, the page it ended on, console errors and what the page showed afterwards.
+${journeys.map(formatJourney).join('\n\n')}
+IMPORTANT: Base the user journey items on what actually happened in these journeys, not only on the start page. Cite the journey and step number. Failed steps, slow steps (over 3s), console errors, validation messages and unexpected pages are friction, error handling and drop-off evidence. Journeys cover only the flows listed; infer the other journeys from the page content as usual.
+`;
+}
+
+// Prompt section for the keyboard navigation test. orderLimit caps the listed tab stops
+function formatKeyboardTest(keyboard, orderLimit) {
+  const formatStop = (stop) => `  ${stop.index}. ${stop.element}${stop.text ? ` "${stop.text}"` : ''} - ${stop.hidden ? 'FOCUS NOT VISIBLE (element hidden or off-screen)' : stop.visibleFocus ? `${stop.indicator}${stop.indicatorContrast !== null ? ` (${stop.indicatorContrast}:1 against the background)` : ''}` : 'NO VISIBLE FOCUS CHANGE'}`;
+  const skipLink = keyboard.skipLink
+    ? `"${keyboard.skipLink.text}" -> ${keyboard.skipLink.target} (${keyboard.skipLink.targetExists ? 'target exists' : 'TARGET MISSING'}, ${keyboard.skipLink.position ? `tab stop ${keyboard.skipLink.position}` : 'never reached with Tab'})`
+    : 'none found';
+  return `
+=== KEYBOARD NAVIGATION TEST (real Tab key presses, desktop) ===
+Tab was pressed through the rendered page. Each tab stop's computed styles (element, ::before/::after and parent) were compared with the element unfocused.
+- Tab stops: ${keyboard.tabStops} (${keyboard.complete ? 'traversal complete' : keyboard.trap ? 'stopped at a focus trap' : `stopped at the ${keyboard.maxTabStops} stop limit`})
+- Stops without a visible focus change: ${keyboard.withoutVisibleFocus}
+- Stops where the focused element is hidden or off-screen: ${keyboard.hiddenFocus}
+- Skip link: ${skipLink}
+- Focus trap: ${keyboard.trap ? `focus cycles back after stop ${keyboard.trap.afterStop} between ${keyboard.trap.elements.join(', ')}` : 'none'}
+- Interactive elements Tab never reaches: ${keyboard.unreachableTotal}
+${keyboard.unreachable.slice(0, 15).map(el => `    ${el.element}${el.text ? ` "${el.text}"` : ''}: ${el.reason}`).join('\n')}
+- Positive tabindex: ${keyboard.positiveTabindex.length > 0 ? keyboard.positiveTabindex.join(', ') : 'none'}
+${keyboard.backwardJumps.length > 0 ? `- Focus order jumps: ${keyboard.backwardJumps.join('; ')}\n` : ''}
+FOCUS ORDER${keyboard.order.length > orderLimit ? ` (first ${orderLimit} of ${keyboard.order.length})` : ''}:
+${keyboard.order.slice(0, orderLimit).map(formatStop).join('\n')}
+IMPORTANT: These are measured results of real keyboard navigation and take precedence over the stylesheet-based focus data. Use them for the focus indicator, states and hover-only items, naming the elements and tab stop numbers.
+`;
+}
+
+// Offending elements of the reflow or zoom test, for their prompt sections
+function formatLayoutOffenders(layout) {
+  if (!layout) return '';
+  if (layout.total === 0) return '- Offending elements: none (nothing overflows the viewport, gets clipped, pushed off-screen or hidden)\n';
+  return `- Offending elements: ${layout.total} (${layout.counts.overflow} overflow the viewport, ${layout.counts.clipped} clipped, ${layout.counts.offscreen} off-screen, ${layout.counts.hidden} text elements hidden)
+${layout.offenders.map(offender => `  - ${offender.issue.toUpperCase()}: ${offender.selector}${offender.text ? ` "${offender.text.substring(0, 40)}"` : ''} (${offender.width}x${offender.height}px) - ${offender.detail}`).join('\n')}
+  Hidden text may be fine when the same content is available another way at this size (e.g. a navigation behind a menu button).
+`;
+}
+
+// Prompt section for the motion test
+function formatMotionTest(motion) {
+  const formatMode = (mode) => `${mode.runningAnimations} running animations (${mode.movingAnimations} moving content), ${mode.movingTransitions} elements with transitions on movement properties, ${mode.autoplayCarousels.length} autoplaying carousels${mode.autoplayCarousels.length > 0 ? ` (${mode.autoplayCarousels.join(', ')})` : ''}, ${mode.autoplayVideos.length} autoplaying videos${mode.autoplayVideos.length > 0 ? ` (${mode.autoplayVideos.map(video => video.element).join(', ')})` : ''}, ${mode.scrollMotion.length} scroll-linked effects`;
+  return `
+=== MOTION TEST (prefers-reduced-motion, desktop) ===
+The page was watched for ${motion.observeMs / 1000}s and scrolled, once as rendered and once reloaded with prefers-reduced-motion: reduce emulated.
+- As rendered: ${formatMode(motion.normal)}${motion.normal.animations.map(animation => `\n    ${animation.element}: ${animation.name || animation.type} (${animation.properties.join(', ')}), ${animation.durationMs}ms, ${animation.iterations === 'infinite' ? 'infinite' : `${animation.iterations}x`}`).join('')}${motion.normal.scrollMotion.map(effect => `\n    ${effect.element} ${effect.detail}`).join('')}
+- With reduced motion: ${formatMode(motion.reduced)}
+- Respects reduced motion: ${motion.respectsReducedMotion ? 'Yes' : 'NO'}${motion.hasMotion ? '' : ' (the page has little motion to reduce)'}${motion.ignored.map(issue => `\n  - IGNORES PREFERENCE: ${issue.element ? `${issue.element} ` : ''}${issue.detail}`).join('')}
+- Flashing (more than ${FLASH_MAX_PER_SECOND} flashes per second): ${motion.flashing.length > 0 ? motion.flashing.length : 'none detected'}${motion.flashing.map(flash => `\n  - ${flash.element}: ${flash.name || 'animation'} (${flash.properties.join(', ')}) at ${flash.flashesPerSecond} flashes/s, ${flash.area}px²${flash.largeArea ? ' - LARGER THAN THE WCAG SMALL-AREA EXCEPTION' : ''}`).join('')}
+Video content and animated images are not analyzed for flashes.
+IMPORTANT: Use these measured results for the interactions / animations item: name the motion that ignores the reduced motion preference and any flashing content.
+`;
+}
+
+// Prompt section for the dark mode and forced colors renders
+function formatColorSchemeTest(colorSchemes) {
+  const formatMode = (mode) => `
+${mode.label.toUpperCase()} (${mode.features.join(', ')}): ${mode.adapts ? `the page colors change to ${mode.page.color} text on ${mode.page.background}` : 'the page colors stay as in the default rendering'}
+- Text failing contrast: ${mode.text.failing} of ${mode.text.checked} (default rendering: ${colorSchemes.baseline.text.failing} of ${colorSchemes.baseline.text.checked})
+- Contrast regressions unique to this mode: ${mode.regressionCount}${mode.regressions.map(issue => `\n  - ${issue.kind.toUpperCase()}: ${issue.selector}${issue.text ? ` "${issue.text.substring(0, 40)}"` : ''} ${issue.before}:1 -> ${issue.after}:1 (required ${issue.required}:1), ${issue.colors}`).join('')}
+- Icons, borders and focus indicators that disappear: ${mode.disappearedCount}${mode.disappeared.map(issue => `\n  - ${issue.kind.toUpperCase()}: ${issue.selector}${issue.text ? ` "${issue.text.substring(0, 40)}"` : ''} - ${issue.detail}`).join('')}`;
+  return `
+=== DARK MODE AND FORCED COLORS (desktop) ===
+The page was reloaded with each mode emulated and its text, inline SVG icons (${colorSchemes.baseline.icons}) and controls (${colorSchemes.baseline.controls}) were measured again. Only what got worse than in the default rendering is listed.
+${colorSchemes.modes.map(formatMode).join('\n')}
+${colorSchemes.failed.map(mode => `${mode.label.toUpperCase()}: not measured, the render failed (${mode.error})\n`).join('')}IMPORTANT: These are measured results. Report the regressions in the "Text contrast", "Non-text contrast" and "Focus indicator" items and name the mode they occur in.
+`;
+}
+
+// Prompt section for the WCAG 1.4.12 text spacing test
+function formatTextSpacingTest(textSpacing) {
+  return `
+=== TEXT SPACING TEST (WCAG 1.4.12, desktop) ===
+The text-spacing overrides were applied to the rendered page: line height 1.5, paragraph spacing 2em, letter spacing 0.12em, word spacing 0.16em. Only problems the overrides introduced are listed.
+- Text elements checked: ${textSpacing.checked}
+- Elements with clipped, overflowing or overlapping text: ${textSpacing.total}
+${textSpacing.offenders.map(offender => `  - ${offender.issue.toUpperCase()}: ${offender.selector}${offender.text ? ` "${offender.text.substring(0, 40)}"` : ''} - ${offender.detail}`).join('\n')}
+IMPORTANT: This is a measured result and decides the "Spacing" item: content must not be lost or overlap when users override text spacing. Name the offending selectors in the findings.
+`;
+}
+
+// Prompt section for the hover, focus and press simulation. elementLimit caps the listed elements
+function formatStateSimulation(states, elementLimit) {
+  const formatState = (state) => {
+    if (!state) return 'not tested';
+    if (state.change === 'none') return 'NO VISIBLE CHANGE';
+    const colorProps = state.properties.filter(prop => STATE_COLOR_PROPS.includes(prop));
+    const details = [
+      state.outlineWidth !== null ? `${state.outlineWidth}px outline` : null,
+      state.colorChange !== null ? `${colorProps.join(' and ')} change ${state.colorChange}:1` : null,
+      state.moved >= 1 ? `moves/resizes ${state.moved}px` : null,
+      ...state.properties.filter(prop => !STATE_COLOR_PROPS.includes(prop) && !prop.startsWith('outline') && prop !== 'box')
+    ].filter(Boolean);
+    return `${state.change}${details.length > 0 ? ` (${details.slice(0, 4).join(', ')})` : ''}`;
+  };
+  const formatTotals = (totals) => `clear change on ${totals.clear}, subtle on ${totals.subtle}, none on ${totals.none}`;
+  return `
+=== INTERACTIVE STATE SIMULATION (real hover, focus and press, desktop) ===
+${states.sampled} interactive elements (one per distinct tag and class, out of ${states.candidates}) were hovered with the mouse, focused after a key press and pressed with the mouse button. Computed styles (element and ::before/::after) and boxes were compared with the resting state; the press is compared with the hovered state. "subtle" means only a color shift below 1.5:1 or a small opacity change.
+- Hover: ${formatTotals(states.hover)}
+- Focus: ${formatTotals(states.focus)}
+- Press: ${formatTotals(states.press)}
+PER ELEMENT${states.elements.length > elementLimit ? ` (first ${elementLimit} of ${states.elements.length})` : ''}:
+${states.elements.slice(0, elementLimit).map(el => `  - ${el.element}${el.text ? ` "${el.text}"` : ''}: hover ${formatState(el.hover)}; focus ${formatState(el.focus)}; press ${formatState(el.press)}`).join('\n')}
+IMPORTANT: These states were measured in the browser and take precedence over the stylesheet-based hover and focus guesses. Use them for the hover states, interactions and states items, naming the elements.
+`;
+}
+
+// Prompt section for the computed contrast ratios (desktop CSS analysis)
+function formatContrastAnalysis(contrast) {
+  const backgroundNote = (failure) => (failure.hasBackgroundImage ? ' (background image behind - verify visually)' : '');
+  return `
+COMPUTED CONTRAST RATIOS (WCAG relative luminance, text measured against its effective ancestor background):
+- Text elements checked: ${contrast.text.checked}, passing: ${contrast.text.passing}, failing: ${contrast.text.failing}
+${contrast.text.failures.length > 0 ? `Failing text (lowest ratio first):\n${contrast.text.failures.map(f => `  - ${f.selector} "${f.text.substring(0, 40)}": ${f.ratio}:1 (required ${f.required}:1${f.isLargeText ? ', large text' : ''}), ${f.foreground} on ${f.background}, ${f.fontSize} weight ${f.fontWeight}${backgroundNote(f)}`).join('\n')}` : 'No failing text found.'}
+- Placeholders checked: ${contrast.placeholders.checked}, failing: ${contrast.placeholders.failing}
+${contrast.placeholders.failures.map(f => `  - ${f.field} placeholder "${f.placeholder}": ${f.ratio}:1 (required ${f.required}:1), ${f.foreground} on ${f.background}${backgroundNote(f)}`).join('\n')}
+- UI components checked: ${contrast.uiComponents.checked}, failing 3:1: ${contrast.uiComponents.failing}
+${contrast.uiComponents.failures.map(f => `  - ${f.selector} "${f.text}": ${f.ratio}:1 (${f.measuredAgainst} against ${f.surroundingColor})${backgroundNote(f)}`).join('\n')}
+These ratios are measured, not estimated. Report every failing element above in the "Text contrast", "Placeholder text" and "Non-text contrast" items with its ratio.
+`;
+}
+
+// Data sections of the audit prompt, each built from the collected website content
+const AUDIT_PROMPT_SECTIONS = {
+  pageOverview: (url, websiteContent, limits) => `WEBSITE CONTENT:
+Title: ${websiteContent.structuredData.title}
+Meta Description: ${websiteContent.structuredData.metaDescription}
+
+HEADINGS:
+H1: ${websiteContent.structuredData.headings.h1.join(', ')}
+H2: ${websiteContent.structuredData.headings.h2.slice(0, 10).join(', ')}
+H3: ${websiteContent.structuredData.headings.h3.slice(0, 10).join(', ')}
+
+IMAGES FOUND: ${websiteContent.structuredData.images.length} images
+${websiteContent.structuredData.images.slice(0, 10).map(img => `- ${img.alt || 'No alt text'}: ${img.src}`).join('\n')}
+
+LINKS FOUND: ${websiteContent.structuredData.links.length} links
+CTAs: ${websiteContent.structuredData.links.filter(l => l.isCTA).length}
+
+FORMS: ${websiteContent.structuredData.forms}
+BUTTONS: ${websiteContent.structuredData.buttons.length}
+`,
+  textContent: (url, websiteContent, limits) => `TEXT CONTENT (first ${limits.textContent.toLocaleString('en-US')} characters):
+${websiteContent.structuredData.textContent.substring(0, limits.textContent)}
+`,
+  htmlSample: (url, websiteContent, limits) => `HTML STRUCTURE (sample):
+${websiteContent.html.substring(0, limits.htmlSample)}
+`,
+  cssAnalysis: (url, websiteContent, limits) => websiteContent.cssAnalysis ? `\n=== DESKTOP CSS & RENDERED HTML ANALYSIS ===
+This section contains computed CSS styles and rendered HTML analysis for accurate accessibility assessment.
+
+LINK ANALYSIS (Distinguishability):
+- Total Links: ${websiteContent.cssAnalysis.links.total}
+- Analyzed: ${websiteContent.cssAnalysis.links.analyzed}
+${websiteContent.cssAnalysis.links.details.length > 0 ? `\nLink Details:\n${websiteContent.cssAnalysis.links.details.slice(0, 15).map(link => `  - "${link.text.substring(0, 40)}": ${link.hasUnderline ? 'Has underline' : 'No underline'}, ${link.isBold ? 'Bold' : 'Not bold'}, Color: ${link.color}, Font size: ${link.fontSize}, Distinguishable: ${link.isDistinguishable ? 'Yes' : 'No'}`).join('\n')}` : ''}
+
+FORM ELEMENTS & ERROR MESSAGES:
+- Total Form Elements: ${websiteContent.cssAnalysis.formElements.total}
+- Analyzed: ${websiteContent.cssAnalysis.formElements.analyzed}
+${websiteContent.cssAnalysis.formElements.details.length > 0 ? `\nForm Element Details:\n${websiteContent.cssAnalysis.formElements.details.slice(0, 10).map(el => `  - ${el.type} (${el.name || el.id || 'unnamed'}): Placeholder: "${el.placeholder}", Has label: ${el.hasLabel}, Label visible: ${el.labelVisible}, Label text: "${el.labelText}", Color: ${el.color}, Background: ${el.backgroundColor}`).join('\n')}` : ''}
+- Error Messages Found: ${websiteContent.cssAnalysis.errorMessages.total}
+${websiteContent.cssAnalysis.errorMessages.details.length > 0 ? `\nError Message Details:\n${websiteContent.cssAnalysis.errorMessages.details.slice(0, 5).map(err => `  - For ${err.inputType}: "${err.message.substring(0, 50)}", Color: ${err.color}, Visible: ${err.isVisible}`).join('\n')}` : ''}
+
+SPACING ANALYSIS (Line-height, Letter-spacing${websiteContent.textSpacingTest ? ' - computed values only, see the TEXT SPACING TEST for the override test' : ''}):
+Body:
+- Line-height: ${websiteContent.cssAnalysis.spacing.body.lineHeight} (Allows user override: ${websiteContent.cssAnalysis.spacing.body.lineHeightAllowsOverride ? 'Yes - uses relative units' : 'No - uses fixed units'})
+- Letter-spacing: ${websiteContent.cssAnalysis.spacing.body.letterSpacing} (Allows user override: ${websiteContent.cssAnalysis.spacing.body.letterSpacingAllowsOverride ? 'Yes - uses relative units' : 'No - uses fixed units'})
+- Font-size: ${websiteContent.cssAnalysis.spacing.body.fontSize}
+${websiteContent.cssAnalysis.spacing.paragraphs.length > 0 ? `\nParagraph Samples:\n${websiteContent.cssAnalysis.spacing.paragraphs.slice(0, 5).map((p, i) => `  Paragraph ${i + 1}: Line-height: ${p.lineHeight} (Override: ${p.lineHeightAllowsOverride ? 'Yes' : 'No'}), Letter-spacing: ${p.letterSpacing} (Override: ${p.letterSpacingAllowsOverride ? 'Yes' : 'No'}), Font-size: ${p.fontSize}`).join('\n')}` : ''}
+
+TARGET SIZE ANALYSIS (Desktop - WCAG requires minimum 24x24px for clickable areas):
+- Total Clickable Elements Analyzed: ${websiteContent.cssAnalysis.targetSizes.total}
+- WCAG Compliant (≥24x24px): ${websiteContent.cssAnalysis.targetSizes.compliant}
+- Non-Compliant: ${websiteContent.cssAnalysis.targetSizes.nonCompliant.length}
+${websiteContent.cssAnalysis.targetSizes.nonCompliant.length > 0 ? `\nNon-Compliant Target Sizes:\n${websiteContent.cssAnalysis.targetSizes.nonCompliant.slice(0, 10).map(t => `  - ${t.tag} "${t.text.substring(0, 30)}": ${t.effectiveWidth}x${t.effectiveHeight}px (required: 24x24px minimum)`).join('\n')}` : ''}
+
+INTERACTIVE ELEMENT STATES (Hover, Focus, Active, Disabled${websiteContent.interactionStates ? ' - guessed from stylesheets, see the INTERACTIVE STATE SIMULATION for measured states' : ''}):
+- Total Analyzed: ${websiteContent.cssAnalysis.interactiveStates.total}
+${websiteContent.cssAnalysis.interactiveStates.details.length > 0 ? `\nElement State Details:\n${websiteContent.cssAnalysis.interactiveStates.details.slice(0, 10).map(el => `  - ${el.tag} "${el.text.substring(0, 30)}": Hover state: ${el.hover ? 'Present' : 'Not detected'}, Focus outline: ${el.focus.outline}, Has visible focus: ${el.focus.hasVisibleFocus}, Focus distinct from normal: ${el.focus.isDistinctFromNormal}, Active state: ${el.active ? 'Present' : 'Not detected'}, Disabled: ${el.disabled ? 'Yes' : 'No'}, Has title: ${el.hasTitle}, Has aria-label: ${el.hasAriaLabel}`).join('\n')}` : ''}
+
+HOVER-ONLY INFO DETECTION:
+- Elements with Potential Hover-Only Info: ${websiteContent.cssAnalysis.hoverOnlyInfo.total}
+${websiteContent.cssAnalysis.hoverOnlyInfo.details.length > 0 ? `\nHover-Only Info Issues (title attribute without aria-label):\n${websiteContent.cssAnalysis.hoverOnlyInfo.details.slice(0, 10).map(info => `  - ${info.element} "${info.text.substring(0, 30)}": Tooltip="${info.tooltip}" - This information may only be available on hover, not accessible to keyboard users`).join('\n')}` : 'None detected'}
+
+ANIMATIONS & TRANSITIONS:
+- Animations Found: ${websiteContent.cssAnalysis.animations.total}
+${websiteContent.cssAnalysis.animations.details.length > 0 ? `\nAnimation Details:\n${websiteContent.cssAnalysis.animations.details.slice(0, 5).map(anim => `  - ${anim.element} (${anim.className}): ${anim.animationName}, Duration: ${anim.animationDuration}, Iterations: ${anim.animationIterationCount}`).join('\n')}` : ''}
+- Transitions Found: ${websiteContent.cssAnalysis.transitions.total}
+${websiteContent.cssAnalysis.transitions.details.length > 0 ? `\nTransition Details:\n${websiteContent.cssAnalysis.transitions.details.slice(0, 5).map(trans => `  - ${trans.element} (${trans.className}): ${trans.transitionProperty}, Duration: ${trans.transitionDuration}`).join('\n')}` : ''}
+
+COLOR-ONLY INDICATORS (Status indicators that rely on color alone):
+- Total Found: ${websiteContent.cssAnalysis.colorOnlyIndicators.total}
+${websiteContent.cssAnalysis.colorOnlyIndicators.details.length > 0 ? `\nColor-Only Indicator Details:\n${websiteContent.cssAnalysis.colorOnlyIndicators.details.slice(0, 10).map(ind => `  - ${ind.element} "${ind.text.substring(0, 30)}": Has icon: ${ind.hasIcon}, Has text: ${ind.hasText}, Relies on color alone: ${ind.reliesOnColorAlone ? 'YES (ISSUE)' : 'No'}, Color: ${ind.color}`).join('\n')}` : ''}
+
+NON-TEXT CONTRAST (UI Components):
+- Total UI Components Analyzed: ${websiteContent.cssAnalysis.uiComponents.total}
+${websiteContent.cssAnalysis.uiComponents.details.length > 0 ? `\nUI Component Details:\n${websiteContent.cssAnalysis.uiComponents.details.slice(0, 10).map(comp => `  - ${comp.element} "${comp.text.substring(0, 30)}": Border color: ${comp.borderColor}, Background: ${comp.backgroundColor}, Has border: ${comp.hasBorder}${comp.contrast ? `, Contrast: ${comp.contrast.ratio}:1 (${comp.contrast.measuredAgainst} vs ${comp.contrast.surroundingColor})${comp.contrast.passes ? '' : ' - FAILS 3:1'}` : ''}`).join('\n')}` : ''}
+${websiteContent.cssAnalysis.contrast ? formatContrastAnalysis(websiteContent.cssAnalysis.contrast) : ''}
+IMPORTANT: Use this CSS analysis data to provide accurate assessments for:
+- Link distinguishability (underline, bold, color)
+- Form element labels and error messages (check label visibility)
+- Spacing (line-height, letter-spacing) - use the TEXT SPACING TEST results when present; otherwise check if values use relative units (em/rem) to allow user overrides
+- Target sizes (24x24px minimum for desktop clickable areas)
+- Interactive element states (focus indicators, hover states, active states, disabled states)
+- Hover-only info (elements with title attribute but no aria-label)
+- Animations and transitions (detected but quality assessment requires judgment)
+- Color-only indicators (should have icons or labels)
+- Non-text contrast (UI component borders and backgrounds)
+- Text contrast and placeholder text - use the computed contrast ratios above instead of estimating from color values
+` : '\n=== DESKTOP CSS & RENDERED HTML ANALYSIS ===\nCSS analysis could not be extracted. Please analyze based on HTML structure only.\n',
+  reflowTest: (url, websiteContent, limits) => websiteContent.reflowTest ? `\n=== REFLOW TEST (320px width) ===
+The website has been tested at 320px width to check if content reflows properly without horizontal scrolling.
+
+REFLOW TEST RESULTS:
+- Viewport Width: ${websiteContent.reflowTest.viewportWidth}px
+- Body Width: ${websiteContent.reflowTest.bodyWidth}px
+- Has Horizontal Scroll: ${websiteContent.reflowTest.hasHorizontalScroll ? 'YES (ISSUE)' : 'No'}
+- Scrollbar Width: ${websiteContent.reflowTest.scrollbarWidth}px
+- Meets Reflow Requirement: ${websiteContent.reflowTest.meetsReflowRequirement ? 'Yes' : 'No'}
+${formatLayoutOffenders(websiteContent.reflowTest.offenders)}
+IMPORTANT: Use this data to assess if the website properly reflows at 320px width without horizontal scrolling. Name the offending elements by selector.
+` : '\n=== REFLOW TEST ===\nReflow test could not be performed.\n',
+  textSpacing: (url, websiteContent, limits) => websiteContent.textSpacingTest ? formatTextSpacingTest(websiteContent.textSpacingTest) : '',
+  zoomTest: (url, websiteContent, limits) => websiteContent.zoomTest ? `\n=== ZOOM TEST (200%) ===
+The website has been tested at 200% browser zoom (emulated: half the CSS viewport at twice the pixel ratio) to check if UI scales properly without breaking.
+
+ZOOM TEST RESULTS:
+- Zoom Level: ${websiteContent.zoomTest.zoomLevel * 100}%
+- Original Body Width: ${websiteContent.zoomTest.originalWidth}px
+- Original Body Height: ${websiteContent.zoomTest.originalHeight}px
+- Zoomed Body Width: ${websiteContent.zoomTest.zoomedWidth}px
+- Zoomed Body Height: ${websiteContent.zoomTest.zoomedHeight}px
+- Viewport Width: ${websiteContent.zoomTest.viewportWidth}px
+- Viewport Height: ${websiteContent.zoomTest.viewportHeight}px
+- Has Horizontal Scroll: ${websiteContent.zoomTest.hasHorizontalScroll ? 'Yes (acceptable)' : 'No'}
+- Has Vertical Scroll: ${websiteContent.zoomTest.hasVerticalScroll ? 'Yes (acceptable)' : 'No'}
+- Meets Zoom Requirement: ${websiteContent.zoomTest.meetsZoomRequirement ? 'Yes' : 'No (content is clipped or pushed off-screen)'}
+${formatLayoutOffenders(websiteContent.zoomTest.offenders)}
+IMPORTANT: Use this data to assess if the website scales properly at 200% zoom. Scrolling is acceptable, but content should remain readable and functional. Name the offending elements by selector.
+` : '\n=== ZOOM TEST ===\nZoom test could not be performed.\n',
+  mobile: (url, websiteContent, limits) => websiteContent.mobileData ? `\n=== MOBILE VIEWPORT ANALYSIS ===
+The website has been analyzed in a mobile viewport (${websiteContent.mobileData.viewport.width}x${websiteContent.mobileData.viewport.height}px) to provide mobile-specific accessibility insights.
+
+MOBILE VIEWPORT SETTINGS:
+- Viewport Width: ${websiteContent.mobileData.viewport.width}px
 - Viewport Height: ${websiteContent.mobileData.viewport.height}px
 - Viewport Meta Tag: ${websiteContent.mobileData.viewport.metaTag || 'Not found'}
 - Has Viewport Meta: ${websiteContent.mobileData.viewport.hasViewportMeta ? 'Yes' : 'No'}
 
-MOBILE TOUCH TARGET ANALYSIS (WCAG 2.2 AA requires minimum 44x44px):
-- Total Interactive Elements Analyzed: ${websiteContent.mobileData.touchTargets.total}
-- WCAG Compliant (≥44x44px): ${websiteContent.mobileData.touchTargets.compliant}
-- Non-Compliant: ${websiteContent.mobileData.touchTargets.nonCompliant.length}
-${websiteContent.mobileData.touchTargets.nonCompliant.length > 0 ? `\nNon-Compliant Touch Targets:\n${websiteContent.mobileData.touchTargets.nonCompliant.map(t => `  - "${t.element}": ${t.size} (required: ${t.required})`).join('\n')}` : ''}
+MOBILE TOUCH TARGET ANALYSIS (WCAG 2.2 AA requires minimum 44x44px):
+- Total Interactive Elements Analyzed: ${websiteContent.mobileData.touchTargets.total}
+- WCAG Compliant (≥44x44px): ${websiteContent.mobileData.touchTargets.compliant}
+- Non-Compliant: ${websiteContent.mobileData.touchTargets.nonCompliant.length}
+${websiteContent.mobileData.touchTargets.nonCompliant.length > 0 ? `\nNon-Compliant Touch Targets:\n${websiteContent.mobileData.touchTargets.nonCompliant.map(t => `  - "${t.element}": ${t.size} (required: ${t.required})`).join('\n')}` : ''}
+
+MOBILE SPACING ANALYSIS:
+- Elements with Insufficient Spacing (<8px): ${websiteContent.mobileData.spacing.issues.length}
+${websiteContent.mobileData.spacing.issues.length > 0 ? `\nSpacing Issues:\n${websiteContent.mobileData.spacing.issues.map(s => `  - "${s.element1}" and "${s.element2}": ${s.distance}px apart`).join('\n')}` : ''}
+
+MOBILE RESPONSIVE DESIGN:
+- Has Mobile Media Queries: ${websiteContent.mobileData.responsive.hasMobileMediaQueries ? 'Yes' : 'No'}
+${websiteContent.mobileData.responsive.breakpoints.length > 0 ? `- Breakpoints Found:\n${websiteContent.mobileData.responsive.breakpoints.map(b => `  - ${b}`).join('\n')}` : ''}
+
+MOBILE TYPOGRAPHY:
+- Body Font Size: ${websiteContent.mobileData.typography.bodyFontSize}px
+- Body Line Height: ${websiteContent.mobileData.typography.bodyLineHeight}
+- Meets Minimum (16px): ${websiteContent.mobileData.typography.meetsMinimum ? 'Yes' : 'No'}
+
+MOBILE CONTENT STRUCTURE:
+- H1 Headings: ${websiteContent.mobileData.structuredData.headings.h1.join(', ') || 'None'}
+- H2 Headings: ${websiteContent.mobileData.structuredData.headings.h2.slice(0, 10).join(', ') || 'None'}
+- Buttons Found: ${websiteContent.mobileData.structuredData.buttons.length}
+- Links Found: ${websiteContent.mobileData.structuredData.links.length}
+- Forms Found: ${websiteContent.mobileData.structuredData.forms}
+
+${limits.mobileText > 0 ? `MOBILE TEXT CONTENT (first ${limits.mobileText.toLocaleString('en-US')} characters):
+${websiteContent.mobileData.textContent.substring(0, limits.mobileText)}` : 'MOBILE TEXT CONTENT: left out to fit the prompt budget'}
+
+${limits.mobileHtml > 0 ? `MOBILE HTML STRUCTURE (sample):
+${websiteContent.mobileData.html.substring(0, limits.mobileHtml)}` : 'MOBILE HTML STRUCTURE: left out to fit the prompt budget'}
+
+${websiteContent.mobileData.cssAnalysis ? `\nMOBILE CSS ANALYSIS:
+Links Analyzed: ${websiteContent.mobileData.cssAnalysis.links.total}
+${websiteContent.mobileData.cssAnalysis.links.details.length > 0 ? `\nMobile Link Details:\n${websiteContent.mobileData.cssAnalysis.links.details.slice(0, 10).map(link => `  - "${link.text.substring(0, 40)}": ${link.hasUnderline ? 'Has underline' : 'No underline'}, ${link.isBold ? 'Bold' : 'Not bold'}, Font size: ${link.fontSize}`).join('\n')}` : ''}
+Mobile Spacing:
+- Line-height: ${websiteContent.mobileData.cssAnalysis.spacing.body.lineHeight}
+- Letter-spacing: ${websiteContent.mobileData.cssAnalysis.spacing.body.letterSpacing}
+` : ''}
+
+IMPORTANT MOBILE CONSIDERATIONS:
+- When analyzing mobile-specific items (touch targets, mobile vs desktop, etc.), use the mobile viewport data above
+- Compare desktop and mobile experiences where relevant
+- Touch target sizes are measured including padding (effective touch area)
+- Mobile spacing issues can cause accidental taps
+- Viewport meta tag is critical for proper mobile rendering
+` : '\n=== MOBILE VIEWPORT ANALYSIS ===\nMobile viewport data could not be captured. Please analyze based on desktop content only.\n',
+  devices: (url, websiteContent, limits) => websiteContent.devices ? formatDeviceComparison(websiteContent.devices) : '',
+  psi: (url, websiteContent, limits) => websiteContent.psiData ? `\n=== GOOGLE PAGESPEED INSIGHTS ANALYSIS ===
+This section contains real mobile and desktop performance/accessibility data from Google PageSpeed Insights API.
+
+MOBILE ANALYSIS (from PageSpeed Insights):
+${websiteContent.psiData.mobile ? `
+- Accessibility Score: ${websiteContent.psiData.mobile.scores.accessibility || 'N/A'}/100
+- Performance Score: ${websiteContent.psiData.mobile.scores.performance || 'N/A'}/100
+- Best Practices Score: ${websiteContent.psiData.mobile.scores.bestPractices || 'N/A'}/100
+- SEO Score: ${websiteContent.psiData.mobile.scores.seo || 'N/A'}/100
+- Emulated Form Factor: ${websiteContent.psiData.mobile.emulatedFormFactor || 'mobile'}
+- Final URL: ${websiteContent.psiData.mobile.finalUrl || url}
+
+ACCESSIBILITY AUDITS (Mobile):
+${Object.keys(websiteContent.psiData.mobile.accessibilityAudits || {}).length > 0 ? Object.entries(websiteContent.psiData.mobile.accessibilityAudits).slice(0, 30).map(([key, audit]) => {
+  const score = audit.score !== null ? (audit.score === 1 ? 'PASS' : audit.score === 0 ? 'FAIL' : `PARTIAL (${Math.round(audit.score * 100)}%)`) : 'N/A';
+  return `  - ${audit.title}: ${score}${audit.displayValue ? ` - ${audit.displayValue}` : ''}${limits.psiDescriptions && audit.description ? `\n    Description: ${audit.description}` : ''}`;
+}).join('\n') : 'No accessibility audits available'}
+
+PERFORMANCE METRICS (Mobile):
+${Object.keys(websiteContent.psiData.mobile.performanceMetrics || {}).length > 0 ? Object.entries(websiteContent.psiData.mobile.performanceMetrics).map(([key, metric]) => {
+  return `  - ${metric.title}: ${metric.displayValue || 'N/A'} (Score: ${metric.score !== null ? Math.round(metric.score * 100) : 'N/A'})`;
+}).join('\n') : 'No performance metrics available'}
+` : 'Mobile PageSpeed Insights data not available'}
+
+DESKTOP ANALYSIS (from PageSpeed Insights):
+${websiteContent.psiData.desktop ? `
+- Accessibility Score: ${websiteContent.psiData.desktop.scores.accessibility || 'N/A'}/100
+- Performance Score: ${websiteContent.psiData.desktop.scores.performance || 'N/A'}/100
+- Best Practices Score: ${websiteContent.psiData.desktop.scores.bestPractices || 'N/A'}/100
+- SEO Score: ${websiteContent.psiData.desktop.scores.seo || 'N/A'}/100
+- Final URL: ${websiteContent.psiData.desktop.finalUrl || url}
+
+ACCESSIBILITY AUDITS (Desktop):
+${Object.keys(websiteContent.psiData.desktop.accessibilityAudits || {}).length > 0 ? Object.entries(websiteContent.psiData.desktop.accessibilityAudits).slice(0, 30).map(([key, audit]) => {
+  const score = audit.score !== null ? (audit.score === 1 ? 'PASS' : audit.score === 0 ? 'FAIL' : `PARTIAL (${Math.round(audit.score * 100)}%)`) : 'N/A';
+  return `  - ${audit.title}: ${score}${audit.displayValue ? ` - ${audit.displayValue}` : ''}${limits.psiDescriptions && audit.description ? `\n    Description: ${audit.description}` : ''}`;
+}).join('\n') : 'No accessibility audits available'}
+` : 'Desktop PageSpeed Insights data not available'}
+
+IMPORTANT: Use PageSpeed Insights data to:
+- Validate and supplement accessibility findings (PSI provides real mobile accessibility audits)
+- Use mobile PSI data as the primary source for mobile-specific accessibility analysis
+- Compare PSI accessibility scores with your own analysis
+- Use PSI mobile rendering data to verify mobile viewport behavior
+- Cross-reference PSI accessibility audits with your findings for accuracy
+` : '\n=== GOOGLE PAGESPEED INSIGHTS ANALYSIS ===\nPageSpeed Insights data not available. To enable this feature, set PSI_API_KEY in your environment variables.\n',
+  axe: (url, websiteContent, limits) => websiteContent.axeResults ? formatAxeResults(websiteContent.axeResults) : '',
+  keyboard: (url, websiteContent, limits) => websiteContent.keyboardTest ? formatKeyboardTest(websiteContent.keyboardTest, limits.keyboardOrder) : '',
+  motion: (url, websiteContent, limits) => websiteContent.motionTest ? formatMotionTest(websiteContent.motionTest) : '',
+  colorSchemes: (url, websiteContent, limits) => websiteContent.colorSchemeTest ? formatColorSchemeTest(websiteContent.colorSchemeTest) : '',
+  interactionStates: (url, websiteContent, limits) => websiteContent.interactionStates ? formatStateSimulation(websiteContent.interactionStates, limits.stateElements) : '',
+  journeys: (url, websiteContent, limits) => websiteContent.journeys && websiteContent.journeys.length > 0 ? formatJourneyTranscripts(websiteContent.journeys, limits.journeyDetails) : ''
+};
+
+// Data sections each category's prompt includes (categories not listed here get every section)
+const CATEGORY_PROMPT_SECTIONS = {
+  userJourneys: ['pageOverview', 'textContent', 'htmlSample', 'mobile', 'devices', 'journeys'],
+  userExperience: ['pageOverview', 'textContent', 'htmlSample', 'cssAnalysis', 'keyboard', 'interactionStates', 'motion', 'mobile', 'devices', 'psi', 'journeys'],
+  contentAssessment: ['pageOverview', 'textContent'],
+  accessibility: ['pageOverview', 'htmlSample', 'cssAnalysis', 'keyboard', 'interactionStates', 'reflowTest', 'zoomTest', 'textSpacing', 'colorSchemes', 'mobile', 'devices', 'psi', 'axe']
+};
+
+// Size limits of the large prompt sections before any trimming (characters; psiDescriptions includes PSI audit descriptions,
+// journeyDetails the page summary after each journey step, keyboardOrder and stateElements are the number of tab stops
+// and simulated elements listed)
+const DEFAULT_PROMPT_LIMITS = { textContent: 50000, htmlSample: 10000, mobileText: 30000, mobileHtml: 5000, psiDescriptions: true, journeyDetails: true, keyboardOrder: 40, stateElements: 20 };
+
+// Checklist items ("category.item", "category.*" for all) that rely on each section. When a prompt is over budget,
+// the section the fewest checked items rely on is trimmed first. pageOverview is small and always kept
+const PROMPT_SECTION_ITEMS = {
+  textContent: ['userJourneys.*', 'contentAssessment.*', 'userExperience.navigation', 'userExperience.ctaPlacement', 'userExperience.trustElements', 'userExperience.conversionPaths'],
+  htmlSample: ['userJourneys.*', 'userExperience.*', 'contentAssessment.imageQuality', 'accessibility.links', 'accessibility.labels', 'accessibility.errorMessages', 'accessibility.states'],
+  cssAnalysis: ['userExperience.hoverStates', 'userExperience.interactions', 'userExperience.touchTargets', 'accessibility.*'],
+  keyboard: ['accessibility.focusIndicator', 'accessibility.states', 'accessibility.hoverOnlyInfo', 'userExperience.hoverStates', 'userExperience.interactions'],
+  motion: ['userExperience.interactions'],
+  interactionStates: ['userExperience.hoverStates', 'userExperience.interactions', 'accessibility.states', 'accessibility.focusIndicator'],
+  reflowTest: ['accessibility.reflow'],
+  zoomTest: ['accessibility.zoom'],
+  textSpacing: ['accessibility.spacing'],
+  colorSchemes: ['accessibility.textContrast', 'accessibility.nonTextContrast', 'accessibility.focusIndicator'],
+  mobile: ['userJourneys.mobileVsDesktop', 'userExperience.touchTargets', 'accessibility.targetSize', 'accessibility.touchTargets', 'accessibility.reflow'],
+  devices: ['userJourneys.mobileVsDesktop', 'userExperience.touchTargets', 'accessibility.targetSize', 'accessibility.touchTargets', 'accessibility.reflow'],
+  psi: ['userExperience.loadingStates', 'accessibility.*'],
+  axe: ['accessibility.*'],
+  journeys: ['userJourneys.*', 'userExperience.conversionPaths', 'userExperience.loadingStates', 'userExperience.interactions']
+};
+
+// How each section is cut down, mildest step first - 'drop' leaves the section out entirely
+const PROMPT_TRIM_STEPS = {
+  textContent: [{ textContent: 20000 }, { textContent: 5000 }, 'drop'],
+  mobile: [{ mobileText: 5000, mobileHtml: 2000 }, { mobileText: 0, mobileHtml: 0 }, 'drop'],
+  htmlSample: [{ htmlSample: 3000 }, 'drop'],
+  psi: [{ psiDescriptions: false }, 'drop'],
+  cssAnalysis: ['drop'],
+  keyboard: [{ keyboardOrder: 10 }, 'drop'],
+  interactionStates: [{ stateElements: 8 }, 'drop'],
+  motion: ['drop'],
+  devices: ['drop'],
+  journeys: [{ journeyDetails: false }, 'drop'],
+  axe: ['drop'],
+  reflowTest: ['drop'],
+  zoomTest: ['drop'],
+  textSpacing: ['drop'],
+  colorSchemes: ['drop']
+};
+
+// Upper bound for one audit prompt in tokens (also capped by the model's context window), and the token
+// allowance per attached screenshot
+const PROMPT_TOKEN_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET) || 30000;
+const IMAGE_TOKEN_ESTIMATE = 1600;
+
+// Data sections a prompt for categoryKey includes (every section when no category is given)
+function promptSectionKeys(categoryKey) {
+  return (categoryKey && CATEGORY_PROMPT_SECTIONS[categoryKey]) || Object.keys(AUDIT_PROMPT_SECTIONS);
+}
+
+// Prompt token budget of a resolved model: PROMPT_TOKEN_BUDGET, capped by its context window minus its output allowance
+function modelPromptBudget(route) {
+  const contextTokens = route.provider.contextTokens(route.modelName);
+  return Math.min(PROMPT_TOKEN_BUDGET, contextTokens - Math.min(route.provider.maxOutputTokens, Math.floor(contextTokens / 2)));
+}
+
+// Build the audit prompt within the token budget of every model runModelAudit may send it to (the selected one and
+// the configured fallbacks, so the smallest budget applies). Sections are trimmed by PROMPT_TRIM_STEPS, least
+// relied-on first (see PROMPT_SECTION_ITEMS), until the prompt fits.
+// Returns { prompt, budget } - budget records the token count, the model the budget is for and what was trimmed or dropped
+async function buildBudgetedPrompt(url, websiteContent, auditOptions, model, options = {}) {
+  const { categoryKey, images = [] } = options;
+  const routes = auditModelChain(model)
+    .map(name => ({ name, route: resolveModel(name) }))
+    .filter(entry => entry.route && entry.route.provider.isConfigured());
+  const { name: budgetModel, route } = routes.length > 0
+    ? routes.reduce((smallest, entry) => modelPromptBudget(entry.route) < modelPromptBudget(smallest.route) ? entry : smallest)
+    : { name: model, route: resolveModel(model) };
+  const budgetTokens = modelPromptBudget(route);
+  const imageTokens = images.length * IMAGE_TOKEN_ESTIMATE;
+
+  // How many checked items rely on each trimmable section of this prompt
+  const checkedItems = Object.entries(categoryKey ? { [categoryKey]: auditOptions[categoryKey] } : auditOptions).flatMap(([key, category]) =>
+    Object.entries(category.items || {}).filter(([_, item]) => item.checked).map(([itemKey]) => [key, itemKey])
+  );
+  const weights = {};
+  promptSectionKeys(categoryKey).filter(key => PROMPT_TRIM_STEPS[key]).forEach(key => {
+    weights[key] = checkedItems.filter(([itemCategory, itemKey]) =>
+      PROMPT_SECTION_ITEMS[key].includes(`${itemCategory}.*`) || PROMPT_SECTION_ITEMS[key].includes(`${itemCategory}.${itemKey}`)
+    ).length;
+  });
+
+  const limits = { ...DEFAULT_PROMPT_LIMITS };
+  const omitSections = [];
+  const stepIndex = {};
+  const trimmed = [];
+  let prompt = generateAuditPrompt(url, websiteContent, auditOptions, { ...options, limits, omitSections });
+
+  // Count once with the model's own tokenizer where the provider offers it, then scale by characters while trimming
+  let tokenCount = 'estimate';
+  let charsPerToken = 4;
+  try {
+    const counted = await route.provider.countTokens(route.modelName, prompt);
+    if (counted) {
+      charsPerToken = prompt.length / counted;
+      tokenCount = 'model';
+    }
+  } catch (error) {
+    console.warn(`[${new Date().toISOString()}] Token count failed for ${budgetModel}, estimating: ${error.message}`);
+  }
+  const countTokens = (text) => Math.ceil(text.length / charsPerToken) + imageTokens;
+
+  let promptTokens = countTokens(prompt);
+  while (promptTokens > budgetTokens) {
+    const candidates = Object.keys(weights).filter(key => (stepIndex[key] || 0) < PROMPT_TRIM_STEPS[key].length);
+    if (candidates.length === 0) break;
+    const section = candidates.reduce((best, key) => weights[key] < weights[best] ? key : best);
+    const step = PROMPT_TRIM_STEPS[section][stepIndex[section] || 0];
+    stepIndex[section] = (stepIndex[section] || 0) + 1;
+    if (step === 'drop') {
+      omitSections.push(section);
+      trimmed.push({ section, dropped: true });
+    } else {
+      Object.assign(limits, step);
+      trimmed.push({ section, dropped: false, limits: step });
+    }
+    prompt = generateAuditPrompt(url, websiteContent, auditOptions, { ...options, limits, omitSections });
+    promptTokens = countTokens(prompt);
+  }
+
+  if (trimmed.length > 0) {
+    console.log(`[${new Date().toISOString()}] Prompt${categoryKey ? ` for ${categoryKey}` : ''} trimmed to ${promptTokens} tokens (budget ${budgetTokens}): ${trimmed.map(t => t.dropped ? `dropped ${t.section}` : `shortened ${t.section}`).join(', ')}`);
+  }
+  if (promptTokens > budgetTokens) {
+    console.warn(`[${new Date().toISOString()}] Prompt${categoryKey ? ` for ${categoryKey}` : ''} is still ${promptTokens} tokens, over the ${budgetTokens} token budget`);
+  }
+
+  return {
+    prompt,
+    budget: { category: categoryKey || null, model, budgetModel, budgetTokens, promptTokens, tokenCount, trimmed }
+  };
+}
+
+// Generate audit prompt based on selected options
+function generateAuditPrompt(url, websiteContent, auditOptions, options = {}) {
+  const { crawlContext, ruleResults = [], images = [], categoryKey, limits = DEFAULT_PROMPT_LIMITS, omitSections = [] } = options;
+  // A category prompt covers only that category's items and gets only the data sections it needs
+  const selectedOptions = categoryKey ? { [categoryKey]: auditOptions[categoryKey] } : auditOptions;
+  const sectionKeys = promptSectionKeys(categoryKey).filter(key => !omitSections.includes(key));
+  let prompt = `You are an expert UX/UI auditor and web accessibility specialist. Analyze the following website and provide a comprehensive audit report.${categoryKey ? ` This request covers only the "${auditOptions[categoryKey].title}" part of the audit; the other categories are assessed separately.` : ''}
+
+WEBSITE URL: ${url}
+${crawlContext ? `
+SITE CRAWL CONTEXT:
+This page is one of ${crawlContext.pages.length} pages audited on ${crawlContext.origin}. Other pages in this audit:
+${crawlContext.pages.filter(pageUrl => pageUrl !== url).map(pageUrl => `- ${pageUrl}`).join('\n') || '- None'}
+Audit THIS page only, but consider how it fits into journeys that span the other pages listed above.
+` : ''}${images.length > 0 ? `
+SCREENSHOTS:
+${images.length} screenshots of the rendered page are attached after this prompt, in this order:
+${images.map((image, index) => `${index + 1}. ${image.description}`).join('\n')}
+Items marked "VISUAL CHECK" below must be judged from these screenshots (layout, imagery, visual hierarchy, what is visible above the fold), not only from the HTML. Do not answer "cannot verify" for them.
+` : ''}${omitSections.length > 0 ? `
+LEFT OUT TO FIT THE PROMPT BUDGET: ${omitSections.join(', ')}. Do not mark items as failing only because this data is missing.
+` : ''}
+${sectionKeys.map(key => AUDIT_PROMPT_SECTIONS[key](url, websiteContent, limits)).join('\n')}
+AUDIT INSTRUCTIONS:
+THOROUGHLY examine ALL the provided content. Important considerations:
+- Many modern websites use lazy-loading, JavaScript rendering, and dynamic content
+- Look carefully for: image tags with client logos, testimonial sections, team info, case studies
+- Check class names, section headings, alt text, and content structure
+- If you find evidence of something (like logo images or testimonial text), report it ACCURATELY
+- If you CANNOT verify something from the HTML (may be JS-loaded), state "Cannot verify from static HTML - may be dynamically loaded"
+- DO NOT assume something is missing just because it's not immediately obvious
+- Be precise and honest about what you can and cannot see in the code
+
+Analyze ONLY the following checked items and provide detailed findings, issues, and recommendations for each:
+
+`;
+
+  Object.entries(selectedOptions).forEach(([optionKey, category]) => {
+    const checkedItems = Object.entries(category.items)
+      .filter(([_, item]) => item.checked);
+    
+    if (checkedItems.length > 0) {
+      prompt += `\n## ${category.title.toUpperCase()}\n`;
+      checkedItems.forEach(([itemKey, item]) => {
+        prompt += `\n✓ ${item.label}\n`;
+        if (images.length > 0 && (VISUAL_ANALYSIS_ITEMS[optionKey] || []).includes(itemKey)) {
+          prompt += `VISUAL CHECK: judge this item from the attached screenshots and describe what you see in them.\n`;
+        }
+        const rule = ruleResults.find(r => r.categoryKey === optionKey && r.itemKey === itemKey);
+        if (rule) {
+          prompt += `MACHINE-VERIFIED RESULT: ${rule.result.toUpperCase()} - ${rule.summary}\n${rule.evidence.length > 0 ? `Evidence:\n${rule.evidence.map(e => `  - ${e}`).join('\n')}\n` : ''}Use status "${rule.status}" for this item; do not re-judge it. Explain the result and give recommendations.\n`;
+        }
+        // Include custom prompt if provided - it has higher priority but should still consider the label context
+        if (item.prompt && item.prompt.trim()) {
+          prompt += `\n⚠️ CUSTOM INSTRUCTIONS (HIGHEST PRIORITY - override default behavior if needed, but keep "${item.label}" as the main assessment context):\n${item.prompt}\n`;
+        }
+      });
+    }
+  });
+
+  prompt += `\n\nCRITICAL: YOU MUST RESPOND WITH VALID JSON ONLY. NO MARKDOWN, NO EXPLANATIONS, NO BACKTICKS.
+
+FORMAT YOUR RESPONSE AS THIS EXACT JSON STRUCTURE:
+{
+  "categories": [
+    {
+      "title": "Category Name",
+      "items": [
+        {
+          "label": "Item label",
+          "status": "good",
+          "findings": "Detailed description",
+          "issues": ["Issue 1", "Issue 2"],
+          "recommendations": ["Recommendation 1", "Recommendation 2"]
+        }
+      ]
+    }
+  ]
+}
+
+STRICT JSON RULES:
+1. Start with { and end with }
+2. All strings must be in double quotes "
+3. All arrays must be properly closed with ]
+4. All objects must be properly closed with }
+5. Use "good", "warning", or "critical" for status (lowercase, in quotes)
+6. Escape any quotes in text content with \\"
+7. Do NOT include markdown code blocks
+8. Do NOT include any text before or after the JSON
+9. Ensure all commas are present between array/object elements
+10. If content is very long, truncate it rather than breaking JSON structure
+
+IMPORTANT: 
+- Be specific and actionable in your recommendations
+- Use "good" status for things done well, "warning" for minor issues, "critical" for serious problems
+- Provide code examples or specific changes where relevant
+- If you cannot assess something (like actual performance metrics), state that clearly
+- When analyzing trust elements (logos, testimonials, case studies): Look for <img> tags, testimonial sections, client name mentions, and quote blocks
+- If you see evidence of these elements in the HTML, acknowledge them positively
+
+RESPOND WITH ONLY THE JSON OBJECT, NOTHING ELSE.`;
+
+  return prompt;
+}
+
+// Resolve a model id to its provider: an explicit "<provider>:<model>" prefix wins, otherwise the model name decides
+// Returns { providerId, provider, modelName } or null when no provider serves the model
+function resolveModel(model) {
+  if (typeof model !== 'string' || !model) return null;
+  const separator = model.indexOf(':');
+  if (separator > 0 && LLM_PROVIDERS[model.slice(0, separator)]) {
+    const providerId = model.slice(0, separator);
+    return { providerId, provider: LLM_PROVIDERS[providerId], modelName: model.slice(separator + 1) };
+  }
+  const providerId = Object.keys(LLM_PROVIDERS).find(id => LLM_PROVIDERS[id].matches(model));
+  return providerId ? { providerId, provider: LLM_PROVIDERS[providerId], modelName: model } : null;
+}
+
+async function generateWithGemini(modelName, prompt, images) {
+  const imageParts = images.flatMap((image, index) => [
+    { text: `Screenshot ${index + 1}: ${image.description}` },
+    { inlineData: { mimeType: image.mimeType, data: image.data.toString('base64') } }
+  ]);
+  const geminiModel = genAI.getGenerativeModel({ model: modelName });
+  const result = await geminiModel.generateContent({
+    contents: [{ role: 'user', parts: [{ text: prompt }, ...imageParts] }],
+    generationConfig: {
+      temperature: 0.2, // Very low temperature for highly consistent JSON responses
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: LLM_PROVIDERS.gemini.maxOutputTokens, // Increased to allow detailed analysis for all 43+ audit items
+      responseMimeType: 'application/json', // Force JSON response format
+    }
+  });
+  return {
+    text: result.response.text(),
+    usage: {
+      input_tokens: result.response.usageMetadata?.promptTokenCount || 0,
+      output_tokens: result.response.usageMetadata?.candidatesTokenCount || 0
+    }
+  };
+}
+
+async function generateWithAnthropic(modelName, prompt, images) {
+  const content = [{ type: 'text', text: prompt }];
+  images.forEach((image, index) => {
+    content.push({ type: 'text', text: `Screenshot ${index + 1}: ${image.description}` });
+    content.push({ type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data.toString('base64') } });
+  });
+  const data = await postProviderRequest('https://api.anthropic.com/v1/messages', {
+    'x-api-key': process.env.ANTHROPIC_API_KEY,
+    'anthropic-version': '2023-06-01'
+  }, {
+    model: modelName,
+    max_tokens: LLM_MAX_OUTPUT_TOKENS,
+    temperature: 0.2,
+    messages: [{ role: 'user', content }]
+  });
+  return {
+    text: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+    usage: {
+      input_tokens: data.usage?.input_tokens || 0,
+      output_tokens: data.usage?.output_tokens || 0
+    }
+  };
+}
+
+async function generateWithOpenAI(modelName, prompt, images) {
+  // Plain string content when there are no images - text-only local servers often reject content arrays
+  const content = images.length === 0 ? prompt : [
+    { type: 'text', text: prompt },
+    ...images.flatMap((image, index) => [
+      { type: 'text', text: `Screenshot ${index + 1}: ${image.description}` },
+      { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` } }
+    ])
+  ];
+  const data = await postProviderRequest(`${OPENAI_BASE_URL}/chat/completions`, process.env.OPENAI_API_KEY ? {
+    Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+  } : {}, {
+    model: modelName,
+    max_tokens: LLM_MAX_OUTPUT_TOKENS,
+    temperature: 0.2,
+    response_format: { type: 'json_object' },
+    messages: [{ role: 'user', content }]
+  });
+  return {
+    text: data.choices?.[0]?.message?.content || '',
+    usage: {
+      input_tokens: data.usage?.prompt_tokens || 0,
+      output_tokens: data.usage?.completion_tokens || 0
+    }
+  };
+}
+
+// POST a JSON request to a provider API - failures throw with the HTTP status attached (see describeAuditError)
+async function postProviderRequest(url, headers, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText;
+    try {
+      message = JSON.parse(errorText).error?.message || errorText;
+    } catch (e) {
+      // Not JSON - keep the raw body
+    }
+    const error = new Error(`${response.status} ${message.substring(0, 300)}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// Schema the model's audit report must match (a JSON Schema subset, checked by validateAgainstSchema)
+const AUDIT_REPORT_SCHEMA = {
+  type: 'object',
+  required: ['categories'],
+  properties: {
+    categories: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['title', 'items'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['label', 'status', 'findings', 'issues', 'recommendations'],
+              properties: {
+                label: { type: 'string', minLength: 1 },
+                status: { type: 'string', enum: ['good', 'warning', 'critical'] },
+                findings: { type: 'string' },
+                issues: { type: 'array', items: { type: 'string' } },
+                recommendations: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Repair prompts sent back to the model when its report fails validation (per model call, 0 turns repairs off)
+const repairAttemptsSetting = parseInt(process.env.MODEL_REPAIR_ATTEMPTS);
+const MODEL_REPAIR_ATTEMPTS = Number.isInteger(repairAttemptsSetting) && repairAttemptsSetting >= 0 ? repairAttemptsSetting : 2;
+
+// Validate a value against a schema - returns [{ path, message }], empty when valid
+function validateAgainstSchema(value, schema, path = '$') {
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (schema.type && actualType !== schema.type) {
+    return [{ path, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${actualType}` }];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => `"${v}"`).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+  if (schema.minLength && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+  if (schema.minItems && value.length < schema.minItems) {
+    errors.push({ path, message: `must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}` });
+  }
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+  });
+  Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+    if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+  });
+  if (schema.items) {
+    value.forEach((entry, index) => errors.push(...validateAgainstSchema(entry, schema.items, `${path}[${index}]`)));
+  }
+  return errors;
+}
+
+// Report items are matched to checklist labels on the text before any parenthetical - models often drop that part
+const checklistLabelKey = (label) => normalizeDiffKey(String(label || '').split('(')[0]);
+
+// Labels of the checked items the model must cover
+function expectedChecklistItems(auditOptions) {
+  return Object.values(auditOptions || {}).flatMap(category =>
+    Object.values(category.items || {}).filter(item => item.checked).map(item => item.label)
+  );
+}
+
+// Pull the JSON object out of a model response (code fences and surrounding text are tolerated, broken JSON is not)
+function parseModelJson(text) {
+  const cleaned = String(text || '').replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  return JSON.parse(start !== -1 && end > start ? cleaned.slice(start, end + 1) : cleaned);
+}
+
+// Parse and validate a model response against AUDIT_REPORT_SCHEMA and the expected checklist items
+// Returns { report, errors, invalidItems, missingItems } - report is null when the response is not JSON
+function checkModelResponse(text, expectedItems) {
+  let report;
+  try {
+    report = parseModelJson(text);
+  } catch (parseError) {
+    return { report: null, errors: [`Response is not valid JSON: ${parseError.message}`], invalidItems: [], missingItems: expectedItems.slice() };
+  }
+
+  const schemaErrors = validateAgainstSchema(report, AUDIT_REPORT_SCHEMA);
+  const invalidItems = [];
+  const errors = schemaErrors.map(error => {
+    const itemPath = error.path.match(/^\$\.categories\[(\d+)\]\.items\[(\d+)\]/);
+    const item = itemPath && report.categories[itemPath[1]].items[itemPath[2]];
+    const label = item && typeof item.label === 'string' ? item.label : null;
+    if (itemPath && !invalidItems.some(entry => entry.path === itemPath[0])) {
+      invalidItems.push({ path: itemPath[0], label });
+    }
+    return `${error.path}${label ? ` (item "${label}")` : ''} ${error.message}`;
+  });
+
+  const reportedKeys = new Set();
+  if (report && Array.isArray(report.categories)) {
+    report.categories.forEach(category => {
+      (Array.isArray(category && category.items) ? category.items : []).forEach(item => {
+        if (item && typeof item.label === 'string') reportedKeys.add(checklistLabelKey(item.label));
+      });
+    });
+  }
+  const missingItems = expectedItems.filter(label => !reportedKeys.has(checklistLabelKey(label)));
+  missingItems.forEach(label => errors.push(`Missing checklist item: "${label}"`));
+
+  return { report, errors, invalidItems, missingItems };
+}
+
+// Follow-up prompt asking the model to fix its own report - the original prompt is repeated so missing items can be assessed
+function buildRepairPrompt(prompt, previousText, errors) {
+  return `${prompt}
+
+=== YOUR PREVIOUS RESPONSE (FAILED VALIDATION) ===
+${previousText}
+
+=== VALIDATION ERRORS ===
+${errors.slice(0, 50).map(error => `- ${error}`).join('\n')}${errors.length > 50 ? `\n- ...and ${errors.length - 50} more` : ''}
+
+REPAIR INSTRUCTIONS:
+- Return the COMPLETE corrected JSON report, not only the changed parts
+- Fix every error listed above and keep valid items as they were
+- Add every missing checklist item, assessed from the website data above, using its exact label
+- The report must match this JSON schema: ${JSON.stringify(AUDIT_REPORT_SCHEMA)}
+
+RESPOND WITH ONLY THE JSON OBJECT, NOTHING ELSE.`;
+}
+
+// Drop the items (and categories) that are still invalid after the repair attempts so the report matches the schema
+function dropInvalidReportEntries(report) {
+  report.categories = report.categories.filter(category =>
+    category && typeof category === 'object' && typeof category.title === 'string' && category.title.trim() && Array.isArray(category.items)
+  );
+  report.categories.forEach(category => {
+    category.items = category.items.filter(item =>
+      item && typeof item === 'object' && validateAgainstSchema(item, AUDIT_REPORT_SCHEMA.properties.categories.items.properties.items.items).length === 0
+    );
+  });
+  return report;
+}
+
+// Run an audit prompt through the selected model (then LLM_FALLBACK_MODELS) and return the validated report.
+// images ({ mimeType, data, description }) are sent as image parts after the prompt. expectedItems are the
+// checklist labels the report must cover; schema errors and missing items are sent back for repair
+async function runModelAudit(prompt, model, images = [], expectedItems = []) {
+  // Try selected model first, then the configured fallbacks
+  let modelName = model || 'gemini-2.5-flash';
+  let providerId;
+  let activeRoute;
+  let result;
+  let lastError;
+  
+  const modelsToTry = auditModelChain(modelName);
+  
+  if (images.length > 0) {
+    console.log(`[${new Date().toISOString()}] Sending ${images.length} screenshots for visual analysis`);
+  }
+  
+  for (const tryModel of modelsToTry) {
+    const route = resolveModel(tryModel);
+    if (!route || !route.provider.isConfigured()) {
+      console.warn(`[${new Date().toISOString()}] Skipping model ${tryModel}: ${route ? `${route.provider.requires} not configured` : 'no provider serves it'}`);
+      continue;
+    }
+    try {
+      console.log(`[${new Date().toISOString()}] Trying ${route.provider.label} model: ${route.modelName}`);
+      result = await route.provider.generate(route.modelName, prompt, images);
+      modelName = tryModel;
+      providerId = route.providerId;
+      activeRoute = route;
+      console.log(`[${new Date().toISOString()}] Successfully using model: ${tryModel}`);
+      break; // Success, exit loop
+      
+    } catch (modelError) {
+      console.warn(`[${new Date().toISOString()}] Model ${tryModel} failed: ${modelError.message}`);
+      lastError = modelError;
+      // Continue to the next fallback model
+    }
+  }
+  
+  if (!result) {
+    console.error('All models failed. Last error:', lastError);
+    const error = new Error(`Model API error: All models failed (${modelsToTry.join(', ')}). Last error: ${lastError?.message || 'Unknown error'}. Note: Some Gemini models may require billing to be enabled in Google AI Studio.`);
+    error.status = lastError?.status;
+    throw error;
+  }
+
+  // Validate the report and send the errors back to the same model for a bounded number of repairs
+  const usage = { ...result.usage };
+  let checked = checkModelResponse(result.text, expectedItems);
+  let responseText = result.text;
+  const initialProblems = [...checked.missingItems, ...checked.invalidItems.map(item => item.label).filter(Boolean)];
+  let repairAttempts = 0;
+  
+  while (checked.errors.length > 0 && repairAttempts < MODEL_REPAIR_ATTEMPTS) {
+    repairAttempts++;
+    console.warn(`[${new Date().toISOString()}] Report from ${modelName} failed validation (${checked.errors.length} errors), repair attempt ${repairAttempts}/${MODEL_REPAIR_ATTEMPTS}`);
+    try {
+      const repair = await activeRoute.provider.generate(activeRoute.modelName, buildRepairPrompt(prompt, responseText, checked.errors), images);
+      usage.input_tokens += repair.usage.input_tokens;
+      usage.output_tokens += repair.usage.output_tokens;
+      const repaired = checkModelResponse(repair.text, expectedItems);
+      // Keep the previous response if the repair made things worse
+      if (repaired.report && (!checked.report || repaired.errors.length <= checked.errors.length)) {
+        checked = repaired;
+        responseText = repair.text;
+      }
+    } catch (repairError) {
+      console.warn(`[${new Date().toISOString()}] Repair attempt failed: ${repairError.message}`);
+      break;
+    }
+  }
+  
+  if (!checked.report || !Array.isArray(checked.report.categories)) {
+    console.error('Problematic response (first 500 chars):', String(responseText).substring(0, 500));
+    throw new Error(`Invalid JSON response from ${modelName} after ${repairAttempts} repair attempt${repairAttempts === 1 ? '' : 's'}: ${checked.errors[0]}. Please try again.`);
+  }
+  
+  const report = dropInvalidReportEntries(checked.report);
+  const final = checkModelResponse(JSON.stringify(report), expectedItems);
+  const missingKeys = new Set(final.missingItems.map(checklistLabelKey));
+  const validation = {
+    valid: checked.errors.length === 0,
+    repairAttempts,
+    repaired: [...new Set(initialProblems)].filter(label => !missingKeys.has(checklistLabelKey(label))),
+    missing: final.missingItems,
+    errors: checked.errors
+  };
+  if (!validation.valid) {
+    console.warn(`[${new Date().toISOString()}] Report from ${modelName} still has ${checked.errors.length} validation errors, ${final.missingItems.length} checklist items missing`);
+  }
+  
+  return {
+    report,
+    text: JSON.stringify(report),
+    model: modelName,
+    provider: providerId,
+    usage,
+    validation
+  };
+}
+
+// Per-category model calls: how many run at the same time, and how often a failed category is retried
+const CATEGORY_CONCURRENCY = parseInt(process.env.CATEGORY_CONCURRENCY) || 4;
+const categoryRetriesSetting = parseInt(process.env.CATEGORY_RETRIES);
+const CATEGORY_RETRIES = Number.isInteger(categoryRetriesSetting) && categoryRetriesSetting >= 0 ? categoryRetriesSetting : 1;
 
-MOBILE SPACING ANALYSIS:
-- Elements with Insufficient Spacing (<8px): ${websiteContent.mobileData.spacing.issues.length}
-${websiteContent.mobileData.spacing.issues.length > 0 ? `\nSpacing Issues:\n${websiteContent.mobileData.spacing.issues.map(s => `  - "${s.element1}" and "${s.element2}": ${s.distance}px apart`).join('\n')}` : ''}
+// Audit each checked category with its own focused prompt (at most CATEGORY_CONCURRENCY calls at once) and merge
+// the results into one report. Stage events carry the category key; options.onStage receives them
+async function runCategoryAudits(url, websiteContent, auditOptions, model, options = {}) {
+  const { crawlContext, ruleResults = [], images = [], journeyImages = [], onStage } = options;
+  const categoryKeys = Object.keys(auditOptions).filter(key =>
+    Object.values(auditOptions[key].items || {}).some(item => item.checked)
+  );
 
-MOBILE RESPONSIVE DESIGN:
-- Has Mobile Media Queries: ${websiteContent.mobileData.responsive.hasMobileMediaQueries ? 'Yes' : 'No'}
-${websiteContent.mobileData.responsive.breakpoints.length > 0 ? `- Breakpoints Found:\n${websiteContent.mobileData.responsive.breakpoints.map(b => `  - ${b}`).join('\n')}` : ''}
+  const auditCategory = async (categoryKey) => {
+    const category = auditOptions[categoryKey];
+    // Screenshots only go to categories with a visual item checked
+    const hasVisualItems = Object.entries(category.items).some(([itemKey, item]) =>
+      item.checked && (VISUAL_ANALYSIS_ITEMS[categoryKey] || []).includes(itemKey)
+    );
+    // Journey step screenshots go to the journey category, which audits those flows
+    const categoryImages = [...(hasVisualItems ? images : []), ...(categoryKey === 'userJourneys' ? journeyImages : [])];
+    const { prompt, budget } = await buildBudgetedPrompt(url, websiteContent, auditOptions, model, { crawlContext, ruleResults, images: categoryImages, categoryKey });
+    const expectedItems = expectedChecklistItems({ [categoryKey]: category });
+    const stage = startStage(onStage && (event => onStage({ ...event, category: categoryKey })), 'model', `AI analysis: ${category.title} (${model})`);
+    let lastError;
 
-MOBILE TYPOGRAPHY:
-- Body Font Size: ${websiteContent.mobileData.typography.bodyFontSize}px
-- Body Line Height: ${websiteContent.mobileData.typography.bodyLineHeight}
-- Meets Minimum (16px): ${websiteContent.mobileData.typography.meetsMinimum ? 'Yes' : 'No'}
+    for (let attempt = 0; attempt <= CATEGORY_RETRIES; attempt++) {
+      if (attempt > 0) {
+        console.warn(`[${new Date().toISOString()}] Retrying category ${categoryKey} (${attempt}/${CATEGORY_RETRIES}) after: ${lastError.message}`);
+      }
+      try {
+        const result = await runModelAudit(prompt, model, categoryImages, expectedItems);
+        if (result.model !== model) {
+          stage.fallback(`${model} failed, analyzed with ${result.model}${describeRepairs(result)}`);
+        } else {
+          stage.done(`Analyzed with ${result.model}${describeRepairs(result)}`);
+        }
+        return { categoryKey, title: category.title, expectedItems, budget, result };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    stage.fail(lastError.message);
+    return { categoryKey, title: category.title, expectedItems, budget, error: lastError };
+  };
+
+  const categoryResults = new Array(categoryKeys.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < categoryKeys.length) {
+      const index = nextIndex++;
+      categoryResults[index] = await auditCategory(categoryKeys[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CATEGORY_CONCURRENCY, categoryKeys.length) }, worker));
+
+  return mergeCategoryResults(categoryResults);
+}
+
+// Merge per-category model results (in checklist order) into the shape runModelAudit returns.
+// Failed categories are reported in validation; the audit only fails when every category failed
+function mergeCategoryResults(categoryResults) {
+  const succeeded = categoryResults.filter(entry => entry.result);
+  const failed = categoryResults.filter(entry => entry.error);
+  if (succeeded.length === 0) {
+    throw failed[0].error;
+  }
+
+  const distinct = (values) => [...new Set(values.filter(Boolean))].join(', ');
+  const report = { categories: succeeded.flatMap(entry => entry.result.report.categories) };
+  return {
+    report,
+    text: JSON.stringify(report),
+    model: distinct(succeeded.map(entry => entry.result.model)),
+    provider: distinct(succeeded.map(entry => entry.result.provider)),
+    usage: {
+      input_tokens: succeeded.reduce((sum, entry) => sum + entry.result.usage.input_tokens, 0),
+      output_tokens: succeeded.reduce((sum, entry) => sum + entry.result.usage.output_tokens, 0)
+    },
+    validation: {
+      valid: failed.length === 0 && succeeded.every(entry => entry.result.validation.valid),
+      repairAttempts: succeeded.reduce((sum, entry) => sum + entry.result.validation.repairAttempts, 0),
+      repaired: succeeded.flatMap(entry => entry.result.validation.repaired),
+      missing: [
+        ...succeeded.flatMap(entry => entry.result.validation.missing),
+        ...failed.flatMap(entry => entry.expectedItems)
+      ],
+      errors: [
+        ...succeeded.flatMap(entry => entry.result.validation.errors),
+        ...failed.map(entry => `Category "${entry.title}" failed: ${entry.error.message}`)
+      ],
+      failedCategories: failed.map(entry => ({ category: entry.categoryKey, title: entry.title, error: entry.error.message }))
+    },
+    promptBudget: categoryResults.map(entry => entry.budget)
+  };
+}
+
+// Stage message suffix for the repair round-trips a model run needed
+function describeRepairs(result) {
+  const attempts = result.validation.repairAttempts;
+  return attempts > 0 ? ` (${attempts} repair attempt${attempts === 1 ? '' : 's'})` : '';
+}
+
+const STATUS_SEVERITY = { good: 0, warning: 1, critical: 2 };
+
+// Report items that get the measured contrast data attached, keyed by label prefix
+const CONTRAST_REPORT_ITEMS = {
+  'text contrast': 'text',
+  'placeholder text': 'placeholders',
+  'non-text contrast': 'uiComponents'
+};
+
+// Attach the computed contrast measurements to the matching report items as measuredContrast
+function attachContrastMeasurements(report, contrast) {
+  if (!report || !contrast) return report;
+  (report.categories || []).forEach(category => {
+    (category.items || []).forEach(item => {
+      const label = (item.label || '').toLowerCase();
+      const prefix = Object.keys(CONTRAST_REPORT_ITEMS).find(key => label.startsWith(key));
+      if (prefix && contrast[CONTRAST_REPORT_ITEMS[prefix]]) {
+        item.measuredContrast = contrast[CONTRAST_REPORT_ITEMS[prefix]];
+      }
+    });
+  });
+  return report;
+}
+
+// Add the measured data to the model's report: rule verdicts, contrast measurements, the axe-core scans, the reflow,
+// zoom, text spacing, keyboard, motion and color scheme tests, the state simulation, the device comparison, journey transcripts and screenshots
+function finalizeReport(report, websiteContent) {
+  applyRuleResults(report, websiteContent.ruleChecks);
+  attachContrastMeasurements(report, websiteContent.cssAnalysis?.contrast);
+  if (websiteContent.axeResults) {
+    report.axe = websiteContent.axeResults;
+  }
+  if (websiteContent.reflowTest) {
+    report.reflow = websiteContent.reflowTest;
+  }
+  if (websiteContent.zoomTest) {
+    report.zoom = websiteContent.zoomTest;
+  }
+  if (websiteContent.textSpacingTest) {
+    report.textSpacing = websiteContent.textSpacingTest;
+  }
+  if (websiteContent.keyboardTest) {
+    report.keyboard = websiteContent.keyboardTest;
+  }
+  if (websiteContent.interactionStates) {
+    report.interactionStates = websiteContent.interactionStates;
+  }
+  if (websiteContent.motionTest) {
+    report.motion = websiteContent.motionTest;
+  }
+  if (websiteContent.colorSchemeTest) {
+    report.colorSchemes = websiteContent.colorSchemeTest;
+  }
+  if (websiteContent.devices) {
+    report.devices = websiteContent.devices;
+  }
+  if (websiteContent.journeys) {
+    report.journeys = websiteContent.journeys;
+  }
+  if (websiteContent.screenshots && websiteContent.screenshots.length > 0) {
+    report.screenshots = websiteContent.screenshots;
+  }
+  return report;
+}
+
+// Move the screenshot images (renderings, text spacing test and journey steps) out of the collected website data - they are stored
+// as image files next to the audit, not in JSON. Leaves the metadata behind and returns the files to write
+function extractScreenshotFiles(websiteContent, prefix = '') {
+  const files = [];
+  const extract = ({ data, ...screenshot }) => {
+    screenshot.name = `${prefix}${screenshot.name}`;
+    files.push({ name: screenshot.name, data });
+    return screenshot;
+  };
+  websiteContent.screenshots = (websiteContent.screenshots || []).map(extract);
+  if (websiteContent.textSpacingTest) {
+    websiteContent.textSpacingTest.screenshots = websiteContent.textSpacingTest.screenshots.map(extract);
+  }
+  if (websiteContent.colorSchemeTest) {
+    websiteContent.colorSchemeTest.screenshots = websiteContent.colorSchemeTest.screenshots.map(extract);
+  }
+  (websiteContent.journeys || []).forEach(journey => {
+    journey.steps.forEach(step => {
+      if (step.screenshot) step.screenshot = extract(step.screenshot);
+    });
+  });
+  return files;
+}
+
+// Merge the per-page axe-core scans into one list of violations per viewport, tagged with the pages they occur on
+function buildAxeRollup(pageReports) {
+  const scannedPages = pageReports.filter(page => page.report.axe);
+  if (scannedPages.length === 0) return null;
+  
+  const rollup = { engine: null, pages: scannedPages.length };
+  ['desktop', 'mobile'].forEach(viewport => {
+    const violations = [];
+    let scanned = 0;
+    scannedPages.forEach(({ url, report }) => {
+      const scan = report.axe[viewport];
+      if (!scan) return;
+      scanned++;
+      rollup.engine = rollup.engine || scan.engine;
+      const pagePath = new URL(url).pathname || '/';
+      scan.violations.forEach(violation => {
+        let rolled = violations.find(v => v.id === violation.id);
+        if (!rolled) {
+          rolled = { ...violation, nodeCount: 0, targets: [], pages: [] };
+          violations.push(rolled);
+        }
+        rolled.nodeCount += violation.nodeCount;
+        rolled.pages.push(pagePath);
+        violation.targets.forEach(target => {
+          if (rolled.targets.length < 10) rolled.targets.push({ ...target, page: pagePath });
+        });
+      });
+    });
+    rollup[viewport] = scanned > 0
+      ? { engine: rollup.engine, violations: violations.sort((a, b) => AXE_IMPACT_ORDER.indexOf(a.impact) - AXE_IMPACT_ORDER.indexOf(b.impact)), incomplete: [], passes: null }
+      : null;
+  });
+  return rollup;
+}
+
+// Combine per-page reports into site-wide categories (worst status wins, issues tagged by page)
+function buildSiteRollup(pageReports) {
+  const categories = [];
+  
+  pageReports.forEach(({ url, report }) => {
+    const pagePath = new URL(url).pathname || '/';
+    
+    (report.categories || []).forEach(category => {
+      let rolledCategory = categories.find(c => c.title === category.title);
+      if (!rolledCategory) {
+        rolledCategory = { title: category.title, items: [] };
+        categories.push(rolledCategory);
+      }
+      
+      (category.items || []).forEach(item => {
+        let rolledItem = rolledCategory.items.find(i => i.label === item.label);
+        if (!rolledItem) {
+          rolledItem = { label: item.label, status: 'good', issues: [], recommendations: [], pages: [], verified: true, evidence: [] };
+          rolledCategory.items.push(rolledItem);
+        }
+        
+        const status = STATUS_SEVERITY[item.status] !== undefined ? item.status : 'warning';
+        if (STATUS_SEVERITY[status] > STATUS_SEVERITY[rolledItem.status]) {
+          rolledItem.status = status;
+        }
+        rolledItem.pages.push({ url, status, findings: item.findings || '', verifiedFinding: item.verifiedFinding });
+        
+        // Site-wide the item only counts as verified when every page's verdict came from a rule
+        rolledItem.verified = rolledItem.verified && !!item.verified;
+        (item.evidence || []).forEach(evidence => {
+          rolledItem.evidence.push(`[${pagePath}] ${evidence}`);
+        });
+        
+        if (item.measuredContrast) {
+          rolledItem.measuredContrast = rolledItem.measuredContrast || { checked: 0, failing: 0, failures: [] };
+          rolledItem.measuredContrast.checked += item.measuredContrast.checked;
+          rolledItem.measuredContrast.failing += item.measuredContrast.failing;
+          item.measuredContrast.failures.forEach(failure => {
+            rolledItem.measuredContrast.failures.push({ ...failure, page: pagePath });
+          });
+        }
+        
+        (item.issues || []).forEach(issue => {
+          rolledItem.issues.push(`[${pagePath}] ${issue}`);
+        });
+        (item.recommendations || []).forEach(rec => {
+          if (!rolledItem.recommendations.includes(rec)) {
+            rolledItem.recommendations.push(rec);
+          }
+        });
+      });
+    });
+  });
+  
+  // Summarize how each item fared across pages
+  categories.forEach(category => {
+    category.items.forEach(item => {
+      const counts = { good: 0, warning: 0, critical: 0 };
+      item.pages.forEach(page => counts[page.status]++);
+      const worstPages = item.pages
+        .filter(page => page.status === item.status && item.status !== 'good')
+        .map(page => new URL(page.url).pathname || '/');
+      
+      item.findings = `Assessed on ${item.pages.length} page${item.pages.length === 1 ? '' : 's'}: ${counts.critical} critical, ${counts.warning} warning, ${counts.good} good.` +
+        (worstPages.length > 0 ? ` Most severe on: ${worstPages.join(', ')}.` : '');
+    });
+  });
+  
+  return categories;
+}
+
+// Crawl the site, audit each page with the selected model and produce per-page findings plus a site-wide rollup
+// fetchOptions: { snapshot, devices, auth, journeys } - the snapshot cache mode, resolved device profiles and prepared auth
+// settings for every page, and the scripted journeys (run once, from the start page)
+async function runCrawlAudit(url, auditOptions, model, crawlOptions, visualAnalysis, fetchOptions, hooks = {}) {
+  const onStatus = hooks.onStatus || (() => {});
+  
+  onStatus('fetching');
+  const crawlResult = await crawlWebsite(url, { ...crawlOptions, ...fetchOptions, progress: hooks.onStage });
+  
+  if (crawlResult.pages.length === 0) {
+    throw new Error('Failed to fetch website content');
+  }
+  
+  // PageSpeed Insights is only run for the start page to save API quota
+  const psiStage = startStage(hooks.onStage, 'psi', 'PageSpeed Insights');
+  // Google's servers cannot log in, PSI would only measure the login page
+  const psiSnapshot = fetchOptions.auth ? { value: null } : await fetchPageSpeedSnapshot(crawlResult.startUrl, fetchOptions.snapshot);
+  const psi = psiSnapshot.value;
+  if (psi) {
+    crawlResult.pages[0].content.psiData = psi;
+    psiStage.done(psiSnapshot.cached ? `Cached result from ${formatSnapshotAge(describeSnapshot(psiSnapshot).ageSeconds)}` : undefined);
+  } else {
+    psiStage.fallback(fetchOptions.auth ? PSI_AUTH_SKIPPED : 'PageSpeed Insights data not available');
+  }
+  
+  if (fetchOptions.journeys) {
+    const profile = fetchOptions.devices.find(device => device.role === 'desktop');
+    crawlResult.pages[0].content.journeys = await runJourneys(crawlResult.startUrl, fetchOptions.journeys, { progress: hooks.onStage, auth: fetchOptions.auth, profile });
+  }
+  
+  const screenshotFiles = [];
+  crawlResult.pages.forEach((page, index) => {
+    page.screenshotFiles = extractScreenshotFiles(page.content, `page-${index + 1}-`);
+    screenshotFiles.push(...page.screenshotFiles);
+  });
+  
+  const crawlContext = {
+    origin: crawlResult.origin,
+    pages: crawlResult.pages.map(page => page.url)
+  };
+  
+  onStatus('analyzing');
+  const pageReports = [];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const promptBudget = [];
+  let modelName = model;
+  let providerId;
+  
+  // Pages are audited one at a time to stay within provider rate limits
+  for (const page of crawlResult.pages) {
+    console.log(`[${new Date().toISOString()}] Auditing crawled page: ${page.url}`);
+    page.content.ruleChecks = runRuleChecks(page.content, auditOptions);
+    const images = visualAnalysis ? buildVisualAnalysisImages(page.content.screenshots, page.screenshotFiles) : [];
+    const journeyImages = visualAnalysis ? buildJourneyImages(page.content.journeys, page.screenshotFiles) : [];
+    const onStage = hooks.onStage && (event => hooks.onStage({ ...event, page: page.url }));
+    
+    try {
+      const result = await runCategoryAudits(page.url, page.content, auditOptions, model, { crawlContext, ruleResults: page.content.ruleChecks, images, journeyImages, onStage });
+      modelName = result.model;
+      providerId = result.provider;
+      usage.input_tokens += result.usage.input_tokens;
+      usage.output_tokens += result.usage.output_tokens;
+      promptBudget.push(...result.promptBudget.map(budget => ({ page: page.url, ...budget })));
+      pageReports.push({
+        url: page.url,
+        depth: page.depth,
+        title: page.content.structuredData.title,
+        report: finalizeReport(result.report, page.content),
+        validation: result.validation
+      });
+    } catch (error) {
+      console.warn(`[${new Date().toISOString()}] Audit failed for crawled page ${page.url}: ${error.message}`);
+      crawlResult.failed.push({ url: page.url, depth: page.depth, error: error.message });
+    }
+  }
+  
+  if (pageReports.length === 0) {
+    throw new Error('Audit failed for every crawled page');
+  }
+  
+  return {
+    response: {
+      report: {
+        categories: buildSiteRollup(pageReports),
+        axe: buildAxeRollup(pageReports),
+        reflow: crawlResult.pages[0].content.reflowTest || undefined,
+        zoom: crawlResult.pages[0].content.zoomTest || undefined,
+        textSpacing: crawlResult.pages[0].content.textSpacingTest || undefined,
+        keyboard: crawlResult.pages[0].content.keyboardTest || undefined,
+        interactionStates: crawlResult.pages[0].content.interactionStates || undefined,
+        motion: crawlResult.pages[0].content.motionTest || undefined,
+        colorSchemes: crawlResult.pages[0].content.colorSchemeTest || undefined,
+        devices: crawlResult.pages[0].content.devices || undefined,
+        journeys: crawlResult.pages[0].content.journeys,
+        screenshots: crawlResult.pages[0].content.screenshots.length > 0 ? crawlResult.pages[0].content.screenshots : undefined,
+        pages: pageReports
+      },
+      crawl: {
+        startUrl: crawlResult.startUrl,
+        maxPages: crawlResult.maxPages,
+        maxDepth: crawlResult.maxDepth,
+        discovered: crawlResult.discovered,
+        audited: pageReports.length,
+        failed: crawlResult.failed
+      },
+      model: modelName,
+      provider: providerId,
+      usage,
+      promptBudget,
+      snapshot: {
+        website: crawlResult.pages[0].snapshot,
+        pages: crawlResult.pages.map(page => ({ url: page.url, ...page.snapshot })),
+        psi: psi ? describeSnapshot(psiSnapshot) : null
+      }
+    },
+    websiteData: {
+      pages: crawlResult.pages.map(page => ({ url: page.url, depth: page.depth, content: page.content }))
+    },
+    screenshotFiles
+  };
+}
+
+// Serve index.html for root path
+app.get('/', (req, res) => {
+  res.sendFile(__dirname + '/index.html');
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    message: 'Backend server is running',
+    models: Object.fromEntries(Object.entries(LLM_PROVIDERS).map(([id, provider]) => [id, provider.isConfigured()])),
+    providers: Object.entries(LLM_PROVIDERS).map(([id, provider]) => ({
+      id,
+      label: provider.label,
+      configured: provider.isConfigured(),
+      models: provider.models
+    })),
+    fallbackModels: LLM_FALLBACK_MODELS,
+    features: {
+      pageSpeedInsights: !!process.env.PSI_API_KEY,
+      visualAnalysis: VISUAL_ANALYSIS_DEFAULT,
+      journeys: !!puppeteer
+    },
+    browserPool: puppeteer ? browserPoolStatus() : null
+  });
+});
+
+// Validate an audit request body - returns { status, error } when the audit cannot be run
+function validateAuditRequest(body) {
+  const { url, auditOptions, model = 'gemini-2.5-flash' } = body || {};
+
+  if (!url) {
+    return { status: 400, error: 'URL is required' };
+  }
+
+  if (!auditOptions) {
+    return { status: 400, error: 'Audit options are required' };
+  }
+
+  if (body.visualAnalysis !== undefined && typeof body.visualAnalysis !== 'boolean') {
+    return { status: 400, error: 'visualAnalysis must be true or false' };
+  }
+
+  if (body.snapshot !== undefined && !SNAPSHOT_MODES.includes(body.snapshot)) {
+    return { status: 400, error: `snapshot must be one of: ${SNAPSHOT_MODES.join(', ')}` };
+  }
+
+  if (body.auth !== undefined) {
+    const authError = validateAuth(body.auth);
+    if (authError) {
+      return { status: 400, error: authError };
+    }
+  }
+
+  if (body.journeys !== undefined) {
+    const journeysError = validateJourneys(body.journeys);
+    if (journeysError) {
+      return { status: 400, error: journeysError };
+    }
+  }
+
+  if (body.devices !== undefined) {
+    try {
+      resolveDeviceProfiles(body.devices);
+    } catch (error) {
+      return { status: 400, error: error.message };
+    }
+  }
+
+  const route = resolveModel(model);
+  if (!route) {
+    return {
+      status: 400,
+      error: `Unsupported model: ${model}. Use a Gemini model (e.g. 'gemini-2.5-flash'), an Anthropic model (e.g. 'claude-sonnet-4-20250514'), an OpenAI-compatible model (gpt-*, a name listed in OPENAI_MODELS) or '<provider>:<model>'`
+    };
+  }
+
+  if (!route.provider.isConfigured()) {
+    return { status: 500, error: `${route.provider.label} API key not configured. Please set ${route.provider.requires} in .env file.` };
+  }
+
+  return null;
+}
+
+// Map a pipeline error to the HTTP status and message returned to clients
+function describeAuditError(error) {
+  if (error.status === 429) {
+    return { status: 429, error: 'API rate limit exceeded. Please try again later.' };
+  }
+  if (error.status === 401) {
+    return { status: 500, error: 'Invalid API key. Please check server configuration.' };
+  }
+  return { status: 500, error: 'Failed to generate audit. Please try again.', details: error.message };
+}
+
+// Run the full audit pipeline (fetch, prompt, model call)
+// Returns { response, websiteData } - the API response body and the raw data collected from the website
+// hooks.onStatus(status) is called as the audit moves through 'fetching' and 'analyzing',
+// hooks.onStage(event) receives per-stage progress events (see startStage)
+async function runAudit({ url, auditOptions, model = 'gemini-2.5-flash', crawl, visualAnalysis = VISUAL_ANALYSIS_DEFAULT, snapshot: snapshotMode = 'auto', devices, auth: requestAuth, journeys }, hooks = {}) {
+  const onStatus = hooks.onStatus || (() => {});
+  const onStage = hooks.onStage;
+  const deviceProfiles = resolveDeviceProfiles(devices);
+  const auth = prepareAuth(requestAuth);
+
+  console.log(`[${new Date().toISOString()}] Audit started`);
+  console.log('URL:', url);
+  console.log('Model:', model);
+  
+  // Debug: Check if custom prompts are included
+  let customPromptCount = 0;
+  Object.entries(auditOptions).forEach(([categoryKey, category]) => {
+    Object.entries(category.items).forEach(([itemKey, item]) => {
+      if (item.checked && item.prompt && item.prompt.trim()) {
+        customPromptCount++;
+        console.log(`[Custom prompt found] ${category.title} > ${item.label}: "${item.prompt.substring(0, 50)}..."`);
+      }
+    });
+  });
+  if (customPromptCount > 0) {
+    console.log(`[Total custom prompts: ${customPromptCount}]`);
+  }
+
+  // Crawl mode: audit several internal pages and roll the findings up site-wide
+  if (crawl && crawl.enabled) {
+    const crawlAudit = await runCrawlAudit(url, auditOptions, model, crawl, visualAnalysis, { snapshot: snapshotMode, devices: deviceProfiles, auth, journeys }, hooks);
+    console.log(`[${new Date().toISOString()}] Crawl audit completed successfully`);
+    return crawlAudit;
+  }
+
+  // Step 1: Fetch website content and PageSpeed Insights data in parallel
+  onStatus('fetching');
+  console.log(`[${new Date().toISOString()}] Starting website content fetch and PageSpeed Insights analysis...`);
+  const psiStage = startStage(onStage, 'psi', 'PageSpeed Insights');
+  const [websiteContent, psiData] = await Promise.allSettled([
+    fetchWebsiteSnapshot(url, snapshotMode, { progress: onStage, devices: deviceProfiles, auth }),
+    // Google's servers cannot log in, PSI would only measure the login page
+    auth ? { value: null } : fetchPageSpeedSnapshot(url, snapshotMode)
+  ]);
+  
+  const content = websiteContent.status === 'fulfilled' ? websiteContent.value.value : null;
+  const psi = psiData.status === 'fulfilled' ? psiData.value.value : null;
+  const snapshot = {
+    website: content ? describeSnapshot(websiteContent.value) : null,
+    psi: psi ? describeSnapshot(psiData.value) : null
+  };
+  if (snapshot.website && snapshot.website.cached) {
+    startStage(onStage, 'snapshotCache', 'Cached website snapshot').done(`Snapshot from ${formatSnapshotAge(snapshot.website.ageSeconds)}`);
+  }
+  
+  // Merge PSI data into website content
+  if (psi) {
+    psiStage.done(`${snapshot.psi.cached ? `Cached result from ${formatSnapshotAge(snapshot.psi.ageSeconds)}. ` : ''}Accessibility score - mobile: ${psi.mobile?.scores?.accessibility || 'N/A'}, desktop: ${psi.desktop?.scores?.accessibility || 'N/A'}`);
+  } else {
+    psiStage.fallback(auth ? PSI_AUTH_SKIPPED : process.env.PSI_API_KEY ? 'PageSpeed Insights request failed' : 'PSI_API_KEY not set, skipping PageSpeed Insights');
+  }
+  
+  if (!content) {
+    throw new Error(`Failed to fetch website content${websiteContent.status === 'rejected' ? `: ${websiteContent.reason.message}` : ''}`);
+  }
+  
+  if (psi) {
+    content.psiData = psi;
+    console.log(`[${new Date().toISOString()}] PageSpeed Insights data fetched successfully`);
+  } else {
+    console.warn(`[${new Date().toISOString()}] PageSpeed Insights data not available (API key may be missing or request failed)`);
+  }
+  
+  console.log(`[${new Date().toISOString()}] Website content fetched`);
+
+  // Scripted journeys always run live - they are what is being audited, so they are not part of the snapshot
+  if (journeys) {
+    content.journeys = await runJourneys(url, journeys, { progress: onStage, auth, profile: deviceProfiles.find(profile => profile.role === 'desktop') });
+  }
+
+  // Step 2: Prepare the measured data for the prompts
+  onStatus('analyzing');
+  const screenshotFiles = extractScreenshotFiles(content);
+  content.ruleChecks = runRuleChecks(content, auditOptions);
+  console.log(`[${new Date().toISOString()}] Rule checks: ${content.ruleChecks.length} items verified from measurements`);
+  const images = visualAnalysis ? buildVisualAnalysisImages(content.screenshots, screenshotFiles) : [];
+  const journeyImages = visualAnalysis ? buildJourneyImages(content.journeys, screenshotFiles) : [];
+
+  // Step 3: Call AI model, one focused prompt per category
+  const result = await runCategoryAudits(url, content, auditOptions, model, { ruleResults: content.ruleChecks, images, journeyImages, onStage });
+
+  console.log(`[${new Date().toISOString()}] Audit completed successfully`);
+
+  return {
+    response: {
+      content: [{ text: result.text }],
+      report: finalizeReport(result.report, content),
+      model: result.model,
+      provider: result.provider,
+      usage: result.usage,
+      validation: result.validation,
+      promptBudget: result.promptBudget,
+      snapshot
+    },
+    websiteData: content,
+    screenshotFiles
+  };
+}
+
+// Audit history storage - completed audits are kept on disk as JSON, one directory per audit:
+//   <AUDIT_DATA_DIR>/index.json               summaries used for listing
+//   <AUDIT_DATA_DIR>/<id>/audit.json          request options, report and token usage
+//   <AUDIT_DATA_DIR>/<id>/website-data.json   raw data collected from the website
+const AUDIT_DATA_DIR = path.resolve(process.env.AUDIT_DATA_DIR || path.join(__dirname, 'data', 'audits'));
+const AUDIT_INDEX_FILE = path.join(AUDIT_DATA_DIR, 'index.json');
+const AUDIT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SCREENSHOT_NAME_PATTERN = /^(page-\d+-)?[a-zA-Z0-9_-]{1,30}-(fold|full|before|after)\.jpg$/; // a device role, profile name or render mode, before/after the text spacing overrides
+
+function loadAuditIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(AUDIT_INDEX_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[${new Date().toISOString()}] Could not read audit index: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+const auditIndex = loadAuditIndex();
+let auditIndexWrite = Promise.resolve();
+
+// Index writes are chained so concurrent audits never interleave, and go through a temp file so a crash can't truncate the index
+function persistAuditIndex() {
+  auditIndexWrite = auditIndexWrite.then(async () => {
+    const tempFile = `${AUDIT_INDEX_FILE}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(auditIndex, null, 2));
+    await fs.promises.rename(tempFile, AUDIT_INDEX_FILE);
+  });
+  return auditIndexWrite;
+}
+
+// Count item statuses in a report (used for the history list)
+function summarizeReport(report) {
+  const summary = { good: 0, warning: 0, critical: 0 };
+  (report?.categories || []).forEach(category => {
+    (category.items || []).forEach(item => {
+      if (summary[item.status] !== undefined) {
+        summary[item.status]++;
+      }
+    });
+  });
+  return summary;
+}
+
+async function saveAudit(job, response, websiteData, screenshotFiles = []) {
+  const finishedAt = new Date().toISOString();
+  const record = {
+    id: job.id,
+    url: job.params.url,
+    model: response.model || job.params.model,
+    requestedModel: job.params.model,
+    provider: response.provider,
+    auditOptions: job.params.auditOptions,
+    crawl: job.params.crawl || null,
+    visualAnalysis: job.params.visualAnalysis ?? VISUAL_ANALYSIS_DEFAULT,
+    devices: job.params.devices || DEFAULT_DEVICES,
+    auth: describeAuth(job.params.auth),
+    journeys: redactJourneys(job.params.journeys),
+    createdAt: job.createdAt,
+    finishedAt,
+    usage: response.usage,
+    promptBudget: response.promptBudget,
+    result: response
+  };
+
+  const auditDir = path.join(AUDIT_DATA_DIR, job.id);
+  await fs.promises.mkdir(auditDir, { recursive: true });
+  await fs.promises.writeFile(path.join(auditDir, 'audit.json'), JSON.stringify(record, null, 2));
+  await fs.promises.writeFile(path.join(auditDir, 'website-data.json'), JSON.stringify(websiteData));
+  if (screenshotFiles.length > 0) {
+    await fs.promises.mkdir(path.join(auditDir, 'screenshots'), { recursive: true });
+    for (const file of screenshotFiles) {
+      await fs.promises.writeFile(path.join(auditDir, 'screenshots', file.name), file.data);
+    }
+  }
+
+  auditIndex.unshift({
+    id: record.id,
+    url: record.url,
+    model: record.model,
+    crawl: !!(record.crawl && record.crawl.enabled),
+    createdAt: record.createdAt,
+    finishedAt: record.finishedAt,
+    usage: record.usage,
+    summary: summarizeReport(response.report)
+  });
+  await persistAuditIndex();
+
+  console.log(`[${new Date().toISOString()}] Audit ${job.id} saved to ${auditDir}`);
+}
+
+// Load a stored audit by id - returns null if it doesn't exist
+async function loadAudit(id, { includeWebsiteData = false } = {}) {
+  // Ids are UUIDs; anything else could escape the data directory
+  if (!AUDIT_ID_PATTERN.test(id)) return null;
+
+  const auditDir = path.join(AUDIT_DATA_DIR, id);
+  try {
+    const record = JSON.parse(await fs.promises.readFile(path.join(auditDir, 'audit.json'), 'utf8'));
+    if (includeWebsiteData) {
+      record.websiteData = JSON.parse(await fs.promises.readFile(path.join(auditDir, 'website-data.json'), 'utf8'));
+    }
+    return record;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Audit comparison - aligns two stored audits item-by-item and reports what changed between them
+const normalizeDiffKey = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Word-overlap similarity between two issue descriptions (0..1) - LLM wording changes between runs,
+// so issues are matched loosely rather than by exact text
+function issueSimilarity(a, b) {
+  const words = (text) => new Set(normalizeDiffKey(text).replace(/[^a-z0-9\s]/g, ' ').split(' ').filter(word => word.length > 2));
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+const ISSUE_MATCH_THRESHOLD = 0.5;
+
+// Issues in `issues` that have no close match in `otherIssues`
+function unmatchedIssues(issues, otherIssues) {
+  return (issues || []).filter(issue => !(otherIssues || []).some(other => issueSimilarity(issue, other) >= ISSUE_MATCH_THRESHOLD));
+}
+
+// Hard metrics collected by the backend (crawl audits use the start page)
+function extractAuditMetrics(websiteData) {
+  const content = websiteData && websiteData.pages ? websiteData.pages[0]?.content : websiteData;
+  if (!content) return {};
+
+  const ratio = (part, total) => (typeof part === 'number' && typeof total === 'number' ? { compliant: part, total } : null);
+  // A color mode is intact when it has no contrast regressions and nothing disappears in it
+  const colorModeIntact = key => {
+    const mode = content.colorSchemeTest?.modes.find(candidate => candidate.mode === key);
+    return mode ? mode.regressionCount === 0 && mode.disappearedCount === 0 : null;
+  };
+  return {
+    mobileTouchTargets: ratio(content.mobileData?.touchTargets?.compliant, content.mobileData?.touchTargets?.total),
+    desktopTargetSizes: ratio(content.cssAnalysis?.targetSizes?.compliant, content.cssAnalysis?.targetSizes?.total),
+    meetsReflowRequirement: content.reflowTest ? content.reflowTest.meetsReflowRequirement : null,
+    meetsTextSpacing: content.textSpacingTest ? content.textSpacingTest.total === 0 : null,
+    respectsReducedMotion: content.motionTest ? content.motionTest.respectsReducedMotion : null,
+    darkModeIntact: colorModeIntact('dark'),
+    forcedColorsIntact: colorModeIntact('forcedColors'),
+    keyboardFocusVisible: content.keyboardTest ? ratio(content.keyboardTest.tabStops - content.keyboardTest.withoutVisibleFocus, content.keyboardTest.tabStops) : null,
+    hoverStatesVisible: content.interactionStates ? ratio(content.interactionStates.sampled - content.interactionStates.hover.none, content.interactionStates.sampled) : null,
+    hasViewportMeta: content.mobileData?.viewport ? content.mobileData.viewport.hasViewportMeta : null,
+    psiMobile: content.psiData?.mobile?.scores || null,
+    psiDesktop: content.psiData?.desktop?.scores || null
+  };
+}
+
+function diffAuditMetrics(baseMetrics, targetMetrics) {
+  const changes = [];
+  // Booleans and scores - higher (or true) is better
+  const compareValues = (key, label, base, target) => {
+    if (base == null && target == null) return;
+    let change = 'unchanged';
+    if (base == null || target == null) {
+      change = 'unavailable';
+    } else if (base !== target) {
+      change = target > base ? 'improved' : 'regressed';
+    }
+    changes.push({ key, label, base: base ?? null, target: target ?? null, change });
+  };
+  // Compliant/total counts - compared by compliance percentage
+  const compareRatio = (key, label, base, target) => {
+    const percent = (value) => (value && value.total > 0 ? Math.round((value.compliant / value.total) * 100) : null);
+    if (!base && !target) return;
+    const change = !base || !target ? 'unavailable'
+      : percent(target) === percent(base) ? 'unchanged'
+      : percent(target) > percent(base) ? 'improved' : 'regressed';
+    changes.push({ key, label, base: base || null, target: target || null, change });
+  };
+
+  compareRatio('mobileTouchTargets', 'Mobile touch targets meeting 44x44px', baseMetrics.mobileTouchTargets, targetMetrics.mobileTouchTargets);
+  compareRatio('desktopTargetSizes', 'Desktop targets meeting 24x24px', baseMetrics.desktopTargetSizes, targetMetrics.desktopTargetSizes);
+  compareValues('meetsReflowRequirement', 'Meets reflow requirement (320px)', baseMetrics.meetsReflowRequirement, targetMetrics.meetsReflowRequirement);
+  compareValues('meetsTextSpacing', 'Survives text spacing overrides (WCAG 1.4.12)', baseMetrics.meetsTextSpacing, targetMetrics.meetsTextSpacing);
+  compareValues('respectsReducedMotion', 'Respects prefers-reduced-motion', baseMetrics.respectsReducedMotion, targetMetrics.respectsReducedMotion);
+  compareValues('darkModeIntact', 'No contrast regressions or lost elements in dark mode', baseMetrics.darkModeIntact, targetMetrics.darkModeIntact);
+  compareValues('forcedColorsIntact', 'No contrast regressions or lost elements with forced colors', baseMetrics.forcedColorsIntact, targetMetrics.forcedColorsIntact);
+  compareRatio('keyboardFocusVisible', 'Keyboard tab stops with visible focus', baseMetrics.keyboardFocusVisible, targetMetrics.keyboardFocusVisible);
+  compareRatio('hoverStatesVisible', 'Interactive elements with a hover change', baseMetrics.hoverStatesVisible, targetMetrics.hoverStatesVisible);
+  compareValues('hasViewportMeta', 'Has viewport meta tag', baseMetrics.hasViewportMeta, targetMetrics.hasViewportMeta);
+  ['mobile', 'desktop'].forEach(strategy => {
+    const base = strategy === 'mobile' ? baseMetrics.psiMobile : baseMetrics.psiDesktop;
+    const target = strategy === 'mobile' ? targetMetrics.psiMobile : targetMetrics.psiDesktop;
+    if (!base && !target) return;
+    ['performance', 'accessibility', 'bestPractices', 'seo'].forEach(score => {
+      compareValues(`psi.${strategy}.${score}`, `PSI ${strategy} ${score} score`, base ? base[score] : null, target ? target[score] : null);
+    });
+  });
+
+  return changes;
+}
+
+// Compare two stored audit records (base = before, target = after)
+function diffAudits(base, target) {
+  const baseReport = base.result?.report || { categories: [] };
+  const targetReport = target.result?.report || { categories: [] };
+  const summary = { improved: 0, regressed: 0, unchanged: 0, added: 0, removed: 0, newIssues: 0, resolvedIssues: 0 };
+  const categories = [];
 
-MOBILE CONTENT STRUCTURE:
-- H1 Headings: ${websiteContent.mobileData.structuredData.headings.h1.join(', ') || 'None'}
-- H2 Headings: ${websiteContent.mobileData.structuredData.headings.h2.slice(0, 10).join(', ') || 'None'}
-- Buttons Found: ${websiteContent.mobileData.structuredData.buttons.length}
-- Links Found: ${websiteContent.mobileData.structuredData.links.length}
-- Forms Found: ${websiteContent.mobileData.structuredData.forms}
+  const categoryTitles = [];
+  [baseReport, targetReport].forEach(report => {
+    (report.categories || []).forEach(category => {
+      if (!categoryTitles.some(title => normalizeDiffKey(title) === normalizeDiffKey(category.title))) {
+        categoryTitles.push(category.title);
+      }
+    });
+  });
 
-MOBILE TEXT CONTENT (first 30,000 characters):
-${websiteContent.mobileData.textContent.substring(0, 30000)}
+  categoryTitles.forEach(title => {
+    const findCategory = (report) => (report.categories || []).find(category => normalizeDiffKey(category.title) === normalizeDiffKey(title));
+    const baseItems = findCategory(baseReport)?.items || [];
+    const targetItems = findCategory(targetReport)?.items || [];
 
-MOBILE HTML STRUCTURE (sample):
-${websiteContent.mobileData.html.substring(0, 5000)}
+    const labels = [];
+    [...baseItems, ...targetItems].forEach(item => {
+      if (!labels.some(label => normalizeDiffKey(label) === normalizeDiffKey(item.label))) {
+        labels.push(item.label);
+      }
+    });
 
-${websiteContent.mobileData.cssAnalysis ? `\nMOBILE CSS ANALYSIS:
-Links Analyzed: ${websiteContent.mobileData.cssAnalysis.links.total}
-${websiteContent.mobileData.cssAnalysis.links.details.length > 0 ? `\nMobile Link Details:\n${websiteContent.mobileData.cssAnalysis.links.details.slice(0, 10).map(link => `  - "${link.text.substring(0, 40)}": ${link.hasUnderline ? 'Has underline' : 'No underline'}, ${link.isBold ? 'Bold' : 'Not bold'}, Font size: ${link.fontSize}`).join('\n')}` : ''}
-Mobile Spacing:
-- Line-height: ${websiteContent.mobileData.cssAnalysis.spacing.body.lineHeight}
-- Letter-spacing: ${websiteContent.mobileData.cssAnalysis.spacing.body.letterSpacing}
-` : ''}
+    const items = labels.map(label => {
+      const findItem = (items) => items.find(item => normalizeDiffKey(item.label) === normalizeDiffKey(label));
+      const baseItem = findItem(baseItems);
+      const targetItem = findItem(targetItems);
 
-IMPORTANT MOBILE CONSIDERATIONS:
-- When analyzing mobile-specific items (touch targets, mobile vs desktop, etc.), use the mobile viewport data above
-- Compare desktop and mobile experiences where relevant
-- Touch target sizes are measured including padding (effective touch area)
-- Mobile spacing issues can cause accidental taps
-- Viewport meta tag is critical for proper mobile rendering
-` : '\n=== MOBILE VIEWPORT ANALYSIS ===\nMobile viewport data could not be captured. Please analyze based on desktop content only.\n'}
+      let change;
+      if (!baseItem) {
+        change = 'added';
+      } else if (!targetItem) {
+        change = 'removed';
+      } else {
+        const delta = (STATUS_SEVERITY[targetItem.status] ?? 1) - (STATUS_SEVERITY[baseItem.status] ?? 1);
+        change = delta < 0 ? 'improved' : delta > 0 ? 'regressed' : 'unchanged';
+      }
+      summary[change]++;
 
-${websiteContent.psiData ? `\n=== GOOGLE PAGESPEED INSIGHTS ANALYSIS ===
-This section contains real mobile and desktop performance/accessibility data from Google PageSpeed Insights API.
+      const newIssues = baseItem && targetItem ? unmatchedIssues(targetItem.issues, baseItem.issues) : (targetItem?.issues || []);
+      const resolvedIssues = baseItem && targetItem ? unmatchedIssues(baseItem.issues, targetItem.issues) : [];
+      summary.newIssues += newIssues.length;
+      summary.resolvedIssues += resolvedIssues.length;
 
-MOBILE ANALYSIS (from PageSpeed Insights):
-${websiteContent.psiData.mobile ? `
-- Accessibility Score: ${websiteContent.psiData.mobile.scores.accessibility || 'N/A'}/100
-- Performance Score: ${websiteContent.psiData.mobile.scores.performance || 'N/A'}/100
-- Best Practices Score: ${websiteContent.psiData.mobile.scores.bestPractices || 'N/A'}/100
-- SEO Score: ${websiteContent.psiData.mobile.scores.seo || 'N/A'}/100
-- Emulated Form Factor: ${websiteContent.psiData.mobile.emulatedFormFactor || 'mobile'}
-- Final URL: ${websiteContent.psiData.mobile.finalUrl || url}
+      return {
+        label,
+        change,
+        baseStatus: baseItem ? baseItem.status : null,
+        targetStatus: targetItem ? targetItem.status : null,
+        transition: `${baseItem ? baseItem.status : 'none'}→${targetItem ? targetItem.status : 'none'}`,
+        newIssues,
+        resolvedIssues
+      };
+    });
 
-ACCESSIBILITY AUDITS (Mobile):
-${Object.keys(websiteContent.psiData.mobile.accessibilityAudits || {}).length > 0 ? Object.entries(websiteContent.psiData.mobile.accessibilityAudits).slice(0, 30).map(([key, audit]) => {
-  const score = audit.score !== null ? (audit.score === 1 ? 'PASS' : audit.score === 0 ? 'FAIL' : `PARTIAL (${Math.round(audit.score * 100)}%)`) : 'N/A';
-  return `  - ${audit.title}: ${score}${audit.displayValue ? ` - ${audit.displayValue}` : ''}${audit.description ? `\n    Description: ${audit.description}` : ''}`;
-}).join('\n') : 'No accessibility audits available'}
+    categories.push({ title, items });
+  });
 
-PERFORMANCE METRICS (Mobile):
-${Object.keys(websiteContent.psiData.mobile.performanceMetrics || {}).length > 0 ? Object.entries(websiteContent.psiData.mobile.performanceMetrics).map(([key, metric]) => {
-  return `  - ${metric.title}: ${metric.displayValue || 'N/A'} (Score: ${metric.score !== null ? Math.round(metric.score * 100) : 'N/A'})`;
-}).join('\n') : 'No performance metrics available'}
-` : 'Mobile PageSpeed Insights data not available'}
+  const origin = (url) => {
+    try {
+      return new URL(url).origin;
+    } catch (e) {
+      return url;
+    }
+  };
 
-DESKTOP ANALYSIS (from PageSpeed Insights):
-${websiteContent.psiData.desktop ? `
-- Accessibility Score: ${websiteContent.psiData.desktop.scores.accessibility || 'N/A'}/100
-- Performance Score: ${websiteContent.psiData.desktop.scores.performance || 'N/A'}/100
-- Best Practices Score: ${websiteContent.psiData.desktop.scores.bestPractices || 'N/A'}/100
-- SEO Score: ${websiteContent.psiData.desktop.scores.seo || 'N/A'}/100
-- Final URL: ${websiteContent.psiData.desktop.finalUrl || url}
+  return {
+    base: { id: base.id, url: base.url, model: base.model, createdAt: base.createdAt },
+    target: { id: target.id, url: target.url, model: target.model, createdAt: target.createdAt },
+    sameSite: origin(base.url) === origin(target.url),
+    summary,
+    metrics: diffAuditMetrics(extractAuditMetrics(base.websiteData), extractAuditMetrics(target.websiteData)),
+    categories
+  };
+}
 
-ACCESSIBILITY AUDITS (Desktop):
-${Object.keys(websiteContent.psiData.desktop.accessibilityAudits || {}).length > 0 ? Object.entries(websiteContent.psiData.desktop.accessibilityAudits).slice(0, 30).map(([key, audit]) => {
-  const score = audit.score !== null ? (audit.score === 1 ? 'PASS' : audit.score === 0 ? 'FAIL' : `PARTIAL (${Math.round(audit.score * 100)}%)`) : 'N/A';
-  return `  - ${audit.title}: ${score}${audit.displayValue ? ` - ${audit.displayValue}` : ''}${audit.description ? `\n    Description: ${audit.description}` : ''}`;
-}).join('\n') : 'No accessibility audits available'}
-` : 'Desktop PageSpeed Insights data not available'}
+// Audit job queue (in-memory) - audits run in the background with bounded concurrency
+// so several requests queue up instead of launching unlimited browsers
+const AUDIT_CONCURRENCY = parseInt(process.env.AUDIT_CONCURRENCY) || 2;
+const AUDIT_JOB_TTL = 60 * 60 * 1000; // Keep finished jobs for 1 hour
+const auditJobs = new Map();
+const auditQueue = [];
+let runningAudits = 0;
 
-IMPORTANT: Use PageSpeed Insights data to:
-- Validate and supplement accessibility findings (PSI provides real mobile accessibility audits)
-- Use mobile PSI data as the primary source for mobile-specific accessibility analysis
-- Compare PSI accessibility scores with your own analysis
-- Use PSI mobile rendering data to verify mobile viewport behavior
-- Cross-reference PSI accessibility audits with your findings for accuracy
-` : '\n=== GOOGLE PAGESPEED INSIGHTS ANALYSIS ===\nPageSpeed Insights data not available. To enable this feature, set PSI_API_KEY in your environment variables.\n'}
+function updateAuditJob(job, changes) {
+  const statusChanged = changes.status && changes.status !== job.status;
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  if (statusChanged) {
+    emitAuditJobEvent(job, 'status', { status: job.status });
+  }
+}
 
-AUDIT INSTRUCTIONS:
-THOROUGHLY examine ALL the provided content. Important considerations:
-- Many modern websites use lazy-loading, JavaScript rendering, and dynamic content
-- Look carefully for: image tags with client logos, testimonial sections, team info, case studies
-- Check class names, section headings, alt text, and content structure
-- If you find evidence of something (like logo images or testimonial text), report it ACCURATELY
-- If you CANNOT verify something from the HTML (may be JS-loaded), state "Cannot verify from static HTML - may be dynamically loaded"
-- DO NOT assume something is missing just because it's not immediately obvious
-- Be precise and honest about what you can and cannot see in the code
+// Push an event to everyone streaming this job (stage events are kept so late subscribers can replay them)
+function emitAuditJobEvent(job, type, data) {
+  if (type === 'stage') {
+    job.stages.push(data);
+  }
+  job.listeners.forEach(listener => listener(type, data));
+}
 
-Analyze ONLY the following checked items and provide detailed findings, issues, and recommendations for each:
+function createAuditJob(params) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    params,
+    result: null,
+    error: null,
+    stages: [],
+    listeners: new Set(),
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+  job.completion = new Promise(resolve => {
+    job.resolveCompletion = resolve;
+  });
 
-`;
+  auditJobs.set(job.id, job);
+  auditQueue.push(job);
+  console.log(`[${new Date().toISOString()}] Audit job ${job.id} queued (${auditQueue.length} waiting, ${runningAudits} running)`);
+  processAuditQueue();
+  return job;
+}
 
-  Object.entries(auditOptions).forEach(([categoryKey, category]) => {
-    const checkedItems = Object.entries(category.items)
-      .filter(([_, item]) => item.checked);
-    
-    if (checkedItems.length > 0) {
-      prompt += `\n## ${category.title.toUpperCase()}\n`;
-      checkedItems.forEach(([itemKey, item]) => {
-        prompt += `\n✓ ${item.label}\n`;
-        // Include custom prompt if provided - it has higher priority but should still consider the label context
-        if (item.prompt && item.prompt.trim()) {
-          prompt += `\n⚠️ CUSTOM INSTRUCTIONS (HIGHEST PRIORITY - override default behavior if needed, but keep "${item.label}" as the main assessment context):\n${item.prompt}\n`;
-          console.log(`[Custom prompt included for ${item.label}]: ${item.prompt.substring(0, 100)}...`);
-        }
+function processAuditQueue() {
+  while (runningAudits < AUDIT_CONCURRENCY && auditQueue.length > 0) {
+    const job = auditQueue.shift();
+    runningAudits++;
+    console.log(`[${new Date().toISOString()}] Audit job ${job.id} started`);
+
+    runAudit(job.params, {
+      onStatus: status => updateAuditJob(job, { status }),
+      onStage: event => emitAuditJobEvent(job, 'stage', event)
+    })
+      .then(async ({ response, websiteData, screenshotFiles }) => {
+        // Persist before reporting 'done' so the audit is in the history as soon as the client sees it
+        await saveAudit(job, response, websiteData, screenshotFiles).catch(error => {
+          console.error(`[${new Date().toISOString()}] Failed to save audit ${job.id}: ${error.message}`);
+        });
+        updateAuditJob(job, { status: 'done', result: response });
+      })
+      .catch(error => {
+        console.error(`Audit job ${job.id} failed:`, error);
+        job.failure = error;
+        updateAuditJob(job, { status: 'failed', error: describeAuditError(error) });
+      })
+      .finally(() => {
+        // Credentials and secret journey values are not kept once the audit is over
+        job.params = { ...job.params, auth: describeAuth(job.params.auth), journeys: redactJourneys(job.params.journeys) };
+        runningAudits--;
+        updateAuditJob(job, { finishedAt: new Date().toISOString() });
+        emitAuditJobEvent(job, 'end', { status: job.status });
+        job.resolveCompletion(job);
+        processAuditQueue();
       });
+  }
+}
+
+function serializeAuditJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    url: job.params.url,
+    model: job.params.model || 'gemini-2.5-flash',
+    queuePosition: job.status === 'queued' ? auditQueue.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    stages: job.stages,
+    result: job.result,
+    error: job.error
+  };
+}
+
+// Drop finished jobs after AUDIT_JOB_TTL so the job map doesn't grow forever
+setInterval(() => {
+  const cutoff = Date.now() - AUDIT_JOB_TTL;
+  auditJobs.forEach((job, id) => {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      auditJobs.delete(id);
     }
   });
+}, 10 * 60 * 1000).unref();
 
-  prompt += `\n\nCRITICAL: YOU MUST RESPOND WITH VALID JSON ONLY. NO MARKDOWN, NO EXPLANATIONS, NO BACKTICKS.
+// Submit an audit job - responds immediately with the job id
+app.post('/api/audits', (req, res) => {
+  // Rate limiting
+  const clientIp = req.ip || req.connection.remoteAddress;
+  if (!checkRateLimit(clientIp)) {
+    return res.status(429).json({ 
+      error: 'Rate limit exceeded. Please try again later.' 
+    });
+  }
 
-FORMAT YOUR RESPONSE AS THIS EXACT JSON STRUCTURE:
-{
-  "categories": [
-    {
-      "title": "Category Name",
-      "items": [
-        {
-          "label": "Item label",
-          "status": "good",
-          "findings": "Detailed description",
-          "issues": ["Issue 1", "Issue 2"],
-          "recommendations": ["Recommendation 1", "Recommendation 2"]
-        }
-      ]
-    }
-  ]
-}
+  const invalid = validateAuditRequest(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json({ error: invalid.error });
+  }
 
-STRICT JSON RULES:
-1. Start with { and end with }
-2. All strings must be in double quotes "
-3. All arrays must be properly closed with ]
-4. All objects must be properly closed with }
-5. Use "good", "warning", or "critical" for status (lowercase, in quotes)
-6. Escape any quotes in text content with \\"
-7. Do NOT include markdown code blocks
-8. Do NOT include any text before or after the JSON
-9. Ensure all commas are present between array/object elements
-10. If content is very long, truncate it rather than breaking JSON structure
+  const { url, auditOptions, model = 'gemini-2.5-flash', crawl, visualAnalysis, snapshot, devices, auth, journeys } = req.body;
+  const job = createAuditJob({ url, auditOptions, model, crawl, visualAnalysis, snapshot, devices, auth, journeys });
 
-IMPORTANT: 
-- Be specific and actionable in your recommendations
-- Use "good" status for things done well, "warning" for minor issues, "critical" for serious problems
-- Provide code examples or specific changes where relevant
-- If you cannot assess something (like actual performance metrics), state that clearly
-- When analyzing trust elements (logos, testimonials, case studies): Look for <img> tags, testimonial sections, client name mentions, and quote blocks
-- If you see evidence of these elements in the HTML, acknowledge them positively
+  res.status(202).json(serializeAuditJob(job));
+});
 
-RESPOND WITH ONLY THE JSON OBJECT, NOTHING ELSE.`;
+// List stored audits, newest first - optional filters: url (substring), from/to (dates), limit
+app.get('/api/audits', (req, res) => {
+  const { url, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const fromTime = from ? Date.parse(from) : null;
+  let toTime = to ? Date.parse(to) : null;
 
-  return prompt;
-}
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+    return res.status(400).json({ error: 'Invalid date filter. Use ISO dates like 2025-01-31.' });
+  }
 
-// Serve index.html for root path
-app.get('/', (req, res) => {
-  res.sendFile(__dirname + '/index.html');
-});
+  // A bare date for "to" includes that whole day
+  if (toTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toTime += 24 * 60 * 60 * 1000 - 1;
+  }
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    message: 'Backend server is running',
-    models: {
-      gemini: !!process.env.GEMINI_API_KEY
-    },
-    features: {
-      pageSpeedInsights: !!process.env.PSI_API_KEY
-    }
+  const audits = auditIndex.filter(audit => {
+    const createdTime = Date.parse(audit.createdAt);
+    if (url && !audit.url.toLowerCase().includes(String(url).toLowerCase())) return false;
+    if (fromTime !== null && createdTime < fromTime) return false;
+    if (toTime !== null && createdTime > toTime) return false;
+    return true;
   });
+
+  res.json({ total: audits.length, audits: audits.slice(0, limit) });
 });
 
-// Main audit endpoint
-app.post('/api/audit', async (req, res) => {
+// Audit job status (queued, fetching, analyzing, done, failed), or a stored audit from the history
+// Pass ?includeWebsiteData=true to also get the raw data collected from a stored audit's website
+app.get('/api/audits/:id', async (req, res) => {
+  const job = auditJobs.get(req.params.id);
+  if (job && req.query.includeWebsiteData !== 'true') {
+    return res.json(serializeAuditJob(job));
+  }
+
   try {
-    // Rate limiting
-    const clientIp = req.ip || req.connection.remoteAddress;
-    if (!checkRateLimit(clientIp)) {
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded. Please try again later.' 
-      });
+    const record = await loadAudit(req.params.id, { includeWebsiteData: req.query.includeWebsiteData === 'true' });
+    if (!record) {
+      if (job) {
+        return res.json(serializeAuditJob(job));
+      }
+      return res.status(404).json({ error: 'Audit not found' });
     }
+    res.json({ ...record, status: 'done' });
+  } catch (error) {
+    console.error(`Failed to load audit ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to load audit', details: error.message });
+  }
+});
 
-    const { url, auditOptions, model = 'gemini-2.5-flash' } = req.body;
-
-    // Validate input
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
+// Compare two stored audits - :id is the baseline (before), :otherId the newer audit (after)
+app.get('/api/audits/:id/diff/:otherId', async (req, res) => {
+  try {
+    const [base, target] = await Promise.all([
+      loadAudit(req.params.id, { includeWebsiteData: true }),
+      loadAudit(req.params.otherId, { includeWebsiteData: true })
+    ]);
+    if (!base || !target) {
+      return res.status(404).json({ error: 'Audit not found' });
     }
+    res.json(diffAudits(base, target));
+  } catch (error) {
+    console.error(`Failed to compare audits ${req.params.id} and ${req.params.otherId}:`, error);
+    res.status(500).json({ error: 'Failed to compare audits', details: error.message });
+  }
+});
 
-    if (!auditOptions) {
-      return res.status(400).json({ error: 'Audit options are required' });
-    }
+// Screenshot image of a stored audit
+app.get('/api/audits/:id/screenshots/:name', (req, res) => {
+  // Ids are UUIDs and names are generated by captureScreenshots - anything else could escape the data directory
+  if (!AUDIT_ID_PATTERN.test(req.params.id) || !SCREENSHOT_NAME_PATTERN.test(req.params.name)) {
+    return res.status(404).json({ error: 'Screenshot not found' });
+  }
 
-    console.log(`[${new Date().toISOString()}] Audit request received`);
-    console.log('URL:', url);
-    console.log('Model:', model);
-    
-    // Debug: Check if custom prompts are included
-    let customPromptCount = 0;
-    Object.entries(auditOptions).forEach(([categoryKey, category]) => {
-      Object.entries(category.items).forEach(([itemKey, item]) => {
-        if (item.checked && item.prompt && item.prompt.trim()) {
-          customPromptCount++;
-          console.log(`[Custom prompt found] ${category.title} > ${item.label}: "${item.prompt.substring(0, 50)}..."`);
-        }
-      });
-    });
-    if (customPromptCount > 0) {
-      console.log(`[Total custom prompts: ${customPromptCount}]`);
+  const file = path.join(AUDIT_DATA_DIR, req.params.id, 'screenshots', req.params.name);
+  res.sendFile(file, { maxAge: '7d', immutable: true }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 ? 404 : 500).json({ error: error.status === 404 ? 'Screenshot not found' : 'Failed to read screenshot' });
     }
+  });
+});
 
-    // Step 1: Fetch website content and PageSpeed Insights data in parallel
-    console.log(`[${new Date().toISOString()}] Starting website content fetch and PageSpeed Insights analysis...`);
-    const [websiteContent, psiData] = await Promise.allSettled([
-      fetchWebsiteContent(url),
-      fetchPageSpeedInsights(url)
-    ]);
-    
-    const content = websiteContent.status === 'fulfilled' ? websiteContent.value : null;
-    const psi = psiData.status === 'fulfilled' ? psiData.value : null;
-    
-    if (!content) {
-      throw new Error('Failed to fetch website content');
-    }
-    
-    // Merge PSI data into website content
-    if (psi) {
-      content.psiData = psi;
-      console.log(`[${new Date().toISOString()}] PageSpeed Insights data fetched successfully`);
-    } else {
-      console.warn(`[${new Date().toISOString()}] PageSpeed Insights data not available (API key may be missing or request failed)`);
-    }
-    
-    console.log(`[${new Date().toISOString()}] Website content fetched`);
+// Live progress for an audit job over Server-Sent Events
+// Events: 'stage' (pipeline stage transitions), 'status' (job state changes), 'end' (job finished)
+app.get('/api/audits/:id/events', (req, res) => {
+  const job = auditJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Audit not found' });
+  }
 
-    // Step 2: Generate audit prompt
-    const prompt = generateAuditPrompt(url, content, auditOptions);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+  });
+  res.flushHeaders();
 
-    // Step 3: Call AI model
-    let response;
-    
-    if (model.startsWith('gemini')) {
-      // Use Gemini
-      if (!genAI) {
-        return res.status(500).json({ 
-          error: 'Gemini API key not configured. Please set GEMINI_API_KEY in .env file.' 
-        });
-      }
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-      // Try selected model first, then fallback to gemini-2.0-flash if it fails
-      let modelName = model || 'gemini-2.5-flash';
-      let result;
-      let lastError;
-      
-      // List of models to try: first the selected one, then fallback to 2.0-flash
-      const modelsToTry = [modelName];
-      
-      // If selected model is not 2.0-flash, add it as fallback
-      if (modelName !== 'gemini-2.0-flash') {
-        modelsToTry.push('gemini-2.0-flash');
-      }
-      
-      for (const tryModel of modelsToTry) {
-        try {
-          console.log(`[${new Date().toISOString()}] Trying Gemini model: ${tryModel}`);
-          const geminiModel = genAI.getGenerativeModel({ model: tryModel });
-          
-          result = await geminiModel.generateContent({
-            contents: [{ role: 'user', parts: [{ text: prompt }] }],
-            generationConfig: {
-              temperature: 0.2, // Very low temperature for highly consistent JSON responses
-              topK: 40,
-              topP: 0.95,
-              maxOutputTokens: 32000, // Increased to allow detailed analysis for all 43+ audit items
-              responseMimeType: 'application/json', // Force JSON response format
-            }
-          });
-          
-          modelName = tryModel;
-          console.log(`[${new Date().toISOString()}] Successfully using model: ${tryModel}`);
-          break; // Success, exit loop
-          
-        } catch (geminiError) {
-          console.warn(`[${new Date().toISOString()}] Model ${tryModel} failed: ${geminiError.message}`);
-          lastError = geminiError;
-          // Continue to next model (only gemini-2.0-flash if selected model failed)
-        }
-      }
-      
-      if (!result) {
-        console.error('All Gemini models failed. Last error:', lastError);
-        throw new Error(`Gemini API error: All models failed. Last error: ${lastError?.message || 'Unknown error'}. Note: Some models may require billing to be enabled in Google AI Studio.`);
-      }
+  // Replay what already happened, then stream new events
+  send('status', { status: job.status });
+  job.stages.forEach(stage => send('stage', stage));
 
-      let responseText = result.response.text();
-      
-      // Clean up the response - remove markdown code blocks
-      responseText = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-      
-      // Try to find JSON object in the response
-      let cleanText = responseText;
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanText = jsonMatch[0];
-      }
-      
-      // Try to fix common JSON issues
-      try {
-        // Validate JSON by parsing it
-        const testParse = JSON.parse(cleanText);
-        
-        // If parsing succeeds, use the cleaned text
-        response = {
-          content: [{ text: cleanText }],
-          model: modelName,
-          usage: {
-            input_tokens: result.response.usageMetadata?.promptTokenCount || 0,
-            output_tokens: result.response.usageMetadata?.candidatesTokenCount || 0
-          }
-        };
-      } catch (parseError) {
-        console.error('JSON parsing error:', parseError.message);
-        console.error('Problematic JSON (first 500 chars):', cleanText.substring(0, 500));
-        
-        // Try to fix common JSON issues
-        try {
-          // Fix trailing commas
-          cleanText = cleanText.replace(/,(\s*[}\]])/g, '$1');
-          
-          // Try to close unclosed arrays/objects
-          const openBraces = (cleanText.match(/\{/g) || []).length;
-          const closeBraces = (cleanText.match(/\}/g) || []).length;
-          const openBrackets = (cleanText.match(/\[/g) || []).length;
-          const closeBrackets = (cleanText.match(/\]/g) || []).length;
-          
-          // Add missing closing brackets
-          if (openBrackets > closeBrackets) {
-            cleanText += ']'.repeat(openBrackets - closeBrackets);
-          }
-          
-          // Add missing closing braces
-          if (openBraces > closeBraces) {
-            cleanText += '}'.repeat(openBraces - closeBraces);
-          }
-          
-          // Try parsing again
-          const fixedParse = JSON.parse(cleanText);
-          
-          response = {
-            content: [{ text: cleanText }],
-            model: modelName,
-            usage: {
-              input_tokens: result.response.usageMetadata?.promptTokenCount || 0,
-              output_tokens: result.response.usageMetadata?.candidatesTokenCount || 0
-            }
-          };
-        } catch (fixError) {
-          // If still can't parse, return error with partial response
-          console.error('Could not fix JSON:', fixError.message);
-          throw new Error(`Invalid JSON response from Gemini. The response may be incomplete or malformed. Error: ${parseError.message}. Please try again.`);
-        }
-      }
+  if (job.finishedAt) {
+    send('end', { status: job.status });
+    return res.end();
+  }
 
-    } else {
-      return res.status(400).json({ 
-        error: `Unsupported model: ${model}. Use 'gemini-2.5-flash' (recommended), 'gemini-2.5-pro', 'gemini-3-pro-preview', or 'gemini-2.0-flash'` 
-      });
+  const listener = (type, data) => {
+    send(type, data);
+    if (type === 'end') {
+      cleanup();
+      res.end();
     }
+  };
+  // Comment line every 15s keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(listener);
+  };
+
+  job.listeners.add(listener);
+  req.on('close', cleanup);
+});
+
+// Main audit endpoint (synchronous - waits for the queued job to finish)
+app.post('/api/audit', async (req, res) => {
+  // Rate limiting
+  const clientIp = req.ip || req.connection.remoteAddress;
+  if (!checkRateLimit(clientIp)) {
+    return res.status(429).json({ 
+      error: 'Rate limit exceeded. Please try again later.' 
+    });
+  }
 
-    console.log(`[${new Date().toISOString()}] Audit completed successfully`);
+  const invalid = validateAuditRequest(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json({ error: invalid.error });
+  }
 
-    res.json(response);
+  const { url, auditOptions, model = 'gemini-2.5-flash', crawl, visualAnalysis, snapshot, devices, auth, journeys } = req.body;
+  console.log(`[${new Date().toISOString()}] Audit request received`);
 
-  } catch (error) {
-    console.error('Error in audit endpoint:', error);
-    
-    // Handle different error types
-    if (error.status === 429) {
-      res.status(429).json({ 
-        error: 'API rate limit exceeded. Please try again later.' 
-      });
-    } else if (error.status === 401) {
-      res.status(500).json({ 
-        error: 'Invalid API key. Please check server configuration.' 
-      });
-    } else {
-      res.status(500).json({ 
-        error: 'Failed to generate audit. Please try again.',
-        details: error.message
-      });
-    }
+  const job = await createAuditJob({ url, auditOptions, model, crawl, visualAnalysis, snapshot, devices, auth, journeys }).completion;
+
+  if (job.status === 'failed') {
+    const { status, ...body } = job.error;
+    return res.status(status).json(body);
   }
+
+  res.json(job.result);
 });
 
-// Start server
-app.listen(PORT, () => {
+// Start server (unless loaded by a test)
+if (require.main === module) app.listen(PORT, () => {
   console.log(`🚀 Audit Tool Backend Server running on http://localhost:${PORT}`);
   console.log(`📝 API endpoint: http://localhost:${PORT}/api/audit`);
+  console.log(`🗂️  Audit jobs: http://localhost:${PORT}/api/audits (concurrency ${AUDIT_CONCURRENCY})`);
   console.log(`❤️  Health check: http://localhost:${PORT}/api/health`);
   
   // Check API keys
   console.log('\n📋 API Key Status:');
-  if (process.env.GEMINI_API_KEY) {
-    console.log('✅ Gemini API key configured');
-  } else {
-    console.log('⚠️  GEMINI_API_KEY not found in environment variables!');
-    console.log('❌ Server cannot function without GEMINI_API_KEY');
+  Object.values(LLM_PROVIDERS).forEach(provider => {
+    console.log(provider.isConfigured() ? `✅ ${provider.label} configured` : `⚠️  ${provider.label} not configured (${provider.requires})`);
+  });
+  if (process.env.OPENAI_BASE_URL) {
+    console.log(`🔌 OpenAI-compatible endpoint: ${OPENAI_BASE_URL}`);
+  }
+  console.log(`↪️  Fallback models: ${LLM_FALLBACK_MODELS.join(', ') || 'none'}`);
+  if (!Object.values(LLM_PROVIDERS).some(provider => provider.isConfigured())) {
+    console.log('❌ Server cannot function without a model provider');
     console.error('\n❌ ERROR: No API keys configured! Please create a .env file with at least one API key.');
   }
 });
 
+module.exports = {
+  app, crawlWebsite, closeBrowserPool, diffAudits, issueSimilarity, runRuleChecks, applyRuleResults,
+  LLM_PROVIDERS, AUDIT_REPORT_SCHEMA, validateAgainstSchema, checkModelResponse, runModelAudit, buildBudgetedPrompt
+};
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  await closeBrowserPool();
   process.exit(0);
 });
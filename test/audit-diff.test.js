@@ -0,0 +1,130 @@
+// Comparing two stored audits: category and item alignment, status transitions, loose issue matching and metrics
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUDIT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+const { diffAudits, issueSimilarity } = require('../backend-server');
+
+after(() => fs.rmSync(process.env.AUDIT_DATA_DIR, { recursive: true, force: true }));
+
+const base = {
+  id: 'base',
+  url: 'https://example.com/',
+  model: 'gemini-2.5-flash',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  result: {
+    report: {
+      categories: [
+        {
+          title: 'Accessibility',
+          items: [
+            { label: 'Text contrast', status: 'critical', issues: ['Footer links fail contrast against the dark background', 'Disabled buttons are unreadable'] },
+            { label: 'Alt text', status: 'good', issues: ['Logo missing alt'] },
+            { label: 'Headings', status: 'warning', issues: [] },
+            { label: 'Skip link', status: 'warning', issues: ['No skip link to the main content'] }
+          ]
+        },
+        { title: 'Performance', items: [{ label: 'Image sizes', status: 'warning', issues: [] }] }
+      ]
+    }
+  },
+  websiteData: {
+    mobileData: { touchTargets: { compliant: 8, total: 10 }, viewport: { hasViewportMeta: true } },
+    reflowTest: { meetsReflowRequirement: false },
+    psiData: { mobile: { scores: { performance: 50, accessibility: 90, bestPractices: 80, seo: 100 } } }
+  }
+};
+
+// A crawl audit - its metrics come from the start page
+const target = {
+  id: 'target',
+  url: 'https://example.com/pricing',
+  model: 'gemini-2.5-flash',
+  createdAt: '2026-02-01T00:00:00.000Z',
+  result: {
+    report: {
+      categories: [
+        {
+          title: '  accessibility ',
+          items: [
+            { label: 'text  contrast', status: 'warning', issues: ['Footer links fail contrast against dark background', 'Placeholder text is too light'] },
+            { label: 'Alt text', status: 'critical', issues: ['Logo empty alt', 'Hero banner alt'] },
+            { label: 'HEADINGS', status: 'warning', issues: [] },
+            { label: 'Focus indicator', status: 'good', issues: ['Outline removed on buttons'] }
+          ]
+        }
+      ]
+    }
+  },
+  websiteData: {
+    pages: [{
+      content: {
+        mobileData: { touchTargets: { compliant: 9, total: 10 }, viewport: { hasViewportMeta: true } },
+        reflowTest: { meetsReflowRequirement: true },
+        keyboardTest: { tabStops: 10, withoutVisibleFocus: 2 }
+      }
+    }]
+  }
+};
+
+const findItem = (diff, category, label) => diff.categories.find(entry => entry.title === category).items.find(item => item.label === label);
+
+test('aligns categories and items case- and whitespace-insensitively', () => {
+  const diff = diffAudits(base, target);
+  assert.deepStrictEqual(diff.categories.map(category => category.title), ['Accessibility', 'Performance']);
+  assert.deepStrictEqual(diff.categories[0].items.map(item => item.label), ['Text contrast', 'Alt text', 'Headings', 'Skip link', 'Focus indicator']);
+  assert.strictEqual(diff.sameSite, true);
+  assert.deepStrictEqual(diff.base, { id: 'base', url: 'https://example.com/', model: 'gemini-2.5-flash', createdAt: '2026-01-01T00:00:00.000Z' });
+});
+
+test('classifies status transitions', () => {
+  const diff = diffAudits(base, target);
+  const changes = Object.fromEntries(diff.categories.flatMap(category => category.items.map(item => [item.label, `${item.change} ${item.transition}`])));
+  assert.deepStrictEqual(changes, {
+    'Text contrast': 'improved critical→warning',
+    'Alt text': 'regressed good→critical',
+    Headings: 'unchanged warning→warning',
+    'Skip link': 'removed warning→none',
+    'Focus indicator': 'added none→good',
+    'Image sizes': 'removed warning→none'
+  });
+  assert.deepStrictEqual(diff.summary, { improved: 1, regressed: 1, unchanged: 1, added: 1, removed: 2, newIssues: 3, resolvedIssues: 1 });
+});
+
+test('matches reworded issues at a word overlap of 0.5 or more', () => {
+  assert.strictEqual(issueSimilarity('Logo missing alt', 'Logo empty alt'), 0.5);
+  assert.strictEqual(issueSimilarity('Logo missing alt', 'Hero banner alt'), 0.2);
+  assert.strictEqual(issueSimilarity('a an', 'Logo missing alt'), 0);
+
+  const diff = diffAudits(base, target);
+  const contrast = findItem(diff, 'Accessibility', 'Text contrast');
+  assert.deepStrictEqual(contrast.newIssues, ['Placeholder text is too light']);
+  assert.deepStrictEqual(contrast.resolvedIssues, ['Disabled buttons are unreadable']);
+  const altText = findItem(diff, 'Accessibility', 'Alt text');
+  assert.deepStrictEqual(altText.newIssues, ['Hero banner alt']);
+  assert.deepStrictEqual(altText.resolvedIssues, []);
+  // Every issue of an added item is new, a removed item resolves nothing
+  assert.deepStrictEqual(findItem(diff, 'Accessibility', 'Focus indicator').newIssues, ['Outline removed on buttons']);
+  assert.deepStrictEqual(findItem(diff, 'Accessibility', 'Skip link').resolvedIssues, []);
+});
+
+test('compares metrics and marks those only one audit has as unavailable', () => {
+  const metrics = Object.fromEntries(diffAudits(base, target).metrics.map(metric => [metric.key, metric]));
+  assert.deepStrictEqual(Object.keys(metrics), [
+    'mobileTouchTargets', 'meetsReflowRequirement', 'keyboardFocusVisible', 'hasViewportMeta',
+    'psi.mobile.performance', 'psi.mobile.accessibility', 'psi.mobile.bestPractices', 'psi.mobile.seo'
+  ]);
+  assert.strictEqual(metrics.mobileTouchTargets.change, 'improved');
+  assert.strictEqual(metrics.meetsReflowRequirement.change, 'improved');
+  assert.strictEqual(metrics.hasViewportMeta.change, 'unchanged');
+  assert.deepStrictEqual(metrics.keyboardFocusVisible, { key: 'keyboardFocusVisible', label: 'Keyboard tab stops with visible focus', base: null, target: { compliant: 8, total: 10 }, change: 'unavailable' });
+  assert.deepStrictEqual(metrics['psi.mobile.performance'], { key: 'psi.mobile.performance', label: 'PSI mobile performance score', base: 50, target: null, change: 'unavailable' });
+
+  // Swapped, the same differences point the other way
+  const swapped = Object.fromEntries(diffAudits(target, base).metrics.map(metric => [metric.key, metric.change]));
+  assert.strictEqual(swapped.mobileTouchTargets, 'regressed');
+  assert.strictEqual(swapped.meetsReflowRequirement, 'regressed');
+});
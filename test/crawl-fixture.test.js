@@ -0,0 +1,67 @@
+// Crawl mode against the static fixture site in fixtures/crawl-site, served on a random local port
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUDIT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+const { crawlWebsite, closeBrowserPool } = require('../backend-server');
+
+const FIXTURE_ROOT = path.join(__dirname, '..', 'fixtures', 'crawl-site');
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const file = path.join(FIXTURE_ROOT, path.normalize(decodeURIComponent(new URL(req.url, 'http://localhost').pathname)));
+    if (!file.startsWith(FIXTURE_ROOT) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404);
+      return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(file).pipe(res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await closeBrowserPool();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(process.env.AUDIT_DATA_DIR, { recursive: true, force: true });
+});
+
+// Path and query of each crawled page with its depth, in crawl order
+const crawledPages = result => result.pages.map(page => {
+  const url = new URL(page.url);
+  return `${url.pathname}${url.search} @${page.depth}`;
+});
+
+test('crawls the whole fixture site breadth-first with link depths', { timeout: 300000 }, async () => {
+  const result = await crawlWebsite(`${baseUrl}/index.html`, { maxPages: 10, maxDepth: 3, snapshot: 'refresh' });
+  assert.deepStrictEqual(crawledPages(result), [
+    '/index.html @0',
+    '/pricing.html @1',
+    '/contact.html @1',
+    '/checkout.html?plan=starter @2',
+    '/checkout.html?plan=pro @2',
+    '/checkout/confirmation.html @3'
+  ]);
+  assert.strictEqual(result.discovered, 6);
+  assert.deepStrictEqual(result.failed, []);
+  // Fragments, mailto links, the PDF and the external partner link are never queued
+  assert.ok(result.pages.every(page => new URL(page.url).origin === baseUrl && !page.url.includes('#') && !page.url.endsWith('.pdf')));
+  assert.ok(result.pages.every(page => page.content && page.content.html.includes('Acme')));
+});
+
+test('stops at maxDepth', { timeout: 300000 }, async () => {
+  const result = await crawlWebsite(`${baseUrl}/index.html`, { maxPages: 10, maxDepth: 1, snapshot: 'refresh' });
+  assert.deepStrictEqual(crawledPages(result), ['/index.html @0', '/pricing.html @1', '/contact.html @1']);
+});
+
+test('stops at maxPages', { timeout: 300000 }, async () => {
+  const result = await crawlWebsite(`${baseUrl}/index.html`, { maxPages: 2, maxDepth: 3, snapshot: 'refresh' });
+  assert.deepStrictEqual(crawledPages(result), ['/index.html @0', '/pricing.html @1']);
+});
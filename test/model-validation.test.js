@@ -0,0 +1,140 @@
+// Validating the model's report against the schema and the checklist, and the repair round-trips
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUDIT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+const { validateAgainstSchema, checkModelResponse, runModelAudit, LLM_PROVIDERS, AUDIT_REPORT_SCHEMA } = require('../backend-server');
+
+after(() => fs.rmSync(process.env.AUDIT_DATA_DIR, { recursive: true, force: true }));
+
+const EXPECTED_ITEMS = ['Alt text (images have alt attributes)', 'Headings (logical order)'];
+
+const item = (label, extra) => ({ label, status: 'good', findings: 'Looks fine.', issues: [], recommendations: [], ...extra });
+const reportText = (...items) => JSON.stringify({ categories: [{ title: 'Accessibility', items }] });
+
+// Provider answering with the queued responses in order, selected as "stub:test"
+const stubResponses = [];
+const stubPrompts = [];
+LLM_PROVIDERS.stub = {
+  label: 'Stub',
+  requires: 'nothing',
+  models: [],
+  matches: () => false,
+  isConfigured: () => true,
+  contextTokens: () => 1000000,
+  maxOutputTokens: 1000,
+  generate: async (modelName, prompt) => {
+    stubPrompts.push(prompt);
+    return { text: stubResponses.shift(), usage: { input_tokens: 10, output_tokens: 5 } };
+  },
+  countTokens: async () => null
+};
+const queueResponses = (...texts) => {
+  stubResponses.splice(0, stubResponses.length, ...texts);
+  stubPrompts.length = 0;
+};
+
+test('rejects a status outside the enum with its path', () => {
+  const report = JSON.parse(reportText(item('Alt text', { status: 'ok' })));
+  assert.deepStrictEqual(validateAgainstSchema(report, AUDIT_REPORT_SCHEMA), [
+    { path: '$.categories[0].items[0].status', message: 'must be one of "good", "warning", "critical", got "ok"' }
+  ]);
+
+  const checked = checkModelResponse(reportText(item('Alt text', { status: 'ok' }), item('Headings')), EXPECTED_ITEMS);
+  assert.deepStrictEqual(checked.errors, ['$.categories[0].items[0].status (item "Alt text") must be one of "good", "warning", "critical", got "ok"']);
+  assert.deepStrictEqual(checked.invalidItems, [{ path: '$.categories[0].items[0]', label: 'Alt text' }]);
+  assert.deepStrictEqual(checked.missingItems, []);
+});
+
+test('lists checklist items the report does not cover', () => {
+  // Labels match on the text before the parenthesis, so the shortened "Alt text" counts
+  const checked = checkModelResponse('```json\n' + reportText(item('Alt text')) + '\n```', EXPECTED_ITEMS);
+  assert.deepStrictEqual(checked.missingItems, ['Headings (logical order)']);
+  assert.deepStrictEqual(checked.errors, ['Missing checklist item: "Headings (logical order)"']);
+});
+
+test('rejects null, arrays and broken JSON', () => {
+  const nullReport = checkModelResponse('null', EXPECTED_ITEMS);
+  assert.strictEqual(nullReport.report, null);
+  assert.deepStrictEqual(nullReport.errors.slice(0, 1), ['$ must be an object, got null']);
+  assert.deepStrictEqual(nullReport.missingItems, EXPECTED_ITEMS);
+
+  const arrayReport = checkModelResponse('[]', EXPECTED_ITEMS);
+  assert.deepStrictEqual(arrayReport.errors.slice(0, 1), ['$ must be an object, got array']);
+  assert.deepStrictEqual(arrayReport.missingItems, EXPECTED_ITEMS);
+
+  const broken = checkModelResponse('{"categories": [', EXPECTED_ITEMS);
+  assert.strictEqual(broken.report, null);
+  assert.match(broken.errors[0], /^Response is not valid JSON: /);
+});
+
+test('sends the errors back and keeps the repaired report', async () => {
+  queueResponses(reportText(item('Alt text', { status: 'ok' })), reportText(item('Alt text'), item('Headings')));
+  const result = await runModelAudit('Audit prompt', 'stub:test', [], EXPECTED_ITEMS);
+
+  assert.strictEqual(stubPrompts.length, 2);
+  assert.match(stubPrompts[1], /=== VALIDATION ERRORS ===\n- \$\.categories\[0\]\.items\[0\]\.status \(item "Alt text"\) must be one of/);
+  assert.match(stubPrompts[1], /- Missing checklist item: "Headings \(logical order\)"/);
+  assert.deepStrictEqual(result.validation, { valid: true, repairAttempts: 1, repaired: ['Headings (logical order)', 'Alt text'], missing: [], errors: [] });
+  assert.deepStrictEqual(result.usage, { input_tokens: 20, output_tokens: 10 });
+  assert.strictEqual(result.model, 'stub:test');
+});
+
+test('keeps the better report when a repair makes things worse', async () => {
+  const first = reportText(item('Alt text'));
+  queueResponses(first, reportText(item('Alt text', { status: 'ok' })), 'Sorry, I cannot help with that.');
+  const result = await runModelAudit('Audit prompt', 'stub:test', [], EXPECTED_ITEMS);
+
+  assert.strictEqual(stubPrompts.length, 3);
+  // The second repair is still asked about the first response, not the worse one
+  assert.ok(stubPrompts[2].includes(`=== YOUR PREVIOUS RESPONSE (FAILED VALIDATION) ===\n${first}\n`));
+  assert.deepStrictEqual(result.report, JSON.parse(first));
+  assert.deepStrictEqual(result.validation, {
+    valid: false,
+    repairAttempts: 2,
+    repaired: [],
+    missing: ['Headings (logical order)'],
+    errors: ['Missing checklist item: "Headings (logical order)"']
+  });
+});
+
+test('MODEL_REPAIR_ATTEMPTS=0 turns repairs off and drops the invalid items', () => {
+  // The setting is read when the module loads, so it runs in its own process
+  const script = `
+    const { runModelAudit, LLM_PROVIDERS } = require(${JSON.stringify(path.join(__dirname, '..', 'backend-server'))});
+    let calls = 0;
+    LLM_PROVIDERS.stub = {
+      label: 'Stub', requires: 'nothing', models: [], matches: () => false, isConfigured: () => true,
+      contextTokens: () => 1000000, maxOutputTokens: 1000, countTokens: async () => null,
+      generate: async () => {
+        calls++;
+        return { text: ${JSON.stringify(reportText(item('Alt text', { status: 'ok' }), item('Headings')))}, usage: { input_tokens: 10, output_tokens: 5 } };
+      }
+    };
+    runModelAudit('Audit prompt', 'stub:test', [], ${JSON.stringify(EXPECTED_ITEMS)}).then(result => {
+      process.stdout.write(JSON.stringify({ calls, report: result.report, validation: result.validation }));
+    });
+  `;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+  let output;
+  try {
+    output = execFileSync(process.execPath, ['-e', script], {
+      env: { ...process.env, MODEL_REPAIR_ATTEMPTS: '0', AUDIT_DATA_DIR: dataDir },
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 30000
+    }).toString();
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  const { calls, report, validation } = JSON.parse(output.slice(output.lastIndexOf('{"calls"')));
+
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(report.categories[0].items.map(entry => entry.label), ['Headings']);
+  assert.strictEqual(validation.repairAttempts, 0);
+  assert.strictEqual(validation.valid, false);
+  assert.deepStrictEqual(validation.missing, ['Alt text (images have alt attributes)']);
+});
@@ -0,0 +1,104 @@
+// Trimming audit prompts to the token budget of the selected model and its fallbacks
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUDIT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+process.env.LLM_FALLBACK_MODELS = 'offline:tiny,stub:small';
+const { buildBudgetedPrompt, LLM_PROVIDERS } = require('../backend-server');
+
+after(() => fs.rmSync(process.env.AUDIT_DATA_DIR, { recursive: true, force: true }));
+
+// "stub:small" leaves a 5000 token prompt budget (6000 context - 1000 output), "stub:large" the PROMPT_TOKEN_BUDGET default.
+// Without a tokenizer the prompt is estimated at 4 characters per token
+const stubProvider = (isConfigured) => ({
+  label: 'Stub',
+  requires: 'nothing',
+  models: [],
+  matches: () => false,
+  isConfigured: () => isConfigured,
+  contextTokens: (modelName) => modelName === 'large' ? 1000000 : modelName === 'small' ? 6000 : 2000,
+  maxOutputTokens: 1000,
+  generate: async () => { throw new Error('not used'); },
+  countTokens: async () => null
+});
+LLM_PROVIDERS.stub = stubProvider(true);
+LLM_PROVIDERS.offline = stubProvider(false);
+
+const websiteContent = {
+  html: `<main>${'h'.repeat(8000)}</main>`,
+  structuredData: {
+    title: 'Shoes', metaDescription: 'Running shoes', headings: { h1: ['Shoes'], h2: [], h3: [] },
+    images: [], links: [], forms: 0, buttons: [], textContent: 't'.repeat(40000)
+  },
+  mobileData: {
+    viewport: { width: 390, height: 844, metaTag: 'width=device-width', hasViewportMeta: true },
+    touchTargets: { total: 0, compliant: 0, nonCompliant: [] },
+    spacing: { issues: [] },
+    responsive: { hasMobileMediaQueries: true, breakpoints: [] },
+    typography: { bodyFontSize: 16, bodyLineHeight: 1.5, meetsMinimum: true },
+    structuredData: { headings: { h1: ['Shoes'], h2: [] }, buttons: [], links: [], forms: 0 },
+    textContent: 'm'.repeat(20000),
+    html: 'x'.repeat(4000)
+  }
+};
+
+// Both items rely on the text, HTML and journeys; only mobileVsDesktop relies on the mobile and device data
+const auditOptions = {
+  userJourneys: {
+    title: 'Mapping of the existing user journeys',
+    items: {
+      criticalJourneys: { label: 'Identify the most critical user journeys', checked: true },
+      mobileVsDesktop: { label: 'Mobile vs desktop journeys', checked: true },
+      painPoints: { label: 'Pain Points', checked: false }
+    }
+  }
+};
+
+test('trims the least relied-on sections first and shortens a section before dropping it', async () => {
+  const { prompt, budget } = await buildBudgetedPrompt('https://shop.example/', websiteContent, auditOptions, 'stub:small', { categoryKey: 'userJourneys' });
+
+  assert.deepStrictEqual(budget.trimmed, [
+    { section: 'mobile', dropped: false, limits: { mobileText: 5000, mobileHtml: 2000 } },
+    { section: 'mobile', dropped: false, limits: { mobileText: 0, mobileHtml: 0 } },
+    { section: 'mobile', dropped: true },
+    { section: 'devices', dropped: true },
+    { section: 'textContent', dropped: false, limits: { textContent: 20000 } },
+    { section: 'textContent', dropped: false, limits: { textContent: 5000 } }
+  ]);
+  assert.strictEqual(budget.budgetTokens, 5000);
+  assert.ok(budget.promptTokens <= 5000);
+  assert.strictEqual(budget.tokenCount, 'estimate');
+  assert.strictEqual(budget.category, 'userJourneys');
+
+  // Dropped sections are named in the prompt, the shortened text is cut to its new limit and the HTML is untouched
+  assert.match(prompt, /LEFT OUT TO FIT THE PROMPT BUDGET: mobile, devices\./);
+  assert.ok(!prompt.includes('=== MOBILE VIEWPORT ANALYSIS ==='));
+  assert.ok(prompt.includes(`TEXT CONTENT (first 5,000 characters):\n${'t'.repeat(5000)}\n`));
+  assert.ok(!prompt.includes('t'.repeat(5001)));
+  assert.ok(prompt.includes(websiteContent.html));
+});
+
+test('leaves a prompt that fits untouched', async () => {
+  const small = {
+    html: '<main>Shoes</main>',
+    structuredData: { ...websiteContent.structuredData, textContent: 'Running shoes' },
+    mobileData: { ...websiteContent.mobileData, textContent: 'Running shoes', html: '<main>Shoes</main>' }
+  };
+  const { prompt, budget } = await buildBudgetedPrompt('https://shop.example/', small, auditOptions, 'stub:small', { categoryKey: 'userJourneys' });
+  assert.deepStrictEqual(budget.trimmed, []);
+  assert.ok(budget.promptTokens <= 5000);
+  assert.ok(!prompt.includes('LEFT OUT TO FIT THE PROMPT BUDGET'));
+  assert.ok(prompt.includes('MOBILE TEXT CONTENT (first 30,000 characters):\nRunning shoes'));
+});
+
+test('budgets for the smallest configured model the prompt may fall back to', async () => {
+  const { budget } = await buildBudgetedPrompt('https://shop.example/', websiteContent, auditOptions, 'stub:large', { categoryKey: 'userJourneys' });
+  // offline:tiny has the smallest context but is not configured, so runModelAudit would skip it
+  assert.strictEqual(budget.model, 'stub:large');
+  assert.strictEqual(budget.budgetModel, 'stub:small');
+  assert.strictEqual(budget.budgetTokens, 5000);
+  assert.strictEqual(budget.trimmed.length, 6);
+});
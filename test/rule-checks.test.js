@@ -0,0 +1,124 @@
+// Deterministic rule checks on measured content, and how their verdicts override the model's report
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUDIT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+const { runRuleChecks, applyRuleResults } = require('../backend-server');
+
+after(() => fs.rmSync(process.env.AUDIT_DATA_DIR, { recursive: true, force: true }));
+
+const auditOptions = {
+  accessibility: {
+    title: 'Accessibility',
+    items: {
+      focusIndicator: { label: 'Focus indicator (visible and clear, 3:1 contrast)', checked: true },
+      targetSize: { label: 'Target size (clickable areas at least 24x24px)', checked: true },
+      reflow: { label: 'Reflow (content reflows to 320px width without horizontal scrolling)', checked: true },
+      zoom: { label: 'Zoom (UI scales up to 200% without breaking)', checked: true },
+      touchTargets: { label: 'Touch targets (enough spacing on mobile to avoid accidental taps)', checked: true },
+      labels: { label: 'Form labels', checked: false }
+    }
+  }
+};
+
+const target = (tag, text, width, height) => ({ tag, text, effectiveWidth: width, effectiveHeight: height });
+const stop = (index, element, extra) => ({ index, element, text: '', visibleFocus: true, hidden: false, indicator: 'outline solid 2px', indicatorContrast: 4.5, ...extra });
+
+const verdicts = content => Object.fromEntries(runRuleChecks(content, auditOptions).map(result => [result.itemKey, result]));
+
+test('target size fails on small controls, warns on small links only and passes otherwise', () => {
+  const fail = verdicts({ cssAnalysis: { targetSizes: { total: 12, nonCompliant: [target('a', 'Terms', 40, 16), target('button', 'Close', 16, 16)] } } }).targetSize;
+  assert.strictEqual(fail.result, 'fail');
+  assert.strictEqual(fail.status, 'critical');
+  assert.strictEqual(fail.summary, '2 of 12 measured targets are smaller than 24x24px (1 of them buttons or form controls).');
+  assert.deepStrictEqual(fail.evidence, ['a "Terms": 40x16px', 'button "Close": 16x16px']);
+  assert.strictEqual(fail.category, 'Accessibility');
+  assert.strictEqual(fail.label, 'Target size (clickable areas at least 24x24px)');
+
+  const warn = verdicts({ cssAnalysis: { targetSizes: { total: 12, nonCompliant: [target('a', 'Terms', 40, 16)] } } }).targetSize;
+  assert.strictEqual(warn.result, 'warn');
+  assert.strictEqual(warn.status, 'warning');
+
+  const pass = verdicts({ cssAnalysis: { targetSizes: { total: 12, nonCompliant: [] } } }).targetSize;
+  assert.strictEqual(pass.result, 'pass');
+  assert.strictEqual(pass.summary, 'All 12 measured targets are at least 24x24px.');
+});
+
+test('reflow fails on horizontal scrolling and warns when elements are cut off', () => {
+  const offenders = { total: 1, counts: { overflow: 0, clipped: 1, offscreen: 0, hidden: 0 }, offenders: [{ issue: 'clipped', selector: 'nav > ul', text: 'Pricing', detail: 'cut off by nav (overflow hidden), 40px not visible' }] };
+  const fail = verdicts({ reflowTest: { meetsReflowRequirement: false, viewportWidth: 320, bodyWidth: 480, offenders } }).reflow;
+  assert.strictEqual(fail.result, 'fail');
+  assert.deepStrictEqual(fail.evidence, ['Viewport 320px, content width 480px', 'clipped: nav > ul "Pricing" - cut off by nav (overflow hidden), 40px not visible']);
+
+  assert.strictEqual(verdicts({ reflowTest: { meetsReflowRequirement: true, viewportWidth: 320, bodyWidth: 320, offenders } }).reflow.result, 'warn');
+  assert.strictEqual(verdicts({ reflowTest: { meetsReflowRequirement: true, viewportWidth: 320, bodyWidth: 320, offenders: null } }).reflow.result, 'pass');
+});
+
+test('zoom fails when the viewport meta tag blocks zooming', () => {
+  const zoom = verdicts({ mobileData: { viewport: { metaTag: 'width=device-width, user-scalable=no, maximum-scale=1' } } }).zoom;
+  assert.strictEqual(zoom.result, 'fail');
+  assert.strictEqual(zoom.summary, 'The viewport meta tag prevents users from zooming (user-scalable=no, maximum-scale=1).');
+  assert.deepStrictEqual(zoom.evidence, ['<meta name="viewport" content="width=device-width, user-scalable=no, maximum-scale=1">']);
+});
+
+test('touch target spacing names the measured mobile viewport', () => {
+  const mobileData = { viewport: { width: 360, height: 740 }, touchTargets: { total: 2, details: [] }, spacing: { issues: [{ element1: 'Log in', element2: 'Sign up', distance: 4 }] } };
+  const touchTargets = verdicts({ mobileData }).touchTargets;
+  assert.strictEqual(touchTargets.result, 'warn');
+  assert.strictEqual(touchTargets.summary, '1 pairs of touch targets are less than 8px apart on a 360px viewport.');
+  assert.deepStrictEqual(touchTargets.evidence, ['"Log in" and "Sign up": 4px apart']);
+});
+
+test('focus indicator fails on tab stops without visible focus and warns on indicators lost in a color mode', () => {
+  const fail = verdicts({ keyboardTest: { tabStops: 2, order: [stop(1, 'a.logo'), stop(2, 'button.menu', { visibleFocus: false, indicator: null, indicatorContrast: null })] } }).focusIndicator;
+  assert.strictEqual(fail.result, 'fail');
+  assert.deepStrictEqual(fail.evidence, ['Tab stop 2: button.menu - no visible change when focused']);
+
+  const lost = verdicts({
+    keyboardTest: { tabStops: 1, order: [stop(1, 'a.logo')] },
+    colorSchemeTest: { modes: [{ label: 'Forced colors', disappeared: [{ kind: 'focus', selector: 'a.logo', text: 'Home', detail: 'focus indicator (box-shadow) is gone' }] }] }
+  }).focusIndicator;
+  assert.strictEqual(lost.result, 'warn');
+  assert.strictEqual(lost.summary, 'All 1 tab stops show focus, but 1 focus indicators disappear in forced colors.');
+  assert.deepStrictEqual(lost.evidence, ['Forced colors: a.logo "Home" - focus indicator (box-shadow) is gone']);
+});
+
+test('skips unchecked items and items without measured data', () => {
+  const results = runRuleChecks({ cssAnalysis: { formElements: { details: [{ type: 'text', hasLabel: false }] } } }, auditOptions);
+  assert.deepStrictEqual(results, []);
+});
+
+test('rule verdicts override the model status and mark the item verified', () => {
+  const ruleResults = runRuleChecks({
+    cssAnalysis: { targetSizes: { total: 12, nonCompliant: [target('button', 'Close', 16, 16)] } },
+    reflowTest: { meetsReflowRequirement: true, viewportWidth: 320, bodyWidth: 320, offenders: null }
+  }, auditOptions);
+  const report = {
+    categories: [{
+      title: 'accessibility',
+      items: [
+        // The model may shorten the label - the part before the parenthesis still matches
+        { label: 'Target size', status: 'good', findings: 'Targets look fine.', issues: [], recommendations: [] },
+        { label: 'Text contrast', status: 'warning', findings: 'Some grey text.', issues: ['Grey footer text'], recommendations: [] }
+      ]
+    }]
+  };
+  applyRuleResults(report, ruleResults);
+
+  const [targetSize, textContrast, reflow] = report.categories[0].items;
+  assert.strictEqual(targetSize.status, 'critical');
+  assert.strictEqual(targetSize.verified, true);
+  assert.strictEqual(targetSize.verifiedFinding, '1 of 12 measured targets are smaller than 24x24px (1 of them buttons or form controls).');
+  assert.deepStrictEqual(targetSize.evidence, ['button "Close": 16x16px']);
+  assert.strictEqual(targetSize.findings, 'Targets look fine.');
+  // Items without a rule keep the model's verdict
+  assert.strictEqual(textContrast.status, 'warning');
+  assert.strictEqual(textContrast.verified, undefined);
+  // A decided item the model left out is added
+  assert.strictEqual(reflow.label, 'Reflow (content reflows to 320px width without horizontal scrolling)');
+  assert.strictEqual(reflow.status, 'good');
+  assert.strictEqual(reflow.verified, true);
+});
@@ -1,6 +1,10 @@
 import React, { useState } from 'react';
 import { Search, CheckSquare, Square, Loader2, AlertCircle, Download } from 'lucide-react';
 
+// Audits run through the backend (see backend-server.js), which routes the model to its provider
+const BACKEND_URL = 'http://localhost:3001';
+const AUDIT_MODEL = 'claude-sonnet-4-20250514';
+
 const WebsiteAuditTool = () => {
   const [url, setUrl] = useState('');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
@@ -304,97 +308,33 @@ IMPORTANT:
     setAuditReport(null);
 
     try {
-      // Generate the complete audit prompt that includes fetching and analysis
-      const completePrompt = `Please perform a comprehensive website audit for: ${url}
-
-STEP 1: Use the web_fetch tool to fetch the complete website content, HTML, CSS, and structure.
-
-STEP 2: THOROUGHLY examine ALL the fetched content. Important considerations:
-- Many modern websites use lazy-loading, JavaScript rendering, and dynamic content
-- Look carefully for: image tags with client logos, testimonial sections, team info, case studies
-- Check class names, section headings, alt text, and content structure
-- If you find evidence of something (like logo images or testimonial text), report it ACCURATELY
-- If you CANNOT verify something from the HTML (may be JS-loaded), state "Cannot verify from static HTML - may be dynamically loaded"
-- DO NOT assume something is missing just because it's not immediately obvious
-- Be precise and honest about what you can and cannot see in the code
-
-STEP 3: Analyze ONLY the following checked items and provide detailed findings, issues, and recommendations for each:
-
-${Object.entries(auditOptions).map(([categoryKey, category]) => {
-  const checkedItems = Object.entries(category.items).filter(([_, item]) => item.checked);
-  if (checkedItems.length === 0) return '';
-  return `\n## ${category.title.toUpperCase()}\n${checkedItems.map(([_, item]) => `✓ ${item.label}`).join('\n')}`;
-}).filter(Boolean).join('\n')}
-
-IMPORTANT OUTPUT FORMAT:
-Respond ONLY with a valid JSON object in this exact structure:
-{
-  "categories": [
-    {
-      "title": "Category Name",
-      "items": [
-        {
-          "label": "Item label",
-          "status": "good" | "warning" | "critical",
-          "findings": "Detailed description of what you found",
-          "issues": ["List of specific issues if any"],
-          "recommendations": ["List of specific recommendations"]
-        }
-      ]
-    }
-  ]
-}
-
-ANALYSIS GUIDELINES:
-- Be specific and actionable in your recommendations
-- Use "good" status for things done well, "warning" for minor issues, "critical" for serious problems
-- Provide code examples or specific changes where relevant
-- Focus on actual observable issues from the website content
-- When analyzing trust elements (logos, testimonials, case studies): Look for <img> tags, testimonial sections, client name mentions, and quote blocks
-- If you see evidence of these elements in the HTML, acknowledge them positively
-- Do NOT output anything other than the JSON object - no markdown, no backticks, no explanations`;
-
-      // Single API call that handles both fetching and analysis
+      // The backend fetches the site, builds the prompt and calls the model - provider keys stay on the server
       console.log('Starting comprehensive audit...');
-      const auditResponse = await fetch('https://api.anthropic.com/v1/messages', {
+      const auditResponse = await fetch(`${BACKEND_URL}/api/audit`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 16000,
-          messages: [{
-            role: 'user',
-            content: completePrompt
-          }]
+          url,
+          auditOptions,
+          model: AUDIT_MODEL
         })
       });
 
       if (!auditResponse.ok) {
-        const errorData = await auditResponse.text();
+        const errorData = await auditResponse.json().catch(() => ({}));
         console.error('API Error:', errorData);
-        throw new Error(`API request failed with status ${auditResponse.status}. Please check console for details.`);
+        throw new Error(errorData.error || `API request failed with status ${auditResponse.status}. Please check that the backend server is running.`);
       }
 
       const auditData = await auditResponse.json();
-      let auditText = auditData.content[0].text;
-      
-      console.log('Raw response:', auditText);
-      
-      // Clean up the response if it has markdown code blocks or extra text
-      auditText = auditText.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-      
-      // Try to find JSON in the response if there's extra text
-      const jsonMatch = auditText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        auditText = jsonMatch[0];
-      }
+      const auditJson = auditData.report;
       
-      const auditJson = JSON.parse(auditText);
+      console.log(`Analyzed with ${auditData.model} (${auditData.usage?.input_tokens || 0} input / ${auditData.usage?.output_tokens || 0} output tokens)`);
       
       // Validate the structure
-      if (!auditJson.categories || !Array.isArray(auditJson.categories)) {
+      if (!auditJson || !auditJson.categories || !Array.isArray(auditJson.categories)) {
         throw new Error('Invalid audit report structure received');
       }
       